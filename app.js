@@ -18,6 +18,15 @@ import connectDB from "./config/database.js";
 import authRoutes from "./routes/auth.routes.js";
 import taskRoutes from "./routes/tasks.routes.js";
 import userRoutes from "./routes/user.routes.js";
+import labelRoutes from "./routes/labels.routes.js";
+import projectRoutes from "./routes/projects.routes.js";
+import filterRoutes from "./routes/filters.routes.js";
+import reportRoutes from "./routes/reports.routes.js";
+import { backfillCompletedAt } from "./utils/workflow.js";
+import { backfillTaskTimes } from "./utils/dueDates.js";
+import trashService from "./services/trash.service.js";
+import reminderService from "./services/reminder.service.js";
+import digestService from "./services/digest.service.js";
 
 /**
  * File path configuration for ES modules
@@ -62,8 +71,17 @@ if (process.env.NODE_ENV === "production") {
 
 console.log("Allowed CORS origins:", allowedOrigins);
 
-// Connect to database
-connectDB();
+// Connect to database, then give completion times to tasks done before they were recorded,
+// zero-pad old task times and start the background jobs: trash purge, task reminders and digest emails
+connectDB()
+  .then(() => backfillCompletedAt())
+  .then(() => backfillTaskTimes())
+  .then(() => {
+    trashService.start();
+    reminderService.start();
+    digestService.start();
+  })
+  .catch((error) => console.error("❌ Error preparing the database:", error));
 
 // Debug environment variables
 console.log("Environment Check:");
@@ -129,7 +147,7 @@ app.use(
       }
     },
     credentials: true,
-    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
     allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
   })
 );
@@ -148,6 +166,10 @@ app.use("/uploads", express.static(path.join(__dirname, "uploads")));
 app.use("/api/auth", authRoutes);
 app.use("/api/tasks", taskRoutes);
 app.use("/api/users", userRoutes);
+app.use("/api/labels", labelRoutes);
+app.use("/api/projects", projectRoutes);
+app.use("/api/filters", filterRoutes);
+app.use("/api/reports", reportRoutes);
 
 /**
  * Root endpoint
@@ -0,0 +1,325 @@
+/**
+ * @fileoverview Task Attachment Controller for TidyTask Application
+ * @description Handles the files attached to a task: upload, listing, authenticated download and removal
+ * @author TidyTask Team
+ * @version 1.0.0
+ */
+
+import fs from 'fs';
+import mongoose from 'mongoose';
+import multer from 'multer';
+import Attachment from '../models/attachment.model.js';
+import AttachmentService from '../services/attachment.service.js';
+import { requireAuth } from '../utils/decorators.js';
+import { authorizeTask } from '../utils/permissions.js';
+
+/**
+ * Most attachments a single task may hold
+ * @type {number}
+ */
+const MAX_TASK_ATTACHMENTS = 20;
+
+/**
+ * Multer storage for attachments
+ * @type {multer.StorageEngine}
+ * @description Writes to the private attachments directory under a random name
+ */
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => cb(null, AttachmentService.ensureDirectory()),
+  filename: (req, file, cb) => cb(null, AttachmentService.createStoredName(file.originalname))
+});
+
+/**
+ * File filter for attachments
+ * @param {Object} req - Express request object
+ * @param {Object} file - Multer file object
+ * @param {Function} cb - Callback function
+ * @description Accepts PDFs, images, office documents and plain text
+ */
+const fileFilter = (req, file, cb) => {
+  if (AttachmentService.allowedMimeTypes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    const error = new Error('File type not allowed: attach PDFs, images, office documents or text files');
+    error.status = 400;
+    cb(error, false);
+  }
+};
+
+/**
+ * Receives the `file` field of a multipart request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {number} maxBytes - Largest accepted size (the file limit, or less when the quota is nearly full)
+ * @returns {Promise<void>} Resolves once the file is on disk; rejects with multer errors
+ */
+const receiveFile = (req, res, maxBytes) => new Promise((resolve, reject) => {
+  multer({ storage, fileFilter, limits: { fileSize: maxBytes, files: 1 } })
+    .single('file')(req, res, (error) => (error ? reject(error) : resolve()));
+});
+
+/**
+ * Multer decodes file names as latin1; browsers send them as UTF-8
+ * @param {string} name - File name as decoded by multer
+ * @returns {string} File name with accents and other non-ASCII characters intact
+ */
+const decodeFileName = (name) => Buffer.from(name, 'latin1').toString('utf8');
+
+/**
+ * Sends the error response shared by every attachment action
+ * @param {Object} res - Express response object
+ * @param {Error} error - Caught error
+ * @param {string} action - Human readable action for the 500 message
+ * @returns {Object} Express response
+ */
+const handleError = (res, error, action) => {
+  console.error(`❌ Attachment ${action} error:`, error);
+
+  if (error.status === 400) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  if (error instanceof multer.MulterError) {
+    return res.status(400).json({ message: `Upload failed: ${error.message}` });
+  }
+
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+
+  return res.status(500).json({ message: `Internal server error ${action} attachment` });
+};
+
+/**
+ * Public fields of an attachment
+ * @param {Object} attachment - Attachment document (uploader may be populated)
+ * @returns {Object} Attachment data with its download URL
+ */
+const toResponse = (attachment) => ({
+  _id: attachment._id,
+  task: attachment.task,
+  user: attachment.user,
+  originalName: attachment.originalName,
+  mimeType: attachment.mimeType,
+  size: attachment.size,
+  createdAt: attachment.createdAt,
+  url: `/api/tasks/${attachment.task}/attachments/${attachment._id}`
+});
+
+/**
+ * Attachment Controller Class
+ * @class AttachmentController
+ * @description Viewers of a task can list and download its files; editors can add and remove them
+ */
+class AttachmentController {
+  /**
+   * Attach a file to a task
+   * @async
+   * @method upload
+   * @param {Object} req - Express request object (multipart/form-data with a `file` field)
+   * @param {string} req.params.id - Task ID
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 201: Attachment and storage usage, 400: Missing or invalid file,
+   * 403: Not allowed to edit the task, 404: Task not found, 413: File too large or quota exceeded, 500: Server error
+   */
+  async upload(req, res) {
+    const userId = req.user.userId;
+
+    try {
+      const { task, error: accessError } = await authorizeTask(req.params.id, userId, 'editor');
+      if (accessError) {
+        return res.status(accessError.status).json({ message: accessError.message });
+      }
+
+      if (await Attachment.countDocuments({ task: task._id }) >= MAX_TASK_ATTACHMENTS) {
+        return res.status(400).json({ message: `A task can hold at most ${MAX_TASK_ATTACHMENTS} attachments` });
+      }
+
+      const remaining = AttachmentService.quotaBytes - await AttachmentService.getUsage(userId);
+      if (remaining <= 0) {
+        return res.status(413).json({ message: 'Storage quota exceeded' });
+      }
+
+      const maxBytes = Math.min(AttachmentService.maxFileBytes, remaining);
+      try {
+        await receiveFile(req, res, maxBytes);
+      } catch (error) {
+        if (error.code === 'LIMIT_FILE_SIZE') {
+          return res.status(413).json({
+            message: maxBytes < AttachmentService.maxFileBytes
+              ? 'Storage quota exceeded'
+              : `Files can be at most ${AttachmentService.maxFileBytes / (1024 * 1024)} MB`
+          });
+        }
+        throw error;
+      }
+
+      if (!req.file) {
+        return res.status(400).json({ message: 'No file was sent (use the "file" field)' });
+      }
+
+      const attachment = await Attachment.create({
+        task: task._id,
+        user: userId,
+        originalName: decodeFileName(req.file.originalname).slice(0, 255),
+        storedName: req.file.filename,
+        mimeType: req.file.mimetype,
+        size: req.file.size
+      });
+
+      // Parallel uploads may have passed the quota check together
+      const storageUsage = await AttachmentService.getStorage(userId);
+      if (storageUsage.used > storageUsage.quota) {
+        await AttachmentService.deleteWhere({ _id: attachment._id });
+        return res.status(413).json({ message: 'Storage quota exceeded' });
+      }
+
+      res.status(201).json({
+        message: "Attachment uploaded successfully",
+        attachment: toResponse(attachment),
+        storage: storageUsage
+      });
+    } catch (error) {
+      if (req.file && !(await Attachment.exists({ storedName: req.file.filename }))) {
+        await AttachmentService.removeFiles([req.file.filename]);
+      }
+      handleError(res, error, 'uploading');
+    }
+  }
+
+  /**
+   * List the files attached to a task, newest first
+   * @async
+   * @method list
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Task ID
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Attachments and the user's storage usage, 404: Task not found, 500: Server error
+   */
+  async list(req, res) {
+    try {
+      const { task, error: accessError } = await authorizeTask(req.params.id, req.user.userId, 'viewer');
+      if (accessError) {
+        return res.status(accessError.status).json({ message: accessError.message });
+      }
+
+      const attachments = await Attachment.find({ task: task._id })
+        .sort({ createdAt: -1, _id: -1 })
+        .populate('user', 'firstName lastName email');
+
+      res.status(200).json({
+        message: "Attachments retrieved successfully",
+        attachments: attachments.map(toResponse),
+        storage: await AttachmentService.getStorage(req.user.userId)
+      });
+    } catch (error) {
+      handleError(res, error, 'listing');
+    }
+  }
+
+  /**
+   * Download an attached file
+   * @async
+   * @method download
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Task ID
+   * @param {string} req.params.attachmentId - Attachment ID
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} 200: File content as a download, 404: Task or attachment not found, 500: Server error
+   */
+  async download(req, res) {
+    try {
+      const { task, error: accessError } = await authorizeTask(req.params.id, req.user.userId, 'viewer');
+      if (accessError) {
+        return res.status(accessError.status).json({ message: accessError.message });
+      }
+
+      const attachment = mongoose.isValidObjectId(req.params.attachmentId)
+        ? await Attachment.findOne({ _id: req.params.attachmentId, task: task._id })
+        : null;
+      const filePath = attachment && AttachmentService.getFilePath(attachment.storedName);
+      if (!attachment || !fs.existsSync(filePath)) {
+        return res.status(404).json({ message: 'Attachment not found' });
+      }
+
+      res.type(attachment.mimeType);
+      res.download(filePath, attachment.originalName, (error) => {
+        if (error && !res.headersSent) handleError(res, error, 'downloading');
+      });
+    } catch (error) {
+      handleError(res, error, 'downloading');
+    }
+  }
+
+  /**
+   * Remove a file from a task
+   * @async
+   * @method remove
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Task ID
+   * @param {string} req.params.attachmentId - Attachment ID
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Attachment deleted, 403: Not allowed to edit the task, 404: Task or attachment not found, 500: Server error
+   */
+  async remove(req, res) {
+    try {
+      const { task, error: accessError } = await authorizeTask(req.params.id, req.user.userId, 'editor');
+      if (accessError) {
+        return res.status(accessError.status).json({ message: accessError.message });
+      }
+
+      const deleted = mongoose.isValidObjectId(req.params.attachmentId)
+        ? await AttachmentService.deleteWhere({ _id: req.params.attachmentId, task: task._id })
+        : 0;
+      if (!deleted) {
+        return res.status(404).json({ message: 'Attachment not found' });
+      }
+
+      res.status(200).json({
+        message: "Attachment deleted successfully",
+        storage: await AttachmentService.getStorage(req.user.userId)
+      });
+    } catch (error) {
+      handleError(res, error, 'deleting');
+    }
+  }
+}
+
+const controller = new AttachmentController();
+
+/**
+ * Attachment Controller Routes Export
+ * @namespace AttachmentController
+ * @description Attachment handlers pre-configured with authentication middleware. Uploads are
+ * parsed inside the handler, after the task and the quota are checked.
+ *
+ * @exports {Object} AttachmentController - Object containing attachment routes
+ * @example
+ * // Usage in the tasks router:
+ * router.post('/:id/attachments', ...AttachmentController.upload);
+ */
+export default {
+  /**
+   * @route POST /api/tasks/:id/attachments
+   * @middleware requireAuth - JWT authentication required
+   */
+  upload: [requireAuth, (req, res) => controller.upload(req, res)],
+
+  /**
+   * @route GET /api/tasks/:id/attachments
+   * @middleware requireAuth - JWT authentication required
+   */
+  list: [requireAuth, (req, res) => controller.list(req, res)],
+
+  /**
+   * @route GET /api/tasks/:id/attachments/:attachmentId
+   * @middleware requireAuth - JWT authentication required
+   */
+  download: [requireAuth, (req, res) => controller.download(req, res)],
+
+  /**
+   * @route DELETE /api/tasks/:id/attachments/:attachmentId
+   * @middleware requireAuth - JWT authentication required
+   */
+  remove: [requireAuth, (req, res) => controller.remove(req, res)],
+};
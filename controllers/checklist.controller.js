@@ -0,0 +1,340 @@
+/**
+ * @fileoverview Task Checklist Controller for TidyTask Application
+ * @description Handles the ordered subtask checklist of a task: add, update/toggle, reorder and remove items
+ * @author TidyTask Team
+ * @version 1.0.0
+ */
+
+import * as yup from 'yup';
+import { TASK_POPULATE } from '../models/task.model.js';
+import { requireAuth } from '../utils/decorators.js';
+import { authorizeTask } from '../utils/permissions.js';
+
+/**
+ * Maximum number of items a checklist may hold
+ * @type {number}
+ */
+const MAX_CHECKLIST_ITEMS = 100;
+
+/**
+ * Validation schema for new checklist items
+ * @type {yup.ObjectSchema}
+ * @description Requires the item text; position is optional (defaults to the end)
+ */
+const addItemSchema = yup.object().shape({
+  text: yup.string().trim().max(500, 'Text must be at most 500 characters').required('Text is required'),
+  done: yup.boolean(),
+  position: yup.number().integer('Position must be an integer').min(0, 'Position must be at least 0')
+});
+
+/**
+ * Validation schema for checklist item updates
+ * @type {yup.ObjectSchema}
+ * @description Text and/or done flag; at least one must be provided
+ */
+const updateItemSchema = yup.object().shape({
+  text: yup.string().trim().max(500, 'Text must be at most 500 characters'),
+  done: yup.boolean()
+}).test('has-change', 'Provide text or done', (value) => value && (value.text !== undefined || value.done !== undefined));
+
+/**
+ * Validation schema for checklist reordering
+ * @type {yup.ObjectSchema}
+ * @description Full list of item IDs in their new order
+ */
+const reorderSchema = yup.object().shape({
+  order: yup.array().of(yup.string().required()).required('order is required')
+});
+
+/**
+ * Renumbers checklist positions 0..n-1 following the current array order
+ * @param {Object[]} checklist - Mongoose array of checklist items
+ * @returns {void}
+ */
+const normalizePositions = (checklist) => {
+  checklist.forEach((item, index) => {
+    item.position = index;
+  });
+};
+
+/**
+ * Sends the error response shared by every checklist action
+ * @param {Object} res - Express response object
+ * @param {Error} error - Caught error
+ * @param {string} action - Human readable action for the 500 message
+ * @returns {Object} Express response
+ */
+const handleError = (res, error, action) => {
+  console.error(`❌ Checklist ${action} error:`, error);
+
+  if (error.name === 'ValidationError' || error.errors) {
+    // Yup or Mongoose validation error
+    const message = Array.isArray(error.errors) ? error.errors.join(', ') : error.message;
+    return res.status(400).json({
+      message: `Validation failed: ${message}`,
+      errors: Array.isArray(error.errors) ? error.errors : [error.message]
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+
+  return res.status(500).json({ message: `Internal server error ${action} checklist item` });
+};
+
+/**
+ * Checklist Controller Class
+ * @class ChecklistController
+ * @description Operates on the `checklist` array of tasks the authenticated user can edit
+ */
+class ChecklistController {
+  /**
+   * Add an item to a task checklist
+   * @async
+   * @method addItem
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Task ID
+   * @param {Object} req.body - Item data ({ text, done, position })
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 201: Updated task, 400: Validation error, 403: Not allowed to edit the task, 404: Task not found, 500: Server error
+   */
+  async addItem(req, res) {
+    try {
+      const { text, done, position } = await addItemSchema.validate(req.body, { abortEarly: false });
+
+      const { task, error: accessError } = await authorizeTask(req.params.id, req.user.userId, 'editor');
+      if (accessError) {
+        return res.status(accessError.status).json({ message: accessError.message });
+      }
+
+      if (task.checklist.length >= MAX_CHECKLIST_ITEMS) {
+        return res.status(400).json({ message: `A checklist can hold at most ${MAX_CHECKLIST_ITEMS} items` });
+      }
+
+      const index = position === undefined ? task.checklist.length : Math.min(position, task.checklist.length);
+      task.checklist.splice(index, 0, { text, done: Boolean(done), position: index });
+      normalizePositions(task.checklist);
+
+      task.updatedBy = req.user.userId;
+      await task.save();
+      await task.populate(TASK_POPULATE);
+
+      res.status(201).json({
+        message: "Checklist item added successfully",
+        item: task.checklist[index],
+        task
+      });
+    } catch (error) {
+      handleError(res, error, 'adding');
+    }
+  }
+
+  /**
+   * Update the text or done flag of a checklist item
+   * @async
+   * @method updateItem
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Task ID
+   * @param {string} req.params.itemId - Checklist item ID
+   * @param {Object} req.body - Changes ({ text, done })
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Updated task, 400: Validation error, 403: Not allowed to edit the task, 404: Task or item not found, 500: Server error
+   */
+  async updateItem(req, res) {
+    try {
+      const { text, done } = await updateItemSchema.validate(req.body, { abortEarly: false });
+
+      const { task, error: accessError } = await authorizeTask(req.params.id, req.user.userId, 'editor');
+      if (accessError) {
+        return res.status(accessError.status).json({ message: accessError.message });
+      }
+
+      const item = task.checklist.id(req.params.itemId);
+      if (!item) {
+        return res.status(404).json({ message: 'Checklist item not found' });
+      }
+
+      if (text !== undefined) item.text = text;
+      if (done !== undefined) item.done = done;
+
+      task.updatedBy = req.user.userId;
+      await task.save();
+      await task.populate(TASK_POPULATE);
+
+      res.status(200).json({
+        message: "Checklist item updated successfully",
+        item,
+        task
+      });
+    } catch (error) {
+      handleError(res, error, 'updating');
+    }
+  }
+
+  /**
+   * Flip the done flag of a checklist item
+   * @async
+   * @method toggleItem
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Task ID
+   * @param {string} req.params.itemId - Checklist item ID
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Updated task, 403: Not allowed to edit the task, 404: Task or item not found, 500: Server error
+   */
+  async toggleItem(req, res) {
+    try {
+      const { task, error: accessError } = await authorizeTask(req.params.id, req.user.userId, 'editor');
+      if (accessError) {
+        return res.status(accessError.status).json({ message: accessError.message });
+      }
+
+      const item = task.checklist.id(req.params.itemId);
+      if (!item) {
+        return res.status(404).json({ message: 'Checklist item not found' });
+      }
+
+      item.done = !item.done;
+
+      task.updatedBy = req.user.userId;
+      await task.save();
+      await task.populate(TASK_POPULATE);
+
+      res.status(200).json({
+        message: "Checklist item toggled successfully",
+        item,
+        task
+      });
+    } catch (error) {
+      handleError(res, error, 'toggling');
+    }
+  }
+
+  /**
+   * Reorder the whole checklist
+   * @async
+   * @method reorderItems
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Task ID
+   * @param {string[]} req.body.order - Every item ID of the checklist in the new order
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Updated task, 400: Order does not match the checklist, 403: Not allowed to edit the task, 404: Task not found, 500: Server error
+   */
+  async reorderItems(req, res) {
+    try {
+      const { order } = await reorderSchema.validate(req.body, { abortEarly: false });
+
+      const { task, error: accessError } = await authorizeTask(req.params.id, req.user.userId, 'editor');
+      if (accessError) {
+        return res.status(accessError.status).json({ message: accessError.message });
+      }
+
+      const currentIds = task.checklist.map((item) => item._id.toString());
+      const isPermutation = order.length === currentIds.length
+        && new Set(order).size === order.length
+        && order.every((itemId) => currentIds.includes(itemId));
+
+      if (!isPermutation) {
+        return res.status(400).json({ message: 'order must contain every checklist item ID exactly once' });
+      }
+
+      const reordered = order.map((itemId) => task.checklist.id(itemId).toObject());
+      task.checklist = reordered;
+      normalizePositions(task.checklist);
+
+      task.updatedBy = req.user.userId;
+      await task.save();
+      await task.populate(TASK_POPULATE);
+
+      res.status(200).json({
+        message: "Checklist reordered successfully",
+        task
+      });
+    } catch (error) {
+      handleError(res, error, 'reordering');
+    }
+  }
+
+  /**
+   * Remove an item from a task checklist
+   * @async
+   * @method removeItem
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Task ID
+   * @param {string} req.params.itemId - Checklist item ID
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Updated task, 403: Not allowed to edit the task, 404: Task or item not found, 500: Server error
+   */
+  async removeItem(req, res) {
+    try {
+      const { task, error: accessError } = await authorizeTask(req.params.id, req.user.userId, 'editor');
+      if (accessError) {
+        return res.status(accessError.status).json({ message: accessError.message });
+      }
+
+      const item = task.checklist.id(req.params.itemId);
+      if (!item) {
+        return res.status(404).json({ message: 'Checklist item not found' });
+      }
+
+      item.deleteOne();
+      normalizePositions(task.checklist);
+
+      task.updatedBy = req.user.userId;
+      await task.save();
+      await task.populate(TASK_POPULATE);
+
+      res.status(200).json({
+        message: "Checklist item removed successfully",
+        task
+      });
+    } catch (error) {
+      handleError(res, error, 'removing');
+    }
+  }
+}
+
+// Create single instance of controller
+const controller = new ChecklistController();
+
+/**
+ * Checklist Controller Routes Export
+ * @namespace ChecklistController
+ * @description Checklist handlers pre-configured with authentication middleware
+ *
+ * @exports {Object} ChecklistController - Object containing checklist routes
+ * @example
+ * // Usage in tasks router:
+ * router.post('/:id/checklist', ...ChecklistController.addItem);
+ */
+export default {
+  /**
+   * @route POST /api/tasks/:id/checklist
+   * @middleware requireAuth - JWT authentication required
+   */
+  addItem: [requireAuth, (req, res) => controller.addItem(req, res)],
+
+  /**
+   * @route PUT /api/tasks/:id/checklist/:itemId
+   * @middleware requireAuth - JWT authentication required
+   */
+  updateItem: [requireAuth, (req, res) => controller.updateItem(req, res)],
+
+  /**
+   * @route POST /api/tasks/:id/checklist/:itemId/toggle
+   * @middleware requireAuth - JWT authentication required
+   */
+  toggleItem: [requireAuth, (req, res) => controller.toggleItem(req, res)],
+
+  /**
+   * @route PUT /api/tasks/:id/checklist/order
+   * @middleware requireAuth - JWT authentication required
+   */
+  reorderItems: [requireAuth, (req, res) => controller.reorderItems(req, res)],
+
+  /**
+   * @route DELETE /api/tasks/:id/checklist/:itemId
+   * @middleware requireAuth - JWT authentication required
+   */
+  removeItem: [requireAuth, (req, res) => controller.removeItem(req, res)],
+};
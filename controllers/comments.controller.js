@@ -0,0 +1,349 @@
+/**
+ * @fileoverview Task Comment Controller for TidyTask Application
+ * @description Handles the discussion thread of a task: list, post, edit and delete comments,
+ * emailing the users each comment mentions
+ * @author TidyTask Team
+ * @version 1.0.0
+ */
+
+import * as yup from 'yup';
+import mongoose from 'mongoose';
+import Comment from '../models/comment.model.js';
+import User from '../models/user.model.js';
+import EmailService from '../services/email.service.js';
+import { requireAuth } from '../utils/decorators.js';
+import { authorizeTask, getTaskRole } from '../utils/permissions.js';
+import { extractMentionEmails } from '../utils/comments.js';
+
+/**
+ * Author and mention fields loaded into comment responses
+ * @type {Object[]}
+ */
+const COMMENT_POPULATE = [
+  { path: 'user', select: 'firstName lastName email avatar' },
+  { path: 'mentions', select: 'firstName lastName email' }
+];
+
+/**
+ * Validation schema for comment bodies
+ * @type {yup.ObjectSchema}
+ */
+const commentSchema = yup.object().shape({
+  body: yup.string()
+    .trim()
+    .max(5000, 'Comment must be at most 5000 characters')
+    .required('Comment body is required')
+});
+
+/**
+ * Validation schema for thread pagination
+ * @type {yup.ObjectSchema}
+ */
+const listCommentsQuerySchema = yup.object().shape({
+  page: yup.number()
+    .typeError('Page must be a number')
+    .integer('Page must be an integer')
+    .min(1, 'Page must be at least 1')
+    .default(1),
+  limit: yup.number()
+    .typeError('Limit must be a number')
+    .integer('Limit must be an integer')
+    .min(1, 'Limit must be at least 1')
+    .max(100, 'Limit must be at most 100')
+    .default(50)
+});
+
+/**
+ * Resolves the @mentions of a comment into users who can see the task
+ * @async
+ * @param {string} body - Comment text
+ * @param {Object} task - Commented task
+ * @param {string} authorId - Comment author, never mentioned to themselves
+ * @returns {Promise<Object[]>} Mentioned users ({ _id, firstName, lastName, email })
+ */
+const resolveMentions = async (body, task, authorId) => {
+  const emails = extractMentionEmails(body);
+  if (!emails.length) return [];
+
+  // Emails are compared ignoring case (strength 2)
+  const users = await User.find({ email: { $in: emails }, _id: { $ne: authorId } })
+    .collation({ locale: 'en', strength: 2 })
+    .select('firstName lastName email');
+
+  const roles = await Promise.all(users.map((user) => getTaskRole(task, user._id)));
+  return users.filter((user, index) => roles[index]);
+};
+
+/**
+ * Emails the users a comment mentions
+ * @async
+ * @param {Object[]} users - Mentioned users
+ * @param {Object} task - Commented task
+ * @param {Object} comment - Comment
+ * @param {string} authorName - Full name of the comment author
+ * @returns {Promise<void>}
+ */
+const notifyMentions = async (users, task, comment, authorName) => {
+  await Promise.all(users.map((user) => EmailService.sendCommentMentionEmail(user.email, task, comment.body, authorName)));
+};
+
+/**
+ * Sends the error response shared by every comment action
+ * @param {Object} res - Express response object
+ * @param {Error} error - Caught error
+ * @param {string} action - Human readable action for the 500 message
+ * @returns {Object} Express response
+ */
+const handleError = (res, error, action) => {
+  console.error(`❌ Comment ${action} error:`, error);
+
+  if (error.name === 'ValidationError' || error.errors) {
+    // Yup or Mongoose validation error
+    const message = Array.isArray(error.errors) ? error.errors.join(', ') : error.message;
+    return res.status(400).json({
+      message: `Validation failed: ${message}`,
+      errors: Array.isArray(error.errors) ? error.errors : [error.message]
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+
+  return res.status(500).json({ message: `Internal server error ${action} comment` });
+};
+
+/**
+ * Comment Controller Class
+ * @class CommentController
+ * @description Anyone who can see a task can read and join its thread; comments can be edited by
+ * their author and deleted by their author or the task owner
+ */
+class CommentController {
+  /**
+   * List the comments of a task, oldest first
+   * @async
+   * @method list
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Task ID
+   * @param {Object} req.query - Query parameters (page, limit)
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Comments with pagination, 400: Validation error, 404: Task not found, 500: Server error
+   */
+  async list(req, res) {
+    try {
+      const { page, limit } = await listCommentsQuerySchema.validate(req.query, { abortEarly: false });
+
+      const { task, error: accessError } = await authorizeTask(req.params.id, req.user.userId, 'viewer');
+      if (accessError) {
+        return res.status(accessError.status).json({ message: accessError.message });
+      }
+
+      const [comments, totalComments] = await Promise.all([
+        Comment.find({ task: task._id })
+          .sort({ createdAt: 1, _id: 1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate(COMMENT_POPULATE),
+        Comment.countDocuments({ task: task._id })
+      ]);
+
+      const totalPages = Math.ceil(totalComments / limit);
+
+      res.status(200).json({
+        message: "Comments retrieved successfully",
+        comments,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalComments,
+          limit,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      });
+    } catch (error) {
+      handleError(res, error, 'listing');
+    }
+  }
+
+  /**
+   * Post a comment on a task and email the users it mentions
+   * @async
+   * @method create
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Task ID
+   * @param {Object} req.body - Comment ({ body })
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 201: Comment posted, 400: Validation error, 404: Task not found, 500: Server error
+   */
+  async create(req, res) {
+    try {
+      const { body } = await commentSchema.validate(req.body, { abortEarly: false });
+      const userId = req.user.userId;
+
+      const { task, error: accessError } = await authorizeTask(req.params.id, userId, 'viewer');
+      if (accessError) {
+        return res.status(accessError.status).json({ message: accessError.message });
+      }
+
+      const mentioned = await resolveMentions(body, task, userId);
+      const comment = await Comment.create({
+        task: task._id,
+        user: userId,
+        body,
+        mentions: mentioned.map((user) => user._id)
+      });
+      await comment.populate(COMMENT_POPULATE);
+
+      await notifyMentions(mentioned, task, comment, `${comment.user.firstName} ${comment.user.lastName}`);
+
+      res.status(201).json({
+        message: "Comment posted successfully",
+        comment
+      });
+    } catch (error) {
+      handleError(res, error, 'posting');
+    }
+  }
+
+  /**
+   * Edit the body of one's own comment
+   * @async
+   * @method update
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Task ID
+   * @param {string} req.params.commentId - Comment ID
+   * @param {Object} req.body - New comment ({ body })
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Comment updated, 400: Validation error, 403: Not the author,
+   * 404: Task or comment not found, 500: Server error
+   * @description Only users mentioned for the first time are emailed
+   */
+  async update(req, res) {
+    try {
+      const { body } = await commentSchema.validate(req.body, { abortEarly: false });
+      const userId = req.user.userId;
+
+      const { task, error: accessError } = await authorizeTask(req.params.id, userId, 'viewer');
+      if (accessError) {
+        return res.status(accessError.status).json({ message: accessError.message });
+      }
+
+      const comment = mongoose.isValidObjectId(req.params.commentId)
+        ? await Comment.findOne({ _id: req.params.commentId, task: task._id })
+        : null;
+      if (!comment) {
+        return res.status(404).json({ message: 'Comment not found' });
+      }
+
+      if (comment.user.toString() !== userId.toString()) {
+        return res.status(403).json({ message: 'Only the author can edit this comment' });
+      }
+
+      const previouslyMentioned = new Set(comment.mentions.map((id) => id.toString()));
+      const mentioned = await resolveMentions(body, task, userId);
+
+      if (body !== comment.body) {
+        comment.body = body;
+        comment.edited = true;
+      }
+      comment.mentions = mentioned.map((user) => user._id);
+      await comment.save();
+      await comment.populate(COMMENT_POPULATE);
+
+      await notifyMentions(
+        mentioned.filter((user) => !previouslyMentioned.has(user._id.toString())),
+        task,
+        comment,
+        `${comment.user.firstName} ${comment.user.lastName}`
+      );
+
+      res.status(200).json({
+        message: "Comment updated successfully",
+        comment
+      });
+    } catch (error) {
+      handleError(res, error, 'updating');
+    }
+  }
+
+  /**
+   * Delete a comment
+   * @async
+   * @method remove
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Task ID
+   * @param {string} req.params.commentId - Comment ID
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Comment deleted, 403: Neither the author nor the task owner,
+   * 404: Task or comment not found, 500: Server error
+   */
+  async remove(req, res) {
+    try {
+      const userId = req.user.userId;
+
+      const { task, role, error: accessError } = await authorizeTask(req.params.id, userId, 'viewer');
+      if (accessError) {
+        return res.status(accessError.status).json({ message: accessError.message });
+      }
+
+      const comment = mongoose.isValidObjectId(req.params.commentId)
+        ? await Comment.findOne({ _id: req.params.commentId, task: task._id })
+        : null;
+      if (!comment) {
+        return res.status(404).json({ message: 'Comment not found' });
+      }
+
+      if (comment.user.toString() !== userId.toString() && role !== 'owner') {
+        return res.status(403).json({ message: 'Only the author or the task owner can delete this comment' });
+      }
+
+      await comment.deleteOne();
+
+      res.status(200).json({
+        message: "Comment deleted successfully"
+      });
+    } catch (error) {
+      handleError(res, error, 'deleting');
+    }
+  }
+}
+
+const controller = new CommentController();
+
+/**
+ * Comment Controller Routes Export
+ * @namespace CommentController
+ * @description Comment handlers pre-configured with authentication middleware
+ *
+ * @exports {Object} CommentController - Object containing comment routes
+ * @example
+ * // Usage in the tasks router:
+ * router.get('/:id/comments', ...CommentController.list);
+ */
+export default {
+  /**
+   * @route GET /api/tasks/:id/comments
+   * @middleware requireAuth - JWT authentication required
+   */
+  list: [requireAuth, (req, res) => controller.list(req, res)],
+
+  /**
+   * @route POST /api/tasks/:id/comments
+   * @middleware requireAuth - JWT authentication required
+   */
+  create: [requireAuth, (req, res) => controller.create(req, res)],
+
+  /**
+   * @route PUT /api/tasks/:id/comments/:commentId
+   * @middleware requireAuth - JWT authentication required
+   */
+  update: [requireAuth, (req, res) => controller.update(req, res)],
+
+  /**
+   * @route DELETE /api/tasks/:id/comments/:commentId
+   * @middleware requireAuth - JWT authentication required
+   */
+  remove: [requireAuth, (req, res) => controller.remove(req, res)],
+};
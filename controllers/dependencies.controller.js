@@ -0,0 +1,236 @@
+/**
+ * @fileoverview Task Dependency Controller for TidyTask Application
+ * @description Handles the "blocked by" links of a task: list, add and remove blockers
+ * @author TidyTask Team
+ * @version 1.0.0
+ */
+
+import * as yup from 'yup';
+import mongoose from 'mongoose';
+import Task, { TASK_POPULATE } from '../models/task.model.js';
+import { requireAuth } from '../utils/decorators.js';
+import { authorizeTask, taskAccessFilter } from '../utils/permissions.js';
+import { MAX_BLOCKERS, shareScope, createsCycle } from '../utils/dependencies.js';
+
+/**
+ * Fields of the linked tasks returned when listing dependencies
+ * @type {string}
+ */
+const LINKED_TASK_FIELDS = 'title status completedAt date time priority';
+
+/**
+ * Validation schema for adding a blocker
+ * @type {yup.ObjectSchema}
+ */
+const addDependencySchema = yup.object().shape({
+  taskId: yup.string()
+    .required('taskId is required')
+    .test('is-object-id', 'taskId must be a valid task ID', (value) => !value || mongoose.isValidObjectId(value))
+});
+
+/**
+ * Sends the error response shared by every dependency action
+ * @param {Object} res - Express response object
+ * @param {Error} error - Caught error
+ * @param {string} action - Human readable action for the 500 message
+ * @returns {Object} Express response
+ */
+const handleError = (res, error, action) => {
+  console.error(`❌ Dependency ${action} error:`, error);
+
+  if (error.name === 'ValidationError' || error.errors) {
+    // Yup or Mongoose validation error
+    const message = Array.isArray(error.errors) ? error.errors.join(', ') : error.message;
+    return res.status(400).json({
+      message: `Validation failed: ${message}`,
+      errors: Array.isArray(error.errors) ? error.errors : [error.message]
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+
+  return res.status(500).json({ message: `Internal server error ${action} dependency` });
+};
+
+/**
+ * Dependency Controller Class
+ * @class DependencyController
+ * @description A task can be blocked by other tasks of the same project, or by other personal
+ * tasks of the same owner. Links are checked for cycles when they are added.
+ */
+class DependencyController {
+  /**
+   * List the tasks blocking a task and the tasks it blocks
+   * @async
+   * @method list
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Task ID
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Blockers, blocked tasks and the blocked flag, 404: Task not found, 500: Server error
+   */
+  async list(req, res) {
+    try {
+      const userId = req.user.userId;
+
+      const { task, error: accessError } = await authorizeTask(req.params.id, userId, 'viewer');
+      if (accessError) {
+        return res.status(accessError.status).json({ message: accessError.message });
+      }
+
+      const [blockedBy, blocking] = await Promise.all([
+        Task.find({ _id: { $in: task.blockedBy } }).sort({ date: 1, _id: 1 }).select(LINKED_TASK_FIELDS),
+        Task.find({ $and: [await taskAccessFilter(userId, 'viewer'), { blockedBy: task._id }] })
+          .sort({ date: 1, _id: 1 })
+          .select(LINKED_TASK_FIELDS)
+      ]);
+
+      res.status(200).json({
+        message: "Dependencies retrieved successfully",
+        blocked: blockedBy.some((blocker) => !blocker.completedAt),
+        blockedBy,
+        blocking
+      });
+    } catch (error) {
+      handleError(res, error, 'listing');
+    }
+  }
+
+  /**
+   * Make a task wait for another one
+   * @async
+   * @method add
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Dependent task ID
+   * @param {Object} req.body - Blocker ({ taskId })
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 201: Updated task, 400: Invalid blocker, 403: Not allowed to edit the task,
+   * 404: Task or blocker not found, 409: Already linked or the link would create a cycle, 500: Server error
+   */
+  async add(req, res) {
+    try {
+      const { taskId: blockerId } = await addDependencySchema.validate(req.body, { abortEarly: false });
+      const userId = req.user.userId;
+
+      const { task, error: accessError } = await authorizeTask(req.params.id, userId, 'editor');
+      if (accessError) {
+        return res.status(accessError.status).json({ message: accessError.message });
+      }
+
+      if (blockerId === task._id.toString()) {
+        return res.status(400).json({ message: 'A task cannot block itself' });
+      }
+
+      const blocker = await Task.findOne({ $and: [await taskAccessFilter(userId, 'viewer'), { _id: blockerId }] })
+        .select('user project recurrence');
+      if (!blocker) {
+        return res.status(404).json({ message: 'Blocking task not found' });
+      }
+
+      if (!shareScope(task, blocker)) {
+        return res.status(400).json({ message: 'Tasks can only depend on tasks of the same project, or on personal tasks of the same owner' });
+      }
+
+      // A series is never completed as a whole, so it would block forever
+      if (blocker.recurrence) {
+        return res.status(400).json({ message: 'A recurring task cannot block other tasks' });
+      }
+
+      if (task.blockedBy.some((id) => id.toString() === blockerId)) {
+        return res.status(409).json({ message: 'This task is already blocked by that task' });
+      }
+
+      if (task.blockedBy.length >= MAX_BLOCKERS) {
+        return res.status(400).json({ message: `A task can be blocked by at most ${MAX_BLOCKERS} tasks` });
+      }
+
+      if (await createsCycle(task._id, blockerId)) {
+        return res.status(409).json({ message: 'This dependency would create a cycle' });
+      }
+
+      const updatedTask = await Task.findOneAndUpdate(
+        { _id: task._id },
+        { $addToSet: { blockedBy: blocker._id }, $set: { updatedBy: userId } },
+        { new: true }
+      ).populate(TASK_POPULATE);
+
+      res.status(201).json({
+        message: "Dependency added successfully",
+        task: updatedTask
+      });
+    } catch (error) {
+      handleError(res, error, 'adding');
+    }
+  }
+
+  /**
+   * Stop a task from waiting for another one
+   * @async
+   * @method remove
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Dependent task ID
+   * @param {string} req.params.blockerId - Blocking task ID
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Updated task, 403: Not allowed to edit the task, 404: Task or dependency not found, 500: Server error
+   */
+  async remove(req, res) {
+    try {
+      const userId = req.user.userId;
+
+      const { task, error: accessError } = await authorizeTask(req.params.id, userId, 'editor');
+      if (accessError) {
+        return res.status(accessError.status).json({ message: accessError.message });
+      }
+
+      if (!task.blockedBy.some((id) => id.toString() === req.params.blockerId)) {
+        return res.status(404).json({ message: 'Dependency not found' });
+      }
+
+      const updatedTask = await Task.findOneAndUpdate(
+        { _id: task._id },
+        { $pull: { blockedBy: req.params.blockerId }, $set: { updatedBy: userId } },
+        { new: true }
+      ).populate(TASK_POPULATE);
+
+      res.status(200).json({
+        message: "Dependency removed successfully",
+        task: updatedTask
+      });
+    } catch (error) {
+      handleError(res, error, 'removing');
+    }
+  }
+}
+
+const controller = new DependencyController();
+
+/**
+ * Dependency Controller Routes Export
+ * @namespace DependencyController
+ * @description Dependency handlers pre-configured with authentication middleware
+ *
+ * @exports {Object} DependencyController - Object containing dependency routes
+ * @example
+ * // Usage in the tasks router:
+ * router.post('/:id/dependencies', ...DependencyController.add);
+ */
+export default {
+  /**
+   * @route GET /api/tasks/:id/dependencies
+   * @middleware requireAuth - JWT authentication required
+   */
+  list: [requireAuth, (req, res) => controller.list(req, res)],
+
+  /**
+   * @route POST /api/tasks/:id/dependencies
+   * @middleware requireAuth - JWT authentication required
+   */
+  add: [requireAuth, (req, res) => controller.add(req, res)],
+
+  /**
+   * @route DELETE /api/tasks/:id/dependencies/:blockerId
+   * @middleware requireAuth - JWT authentication required
+   */
+  remove: [requireAuth, (req, res) => controller.remove(req, res)],
+};
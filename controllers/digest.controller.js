@@ -0,0 +1,244 @@
+/**
+ * @fileoverview Digest Controller for TidyTask Application
+ * @description Configures the daily agenda and weekly summary emails, and handles their
+ * unsubscribe links
+ * @author TidyTask Team
+ * @version 1.0.0
+ */
+
+import * as yup from 'yup';
+import User from '../models/user.model.js';
+import { requireAuth } from '../utils/decorators.js';
+import DigestService from '../services/digest.service.js';
+
+/**
+ * Validation schema for digest preferences
+ * @type {yup.ObjectSchema}
+ * @description Every field is optional; fields left out keep their value
+ */
+const digestSettingsSchema = yup.object().shape({
+  daily: yup.boolean().typeError('daily must be true or false'),
+  weekly: yup.boolean().typeError('weekly must be true or false'),
+  time: yup.string().matches(/^([01][0-9]|2[0-3]):[0-5][0-9]$/, 'time must be in HH:MM format (24-hour)')
+});
+
+/**
+ * Picks the preferences shown to the user from their digest settings
+ * @param {Object} [digest] - User digest settings
+ * @returns {{daily: boolean, weekly: boolean, time: string}} Public digest preferences
+ */
+const toSettings = (digest) => ({
+  daily: Boolean(digest?.daily),
+  weekly: Boolean(digest?.weekly),
+  time: digest?.time || '07:00'
+});
+
+/**
+ * Small HTML page answered to unsubscribe links, which are opened from an email client
+ * @param {string} title - Page heading
+ * @param {string} text - Explanation below the heading
+ * @param {string} [action] - URL the confirmation button posts to (no button when left out)
+ * @returns {string} HTML document
+ */
+const renderPage = (title, text, action) => `<!DOCTYPE html>
+<html lang="es">
+<head><meta charset="utf-8"><title>${title} - TidyTasks</title></head>
+<body style="font-family: Arial, sans-serif; max-width: 600px; margin: 40px auto;">
+  <h1 style="color: #4a6ee0;">${title}</h1>
+  <p>${text}</p>${action ? `
+  <form method="post" action="${action}">
+    <button type="submit" style="background: #4a6ee0; color: #fff; border: 0; padding: 10px 20px; cursor: pointer;">Cancelar suscripción</button>
+  </form>` : ''}
+</body>
+</html>`;
+
+/**
+ * Name of a digest as written in the unsubscribe pages
+ * @param {string} type - Digest kind: daily or weekly
+ * @returns {string} Spanish name with its article
+ */
+const digestName = (type) => type === 'daily' ? 'la agenda diaria' : 'el resumen semanal';
+
+/**
+ * Page answered to unsubscribe links whose token does not verify
+ * @type {string}
+ */
+const INVALID_LINK_PAGE = renderPage('Enlace no válido', 'Este enlace para cancelar la suscripción no es válido.');
+
+/**
+ * Sends the error response shared by the digest actions
+ * @param {Object} res - Express response object
+ * @param {Error} error - Caught error
+ * @param {string} action - Human readable action for the 500 message
+ * @returns {Object} Express response
+ */
+const handleError = (res, error, action) => {
+  console.error(`❌ Digest ${action} error:`, error);
+
+  if (error.name === 'ValidationError' || error.errors) {
+    // Yup or Mongoose validation error
+    const message = Array.isArray(error.errors) ? error.errors.join(', ') : error.message;
+    return res.status(400).json({
+      message: `Validation failed: ${message}`,
+      errors: Array.isArray(error.errors) ? error.errors : [error.message]
+    });
+  }
+
+  return res.status(500).json({ message: `Internal server error ${action} digest settings` });
+};
+
+/**
+ * Digest Controller Class
+ * @class DigestController
+ * @description Digests are sent by the DigestService at the chosen time of the user's timezone
+ */
+class DigestController {
+  /**
+   * Get the authenticated user's digest preferences
+   * @async
+   * @method getSettings
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Digest preferences and timezone, 500: Server error
+   */
+  async getSettings(req, res) {
+    try {
+      const user = await User.findById(req.user.userId).select('digest timezone');
+
+      res.status(200).json({
+        message: "Digest settings retrieved successfully",
+        digest: toSettings(user?.digest),
+        timezone: user?.timezone
+      });
+    } catch (error) {
+      handleError(res, error, 'retrieving');
+    }
+  }
+
+  /**
+   * Update the authenticated user's digest preferences
+   * @async
+   * @method updateSettings
+   * @param {Object} req - Express request object
+   * @param {Object} req.body - Preferences to change ({ daily, weekly, time })
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Digest preferences updated, 400: Validation error, 404: User not found, 500: Server error
+   */
+  async updateSettings(req, res) {
+    try {
+      const { daily, weekly, time } = await digestSettingsSchema.validate(req.body, { abortEarly: false });
+
+      const changes = Object.fromEntries(Object.entries({ daily, weekly, time })
+        .filter(([, value]) => value !== undefined)
+        .map(([field, value]) => [`digest.${field}`, value]));
+
+      const user = await User.findByIdAndUpdate(
+        req.user.userId,
+        { $set: changes },
+        { new: true, runValidators: true }
+      ).select('digest timezone');
+
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      res.status(200).json({
+        message: "Digest settings updated successfully",
+        digest: toSettings(user.digest),
+        timezone: user.timezone
+      });
+    } catch (error) {
+      handleError(res, error, 'updating');
+    }
+  }
+
+  /**
+   * Ask for confirmation before turning a digest off from the link of its email
+   * @method confirmUnsubscribe
+   * @param {Object} req - Express request object
+   * @param {string} req.query.token - Signed token of the unsubscribe link
+   * @param {Object} res - Express response object
+   * @returns {Object} 200: Page with a button that posts the unsubscribe, 400: Invalid link page
+   * @description Changes nothing: mail clients and link scanners open links on their own, so only
+   * the POST unsubscribes
+   */
+  confirmUnsubscribe(req, res) {
+    const token = String(req.query.token || '');
+    const claims = DigestService.verifyUnsubscribeToken(token);
+    if (!claims) {
+      return res.status(400).send(INVALID_LINK_PAGE);
+    }
+
+    res.status(200).send(renderPage(
+      'Cancelar suscripción',
+      `¿Quieres dejar de recibir ${digestName(claims.type)}?`,
+      `?token=${encodeURIComponent(token)}`
+    ));
+  }
+
+  /**
+   * Turn a digest off, without logging in
+   * @async
+   * @method unsubscribe
+   * @param {Object} req - Express request object
+   * @param {string} req.query.token - Signed token of the unsubscribe link
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Confirmation page, 400: Invalid link page, 500: Error page
+   * @description Posted by the confirmation page and by the one-click unsubscribe of mail clients
+   * (RFC 8058)
+   */
+  async unsubscribe(req, res) {
+    try {
+      const claims = DigestService.verifyUnsubscribeToken(String(req.query.token || ''));
+      if (!claims) {
+        return res.status(400).send(INVALID_LINK_PAGE);
+      }
+
+      await User.updateOne({ _id: claims.userId }, { $set: { [`digest.${claims.type}`]: false } });
+
+      res.status(200).send(renderPage(
+        'Suscripción cancelada',
+        `Ya no recibirás ${digestName(claims.type)}. Puedes volver a activarlo desde tu perfil en TidyTasks.`
+      ));
+    } catch (error) {
+      console.error('❌ Digest unsubscribe error:', error);
+      res.status(500).send(renderPage('Algo salió mal', 'No pudimos cancelar la suscripción. Inténtalo de nuevo más tarde.'));
+    }
+  }
+}
+
+const controller = new DigestController();
+
+/**
+ * Digest Controller Routes Export
+ * @namespace DigestController
+ * @description Digest handlers; the unsubscribe link is public and authenticated by its signed token
+ *
+ * @exports {Object} DigestController - Object containing digest routes
+ * @example
+ * // Usage in the users router:
+ * router.get('/me/digest', ...DigestController.getSettings);
+ */
+export default {
+  /**
+   * @route GET /api/users/me/digest
+   * @middleware requireAuth - JWT authentication required
+   */
+  getSettings: [requireAuth, (req, res) => controller.getSettings(req, res)],
+
+  /**
+   * @route PUT /api/users/me/digest
+   * @middleware requireAuth - JWT authentication required
+   */
+  updateSettings: [requireAuth, (req, res) => controller.updateSettings(req, res)],
+
+  /**
+   * @route GET /api/users/digest/unsubscribe
+   */
+  confirmUnsubscribe: [(req, res) => controller.confirmUnsubscribe(req, res)],
+
+  /**
+   * @route POST /api/users/digest/unsubscribe
+   */
+  unsubscribe: [(req, res) => controller.unsubscribe(req, res)],
+};
@@ -0,0 +1,386 @@
+/**
+ * @fileoverview Saved Filter Controller for TidyTask Application
+ * @description Handles CRUD operations for the authenticated user's saved filters and runs saved
+ * filters and built-in smart lists
+ * @author TidyTask Team
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import * as yup from 'yup';
+import SavedFilter from '../models/savedFilter.model.js';
+import { requireAuth } from '../utils/decorators.js';
+import { isValidTimeZone, normalizeTime } from '../utils/timezone.js';
+import { resolveTimeZone } from '../utils/dueDates.js';
+import { STATUS_KEY_PATTERN, normalizeStatus } from '../utils/workflow.js';
+import { DATE_REF_PATTERN, SMART_LISTS, runFilterQuery } from '../utils/filterQuery.js';
+
+/**
+ * Builds the validation of a date reference of a filter query
+ * @returns {yup.StringSchema} Validation for "YYYY-MM-DD", "today", "+7d"...
+ */
+const dateRefField = () => yup.string()
+  .trim()
+  .matches(DATE_REF_PATTERN, 'Dates must be YYYY-MM-DD, today, tomorrow, yesterday, startOfWeek, endOfWeek or an offset like +7d');
+
+/**
+ * Builds the validation of an HH:MM time bound of a filter query
+ * @returns {yup.StringSchema} Validation for 24-hour times; "9:30" is saved as "09:30", like task times
+ */
+const timeRefField = () => yup.string()
+  .transform((value) => normalizeTime(value))
+  .matches(/^([01]\d|2[0-3]):[0-5]\d$/, 'Times must be in HH:MM format (24-hour)');
+
+/**
+ * Validation schema for filter queries
+ * @type {yup.ObjectSchema}
+ * @description The query language is described in utils/filterQuery.js; unknown fields are rejected
+ */
+const filterQuerySchema = yup.object().shape({
+  status: yup.array()
+    .of(yup.string()
+      .transform((value) => normalizeStatus(value))
+      .matches(STATUS_KEY_PATTERN, 'status must contain status keys'))
+    .min(1, 'status needs at least one status key'),
+  done: yup.boolean(),
+  overdue: yup.boolean(),
+  priority: yup.array()
+    .of(yup.string().oneOf(['low', 'medium', 'high', 'urgent'], 'Priority must be one of: low, medium, high, urgent'))
+    .min(1, 'priority needs at least one priority'),
+  date: yup.object().shape({
+    from: dateRefField(),
+    to: dateRefField()
+  }).exact('date only accepts from and to').default(undefined),
+  time: yup.object().shape({
+    from: timeRefField(),
+    to: timeRefField()
+  }).exact('time only accepts from and to').default(undefined),
+  hasTime: yup.boolean(),
+  text: yup.string()
+    .trim()
+    .min(2, 'text must be at least 2 characters')
+    .max(200, 'text must be at most 200 characters')
+})
+  .exact('Unknown filter fields: ${properties}')
+  .test('overdue-open', 'overdue tasks are never done', (value) => !value?.overdue || value.done !== true);
+
+/**
+ * Validation schema for filter creation
+ * @type {yup.ObjectSchema}
+ * @description Requires a name; an empty query matches every task
+ */
+const createFilterSchema = yup.object().shape({
+  name: yup.string().trim().max(50, 'Name must be at most 50 characters').required('Name is required'),
+  query: filterQuerySchema.default(() => ({}))
+});
+
+/**
+ * Validation schema for filter updates
+ * @type {yup.ObjectSchema}
+ * @description All fields optional; a new query replaces the previous one
+ */
+const updateFilterSchema = yup.object().shape({
+  name: yup.string().trim().min(1, 'Name cannot be empty').max(50, 'Name must be at most 50 characters'),
+  query: filterQuerySchema.default(undefined)
+});
+
+/**
+ * Validation schema for running a filter
+ * @type {yup.ObjectSchema}
+ */
+const runFilterQuerySchema = yup.object().shape({
+  tz: yup.string()
+    .test('valid-timezone', 'tz must be a valid IANA timezone', (value) => !value || isValidTimeZone(value)),
+  page: yup.number()
+    .typeError('Page must be a number')
+    .integer('Page must be an integer')
+    .min(1, 'Page must be at least 1')
+    .default(1),
+  limit: yup.number()
+    .typeError('Limit must be a number')
+    .integer('Limit must be an integer')
+    .min(1, 'Limit must be at least 1')
+    .max(100, 'Limit must be at most 100')
+    .default(20)
+});
+
+/**
+ * Lists the smart lists in response format
+ * @returns {Object[]} Smart lists ({ id, name, query, smart: true })
+ */
+const listSmartLists = () => Object.entries(SMART_LISTS)
+  .map(([id, { name, query }]) => ({ _id: id, name, query, smart: true }));
+
+/**
+ * Sends the error response shared by the filter actions
+ * @param {Object} res - Express response object
+ * @param {Error} error - Caught error
+ * @param {string} action - Human readable action for the 500 message
+ * @returns {Object} Express response
+ */
+const handleError = (res, error, action) => {
+  console.error(`❌ Filter ${action} error:`, error);
+
+  if (error.code === 11000) {
+    return res.status(409).json({ message: 'A filter with this name already exists' });
+  }
+
+  if (error.name === 'ValidationError' || error.errors) {
+    // Yup or Mongoose validation error
+    const message = Array.isArray(error.errors) ? error.errors.join(', ') : error.message;
+    return res.status(400).json({
+      message: `Validation failed: ${message}`,
+      errors: Array.isArray(error.errors) ? error.errors : [error.message]
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+
+  return res.status(500).json({ message: `Internal server error ${action} filter` });
+};
+
+/**
+ * Saved Filter Controller Class
+ * @class FilterController
+ * @description Manages saved filters scoped to the authenticated user
+ */
+class FilterController {
+  /**
+   * List the user's saved filters and the built-in smart lists
+   * @async
+   * @method getFilters
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Saved filters sorted by name and smart lists, 500: Server error
+   */
+  async getFilters(req, res) {
+    try {
+      const filters = await SavedFilter.find({ user: req.user.userId })
+        .collation({ locale: 'es', strength: 2 })
+        .sort({ name: 1 });
+
+      res.status(200).json({
+        message: "Filters retrieved successfully",
+        smartLists: listSmartLists(),
+        filters
+      });
+    } catch (error) {
+      handleError(res, error, 'retrieving');
+    }
+  }
+
+  /**
+   * Get a single saved filter
+   * @async
+   * @method getFilterById
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Filter ID
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Filter, 404: Filter not found, 500: Server error
+   */
+  async getFilterById(req, res) {
+    try {
+      const filter = await SavedFilter.findOne({ _id: req.params.id, user: req.user.userId });
+
+      if (!filter) {
+        return res.status(404).json({ message: 'Filter not found' });
+      }
+
+      res.status(200).json({
+        message: "Filter retrieved successfully",
+        filter
+      });
+    } catch (error) {
+      handleError(res, error, 'retrieving');
+    }
+  }
+
+  /**
+   * Save a filter
+   * @async
+   * @method createFilter
+   * @param {Object} req - Express request object
+   * @param {Object} req.body - Filter data ({ name, query })
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 201: Filter created, 400: Validation error, 409: Name already used, 500: Server error
+   */
+  async createFilter(req, res) {
+    try {
+      const { name, query } = await createFilterSchema.validate(req.body, { abortEarly: false });
+
+      const filter = await SavedFilter.create({ name, query, user: req.user.userId });
+
+      res.status(201).json({
+        message: "Filter created successfully",
+        filter
+      });
+    } catch (error) {
+      handleError(res, error, 'creating');
+    }
+  }
+
+  /**
+   * Rename a saved filter or replace its query
+   * @async
+   * @method updateFilter
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Filter ID
+   * @param {Object} req.body - Changes ({ name, query })
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Filter updated, 400: Validation error, 404: Filter not found, 409: Name already used, 500: Server error
+   */
+  async updateFilter(req, res) {
+    try {
+      const { name, query } = await updateFilterSchema.validate(req.body, { abortEarly: false });
+
+      const changes = {};
+      if (name !== undefined) changes.name = name;
+      if (query !== undefined) changes.query = query;
+
+      const filter = await SavedFilter.findOneAndUpdate(
+        { _id: req.params.id, user: req.user.userId },
+        changes,
+        { new: true, runValidators: true }
+      );
+
+      if (!filter) {
+        return res.status(404).json({ message: 'Filter not found' });
+      }
+
+      res.status(200).json({
+        message: "Filter updated successfully",
+        filter
+      });
+    } catch (error) {
+      handleError(res, error, 'updating');
+    }
+  }
+
+  /**
+   * Delete a saved filter
+   * @async
+   * @method deleteFilter
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Filter ID
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Filter deleted, 404: Filter not found, 500: Server error
+   */
+  async deleteFilter(req, res) {
+    try {
+      const filter = await SavedFilter.findOneAndDelete({ _id: req.params.id, user: req.user.userId });
+
+      if (!filter) {
+        return res.status(404).json({ message: 'Filter not found' });
+      }
+
+      res.status(200).json({
+        message: "Filter deleted successfully"
+      });
+    } catch (error) {
+      handleError(res, error, 'deleting');
+    }
+  }
+
+  /**
+   * Run a saved filter or a smart list
+   * @async
+   * @method getFilterTasks
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Filter ID, or smart list key (today, upcoming, overdue, completed)
+   * @param {Object} req.query - Query parameters (tz, page, limit)
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Matching tasks with pagination, 400: Validation error, 404: Filter not found, 500: Server error
+   */
+  async getFilterTasks(req, res) {
+    try {
+      const { tz, page, limit } = await runFilterQuerySchema.validate(req.query, { abortEarly: false });
+      const userId = req.user.userId;
+      const { id } = req.params;
+
+      let filter = Object.hasOwn(SMART_LISTS, id) ? { _id: id, ...SMART_LISTS[id], smart: true } : null;
+      if (!filter && mongoose.isValidObjectId(id)) {
+        filter = await SavedFilter.findOne({ _id: id, user: userId });
+      }
+
+      if (!filter) {
+        return res.status(404).json({ message: 'Filter not found' });
+      }
+
+      // Cast the stored query the same way as on save (e.g. legacy status names)
+      const query = await filterQuerySchema.validate(filter.query, { abortEarly: false });
+      const timeZone = await resolveTimeZone(tz, userId);
+      const { tasks, totalTasks } = await runFilterQuery(query, userId, { timeZone, page, limit });
+      const totalPages = Math.ceil(totalTasks / limit);
+
+      res.status(200).json({
+        message: "Filter tasks retrieved successfully",
+        filter: { _id: filter._id, name: filter.name, query: filter.query, smart: Boolean(filter.smart) },
+        timezone: timeZone,
+        tasks,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalTasks,
+          limit,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      });
+    } catch (error) {
+      handleError(res, error, 'running');
+    }
+  }
+}
+
+// Create single instance of controller
+const controller = new FilterController();
+
+/**
+ * Saved Filter Controller Routes Export
+ * @namespace FilterController
+ * @description Filter handlers pre-configured with authentication middleware
+ *
+ * @exports {Object} FilterController - Object containing filter routes
+ * @example
+ * // Usage in router:
+ * router.get('/', ...FilterController.getFilters);
+ */
+export default {
+  /**
+   * @route GET /api/filters
+   * @middleware requireAuth - JWT authentication required
+   */
+  getFilters: [requireAuth, (req, res) => controller.getFilters(req, res)],
+
+  /**
+   * @route GET /api/filters/:id
+   * @middleware requireAuth - JWT authentication required
+   */
+  getFilterById: [requireAuth, (req, res) => controller.getFilterById(req, res)],
+
+  /**
+   * @route POST /api/filters
+   * @middleware requireAuth - JWT authentication required
+   */
+  createFilter: [requireAuth, (req, res) => controller.createFilter(req, res)],
+
+  /**
+   * @route PUT /api/filters/:id
+   * @middleware requireAuth - JWT authentication required
+   */
+  updateFilter: [requireAuth, (req, res) => controller.updateFilter(req, res)],
+
+  /**
+   * @route DELETE /api/filters/:id
+   * @middleware requireAuth - JWT authentication required
+   */
+  deleteFilter: [requireAuth, (req, res) => controller.deleteFilter(req, res)],
+
+  /**
+   * @route GET /api/filters/:id/tasks
+   * @middleware requireAuth - JWT authentication required
+   */
+  getFilterTasks: [requireAuth, (req, res) => controller.getFilterTasks(req, res)],
+};
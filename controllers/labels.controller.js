@@ -0,0 +1,266 @@
+/**
+ * @fileoverview Label Controller for TidyTask Application
+ * @description Handles CRUD operations for the authenticated user's labels
+ * @author TidyTask Team
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import * as yup from 'yup';
+import Label from '../models/label.model.js';
+import Task from '../models/task.model.js';
+import { requireAuth } from '../utils/decorators.js';
+
+/**
+ * Validation schema for label creation
+ * @type {yup.ObjectSchema}
+ * @description Requires a name; color is optional and must be #RRGGBB
+ */
+const createLabelSchema = yup.object().shape({
+  name: yup.string().trim().max(50, 'Name must be at most 50 characters').required('Name is required'),
+  color: yup.string().matches(/^#[0-9a-fA-F]{6}$/, 'Color must be in #RRGGBB format')
+});
+
+/**
+ * Validation schema for label updates
+ * @type {yup.ObjectSchema}
+ * @description All fields optional for partial updates
+ */
+const updateLabelSchema = yup.object().shape({
+  name: yup.string().trim().min(1, 'Name cannot be empty').max(50, 'Name must be at most 50 characters'),
+  color: yup.string().matches(/^#[0-9a-fA-F]{6}$/, 'Color must be in #RRGGBB format')
+});
+
+/**
+ * Sends the error response shared by the label actions
+ * @param {Object} res - Express response object
+ * @param {Error} error - Caught error
+ * @param {string} action - Human readable action for the 500 message
+ * @returns {Object} Express response
+ */
+const handleError = (res, error, action) => {
+  console.error(`❌ Label ${action} error:`, error);
+
+  if (error.code === 11000) {
+    return res.status(409).json({ message: 'A label with this name already exists' });
+  }
+
+  if (error.name === 'ValidationError' || error.errors) {
+    // Yup or Mongoose validation error
+    const message = Array.isArray(error.errors) ? error.errors.join(', ') : error.message;
+    return res.status(400).json({
+      message: `Validation failed: ${message}`,
+      errors: Array.isArray(error.errors) ? error.errors : [error.message]
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+
+  return res.status(500).json({ message: `Internal server error ${action} label` });
+};
+
+/**
+ * Label Controller Class
+ * @class LabelController
+ * @description Manages labels scoped to the authenticated user
+ */
+class LabelController {
+  /**
+   * List the user's labels with the number of tasks using each one
+   * @async
+   * @method getLabels
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Labels sorted by name, 500: Server error
+   */
+  async getLabels(req, res) {
+    try {
+      const userId = req.user.userId;
+
+      const [labels, counts] = await Promise.all([
+        Label.find({ user: userId }).collation({ locale: 'es', strength: 2 }).sort({ name: 1 }),
+        Task.aggregate([
+          { $match: { user: new mongoose.Types.ObjectId(userId) } },
+          { $unwind: '$labels' },
+          { $group: { _id: '$labels', count: { $sum: 1 } } }
+        ])
+      ]);
+
+      const countByLabel = new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+
+      res.status(200).json({
+        message: "Labels retrieved successfully",
+        labels: labels.map((label) => ({
+          ...label.toObject(),
+          taskCount: countByLabel.get(label._id.toString()) || 0
+        }))
+      });
+    } catch (error) {
+      handleError(res, error, 'retrieving');
+    }
+  }
+
+  /**
+   * Get a single label
+   * @async
+   * @method getLabelById
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Label ID
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Label, 404: Label not found, 500: Server error
+   */
+  async getLabelById(req, res) {
+    try {
+      const label = await Label.findOne({ _id: req.params.id, user: req.user.userId });
+
+      if (!label) {
+        return res.status(404).json({ message: 'Label not found' });
+      }
+
+      res.status(200).json({
+        message: "Label retrieved successfully",
+        label
+      });
+    } catch (error) {
+      handleError(res, error, 'retrieving');
+    }
+  }
+
+  /**
+   * Create a label
+   * @async
+   * @method createLabel
+   * @param {Object} req - Express request object
+   * @param {Object} req.body - Label data ({ name, color })
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 201: Label created, 400: Validation error, 409: Name already used, 500: Server error
+   */
+  async createLabel(req, res) {
+    try {
+      const { name, color } = await createLabelSchema.validate(req.body, { abortEarly: false });
+
+      const label = await Label.create({ name, color, user: req.user.userId });
+
+      res.status(201).json({
+        message: "Label created successfully",
+        label
+      });
+    } catch (error) {
+      handleError(res, error, 'creating');
+    }
+  }
+
+  /**
+   * Update a label's name or color
+   * @async
+   * @method updateLabel
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Label ID
+   * @param {Object} req.body - Changes ({ name, color })
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Label updated, 400: Validation error, 404: Label not found, 409: Name already used, 500: Server error
+   */
+  async updateLabel(req, res) {
+    try {
+      const { name, color } = await updateLabelSchema.validate(req.body, { abortEarly: false });
+
+      const changes = {};
+      if (name !== undefined) changes.name = name;
+      if (color !== undefined) changes.color = color;
+
+      const label = await Label.findOneAndUpdate(
+        { _id: req.params.id, user: req.user.userId },
+        changes,
+        { new: true, runValidators: true }
+      );
+
+      if (!label) {
+        return res.status(404).json({ message: 'Label not found' });
+      }
+
+      res.status(200).json({
+        message: "Label updated successfully",
+        label
+      });
+    } catch (error) {
+      handleError(res, error, 'updating');
+    }
+  }
+
+  /**
+   * Delete a label and detach it from every task
+   * @async
+   * @method deleteLabel
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Label ID
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Label deleted, 404: Label not found, 500: Server error
+   */
+  async deleteLabel(req, res) {
+    try {
+      const userId = req.user.userId;
+
+      const label = await Label.findOneAndDelete({ _id: req.params.id, user: userId });
+
+      if (!label) {
+        return res.status(404).json({ message: 'Label not found' });
+      }
+
+      // Every task referencing the label, including trashed ones and shared-project tasks
+      await Task.updateMany({ labels: label._id }, { $pull: { labels: label._id } });
+
+      res.status(200).json({
+        message: "Label deleted successfully"
+      });
+    } catch (error) {
+      handleError(res, error, 'deleting');
+    }
+  }
+}
+
+// Create single instance of controller
+const controller = new LabelController();
+
+/**
+ * Label Controller Routes Export
+ * @namespace LabelController
+ * @description Label handlers pre-configured with authentication middleware
+ *
+ * @exports {Object} LabelController - Object containing label routes
+ * @example
+ * // Usage in router:
+ * router.get('/', ...LabelController.getLabels);
+ */
+export default {
+  /**
+   * @route GET /api/labels
+   * @middleware requireAuth - JWT authentication required
+   */
+  getLabels: [requireAuth, (req, res) => controller.getLabels(req, res)],
+
+  /**
+   * @route GET /api/labels/:id
+   * @middleware requireAuth - JWT authentication required
+   */
+  getLabelById: [requireAuth, (req, res) => controller.getLabelById(req, res)],
+
+  /**
+   * @route POST /api/labels
+   * @middleware requireAuth - JWT authentication required
+   */
+  createLabel: [requireAuth, (req, res) => controller.createLabel(req, res)],
+
+  /**
+   * @route PUT /api/labels/:id
+   * @middleware requireAuth - JWT authentication required
+   */
+  updateLabel: [requireAuth, (req, res) => controller.updateLabel(req, res)],
+
+  /**
+   * @route DELETE /api/labels/:id
+   * @middleware requireAuth - JWT authentication required
+   */
+  deleteLabel: [requireAuth, (req, res) => controller.deleteLabel(req, res)],
+};
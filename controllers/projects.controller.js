@@ -0,0 +1,583 @@
+/**
+ * @fileoverview Project Controller for TidyTask Application
+ * @description Handles CRUD, archiving, task counts and collaborators of the authenticated user's projects
+ * @author TidyTask Team
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import * as yup from 'yup';
+import Project from '../models/project.model.js';
+import Task from '../models/task.model.js';
+import User from '../models/user.model.js';
+import { requireAuth } from '../utils/decorators.js';
+import {
+  MEMBER_ROLES,
+  hasRole,
+  getProjectRole,
+  projectAccessFilter
+} from '../utils/permissions.js';
+import {
+  getUserWorkflow,
+  getInitialStatus,
+  applyWorkflowChange,
+  loadWorkflowResolver
+} from '../utils/workflow.js';
+
+/**
+ * Validation schema for project creation
+ * @type {yup.ObjectSchema}
+ * @description Requires a name; description and color are optional
+ */
+const createProjectSchema = yup.object().shape({
+  name: yup.string().trim().max(100, 'Name must be at most 100 characters').required('Name is required'),
+  description: yup.string().trim().max(1000, 'Description must be at most 1000 characters').nullable(),
+  color: yup.string().matches(/^#[0-9a-fA-F]{6}$/, 'Color must be in #RRGGBB format')
+});
+
+/**
+ * Validation schema for project updates
+ * @type {yup.ObjectSchema}
+ * @description All fields optional for partial updates
+ */
+const updateProjectSchema = yup.object().shape({
+  name: yup.string().trim().min(1, 'Name cannot be empty').max(100, 'Name must be at most 100 characters'),
+  description: yup.string().trim().max(1000, 'Description must be at most 1000 characters').nullable(),
+  color: yup.string().matches(/^#[0-9a-fA-F]{6}$/, 'Color must be in #RRGGBB format')
+});
+
+/**
+ * Validation schema for inviting a collaborator
+ * @type {yup.ObjectSchema}
+ * @description The invited user must already be registered with that email
+ */
+const addMemberSchema = yup.object().shape({
+  email: yup.string().trim().email('Invalid email format').required('Email is required'),
+  role: yup.string().oneOf(MEMBER_ROLES, `Role must be one of: ${MEMBER_ROLES.join(', ')}`).default('editor')
+});
+
+/**
+ * Validation schema for changing a collaborator's role
+ * @type {yup.ObjectSchema}
+ */
+const updateMemberSchema = yup.object().shape({
+  role: yup.string().oneOf(MEMBER_ROLES, `Role must be one of: ${MEMBER_ROLES.join(', ')}`).required('Role is required')
+});
+
+/**
+ * Public user fields shown for project owners and members
+ * @type {string}
+ */
+const USER_FIELDS = 'firstName lastName email';
+
+/**
+ * Loads a project and checks the user has at least a role on it
+ * @async
+ * @param {string} projectId - Project ID
+ * @param {string} userId - Authenticated user ID
+ * @param {string} minRole - Minimum role required (viewer, editor, owner)
+ * @returns {Promise<{project?: Object, role?: string, error?: {status: number, message: string}}>}
+ * The project and role, or the HTTP error to answer with
+ */
+const loadProject = async (projectId, userId, minRole) => {
+  const project = await Project.findById(projectId);
+  const role = project ? getProjectRole(project, userId) : null;
+
+  if (!role) {
+    return { error: { status: 404, message: 'Project not found' } };
+  }
+
+  if (!hasRole(role, minRole)) {
+    return { error: { status: 403, message: 'Only the project owner can do this' } };
+  }
+
+  return { project, role };
+};
+
+/**
+ * Builds the per-status task counts of several projects
+ * @param {ObjectId[]} projectIds - Projects to count
+ * @param {Function} workflowOf - Workflow resolver from loadWorkflowResolver
+ * @returns {Promise<Map<string, Object>>} Counts keyed by project ID:
+ * { byStatus: { [statusKey]: number }, completed, total }, with every workflow status present
+ */
+const countTasksByStatus = async (projectIds, workflowOf) => {
+  const rows = await Task.aggregate([
+    {
+      $match: {
+        project: { $in: projectIds.map((projectId) => new mongoose.Types.ObjectId(projectId)) }
+      }
+    },
+    {
+      $group: {
+        _id: { project: '$project', status: '$status' },
+        count: { $sum: 1 },
+        completed: { $sum: { $cond: [{ $ne: [{ $ifNull: ['$completedAt', null] }, null] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const counts = new Map(projectIds.map((projectId) => [
+    projectId.toString(),
+    {
+      byStatus: Object.fromEntries(workflowOf({ project: projectId }).map((status) => [status.key, 0])),
+      completed: 0,
+      total: 0
+    }
+  ]));
+
+  for (const { _id, count, completed } of rows) {
+    const projectCounts = counts.get(_id.project.toString());
+    projectCounts.byStatus[_id.status] = (projectCounts.byStatus[_id.status] || 0) + count;
+    projectCounts.completed += completed;
+    projectCounts.total += count;
+  }
+
+  return counts;
+};
+
+/**
+ * Sends the error response shared by the project actions
+ * @param {Object} res - Express response object
+ * @param {Error} error - Caught error
+ * @param {string} action - Human readable action for the 500 message
+ * @returns {Object} Express response
+ */
+const handleError = (res, error, action) => {
+  console.error(`❌ Project ${action} error:`, error);
+
+  if (error.name === 'ValidationError' || error.errors) {
+    // Yup or Mongoose validation error
+    const message = Array.isArray(error.errors) ? error.errors.join(', ') : error.message;
+    return res.status(400).json({
+      message: `Validation failed: ${message}`,
+      errors: Array.isArray(error.errors) ? error.errors : [error.message]
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+
+  return res.status(500).json({ message: `Internal server error ${action} project` });
+};
+
+/**
+ * Project Controller Class
+ * @class ProjectController
+ * @description Manages projects scoped to the authenticated user
+ */
+class ProjectController {
+  /**
+   * List the user's projects with per-status task counts
+   * @async
+   * @method getProjects
+   * @param {Object} req - Express request object
+   * @param {string} [req.query.includeArchived] - "true" to include archived projects
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Projects sorted by name, 500: Server error
+   */
+  async getProjects(req, res) {
+    try {
+      const userId = req.user.userId;
+      // Own projects plus those shared with the user
+      const filter = projectAccessFilter(userId, 'viewer');
+
+      if (req.query.includeArchived !== 'true') {
+        filter.archived = false;
+      }
+
+      const projects = await Project.find(filter)
+        .sort({ archived: 1, name: 1 })
+        .populate('user', USER_FIELDS)
+        .populate('members.user', USER_FIELDS);
+      const counts = await countTasksByStatus(projects.map((project) => project._id), await loadWorkflowResolver(userId));
+
+      res.status(200).json({
+        message: "Projects retrieved successfully",
+        projects: projects.map((project) => ({
+          ...project.toObject(),
+          role: getProjectRole(project, userId),
+          taskCounts: counts.get(project._id.toString())
+        }))
+      });
+    } catch (error) {
+      handleError(res, error, 'retrieving');
+    }
+  }
+
+  /**
+   * Get a single project with its task counts
+   * @async
+   * @method getProjectById
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Project ID
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Project, 404: Project not found, 500: Server error
+   */
+  async getProjectById(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { project, role, error: accessError } = await loadProject(req.params.id, userId, 'viewer');
+
+      if (accessError) {
+        return res.status(accessError.status).json({ message: accessError.message });
+      }
+
+      await project.populate([
+        { path: 'user', select: USER_FIELDS },
+        { path: 'members.user', select: USER_FIELDS }
+      ]);
+      const counts = await countTasksByStatus([project._id], await loadWorkflowResolver(userId));
+
+      res.status(200).json({
+        message: "Project retrieved successfully",
+        project: {
+          ...project.toObject(),
+          role,
+          taskCounts: counts.get(project._id.toString())
+        }
+      });
+    } catch (error) {
+      handleError(res, error, 'retrieving');
+    }
+  }
+
+  /**
+   * Create a project
+   * @async
+   * @method createProject
+   * @param {Object} req - Express request object
+   * @param {Object} req.body - Project data ({ name, description, color })
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 201: Project created, 400: Validation error, 500: Server error
+   */
+  async createProject(req, res) {
+    try {
+      const { name, description, color } = await createProjectSchema.validate(req.body, { abortEarly: false });
+
+      const project = await Project.create({ name, description, color, user: req.user.userId });
+
+      res.status(201).json({
+        message: "Project created successfully",
+        project
+      });
+    } catch (error) {
+      handleError(res, error, 'creating');
+    }
+  }
+
+  /**
+   * Update a project's name, description or color
+   * @async
+   * @method updateProject
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Project ID
+   * @param {Object} req.body - Changes ({ name, description, color })
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Project updated, 400: Validation error, 403: Not the owner, 404: Project not found, 500: Server error
+   */
+  async updateProject(req, res) {
+    try {
+      const { name, description, color } = await updateProjectSchema.validate(req.body, { abortEarly: false });
+
+      const changes = {};
+      if (name !== undefined) changes.name = name;
+      if (description !== undefined) changes.description = description;
+      if (color !== undefined) changes.color = color;
+
+      const { error: accessError } = await loadProject(req.params.id, req.user.userId, 'owner');
+      if (accessError) {
+        return res.status(accessError.status).json({ message: accessError.message });
+      }
+
+      const project = await Project.findByIdAndUpdate(
+        req.params.id,
+        changes,
+        { new: true, runValidators: true }
+      );
+
+      res.status(200).json({
+        message: "Project updated successfully",
+        project
+      });
+    } catch (error) {
+      handleError(res, error, 'updating');
+    }
+  }
+
+  /**
+   * Archive or unarchive a project; its tasks are kept untouched
+   * @async
+   * @method setArchived
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Project ID
+   * @param {Object} res - Express response object
+   * @param {boolean} archived - Target archived state
+   * @returns {Promise<Object>} 200: Project updated, 403: Not the owner, 404: Project not found, 500: Server error
+   */
+  async setArchived(req, res, archived) {
+    try {
+      const { error: accessError } = await loadProject(req.params.id, req.user.userId, 'owner');
+      if (accessError) {
+        return res.status(accessError.status).json({ message: accessError.message });
+      }
+
+      const project = await Project.findByIdAndUpdate(
+        req.params.id,
+        { archived, archivedAt: archived ? new Date() : null },
+        { new: true }
+      );
+
+      res.status(200).json({
+        message: archived ? "Project archived successfully" : "Project unarchived successfully",
+        project
+      });
+    } catch (error) {
+      handleError(res, error, archived ? 'archiving' : 'unarchiving');
+    }
+  }
+
+  /**
+   * Delete a project; its tasks are kept and detached from it
+   * @async
+   * @method deleteProject
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Project ID
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Project deleted, 403: Not the owner, 404: Project not found, 500: Server error
+   */
+  async deleteProject(req, res) {
+    try {
+      const { project, error: accessError } = await loadProject(req.params.id, req.user.userId, 'owner');
+      if (accessError) {
+        return res.status(accessError.status).json({ message: accessError.message });
+      }
+
+      await project.deleteOne();
+
+      // Tasks go back to the personal list of the user who owns them
+      const detached = await Task.find({ project: project._id }).select('_id user');
+      const { modifiedCount } = await Task.updateMany(
+        { project: project._id },
+        { $set: { project: null } }
+      );
+
+      // From now on they follow their owner's workflow; unknown statuses restart at its first one
+      for (const ownerId of new Set(detached.map((task) => task.user.toString()))) {
+        const workflow = await getUserWorkflow(ownerId);
+        await applyWorkflowChange(
+          { _id: { $in: detached.map((task) => task._id) }, user: ownerId },
+          workflow,
+          {},
+          getInitialStatus(workflow)
+        );
+      }
+
+      res.status(200).json({
+        message: "Project deleted successfully",
+        detachedTasks: modifiedCount
+      });
+    } catch (error) {
+      handleError(res, error, 'deleting');
+    }
+  }
+
+  /**
+   * Share a project with another registered user
+   * @async
+   * @method addMember
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Project ID
+   * @param {Object} req.body - Invitation data ({ email, role })
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 201: Member added, 400: Validation error, 403: Not the owner, 404: Project or user not found, 409: Already a member, 500: Server error
+   */
+  async addMember(req, res) {
+    try {
+      const { email, role } = await addMemberSchema.validate(req.body, { abortEarly: false });
+
+      const { project, error: accessError } = await loadProject(req.params.id, req.user.userId, 'owner');
+      if (accessError) {
+        return res.status(accessError.status).json({ message: accessError.message });
+      }
+
+      const invitedUser = await User.findOne({ email }).select('_id');
+      if (!invitedUser) {
+        return res.status(404).json({ message: 'No registered user with this email' });
+      }
+
+      if (getProjectRole(project, invitedUser._id)) {
+        return res.status(409).json({ message: 'This user already has access to the project' });
+      }
+
+      project.members.push({ user: invitedUser._id, role });
+      await project.save();
+      await project.populate('members.user', USER_FIELDS);
+
+      res.status(201).json({
+        message: "Member added successfully",
+        members: project.members
+      });
+    } catch (error) {
+      handleError(res, error, 'sharing');
+    }
+  }
+
+  /**
+   * Change the role of a project member
+   * @async
+   * @method updateMember
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Project ID
+   * @param {string} req.params.userId - Member user ID
+   * @param {Object} req.body - New role ({ role })
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Role updated, 400: Validation error, 403: Not the owner, 404: Project or member not found, 500: Server error
+   */
+  async updateMember(req, res) {
+    try {
+      const { role } = await updateMemberSchema.validate(req.body, { abortEarly: false });
+
+      const { project, error: accessError } = await loadProject(req.params.id, req.user.userId, 'owner');
+      if (accessError) {
+        return res.status(accessError.status).json({ message: accessError.message });
+      }
+
+      const member = project.members.find((item) => item.user.toString() === req.params.userId);
+      if (!member) {
+        return res.status(404).json({ message: 'Member not found' });
+      }
+
+      member.role = role;
+      await project.save();
+      await project.populate('members.user', USER_FIELDS);
+
+      res.status(200).json({
+        message: "Member updated successfully",
+        members: project.members
+      });
+    } catch (error) {
+      handleError(res, error, 'updating member of');
+    }
+  }
+
+  /**
+   * Remove a member from a project (the owner removes anyone, members can leave)
+   * @async
+   * @method removeMember
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Project ID
+   * @param {string} req.params.userId - Member user ID
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Member removed, 403: Not allowed, 404: Project or member not found, 500: Server error
+   */
+  async removeMember(req, res) {
+    try {
+      const userId = req.user.userId;
+      const leaving = req.params.userId === userId.toString();
+
+      const { project, error: accessError } = await loadProject(req.params.id, userId, leaving ? 'viewer' : 'owner');
+      if (accessError) {
+        return res.status(accessError.status).json({ message: accessError.message });
+      }
+
+      const index = project.members.findIndex((item) => item.user.toString() === req.params.userId);
+      if (index === -1) {
+        return res.status(404).json({ message: 'Member not found' });
+      }
+
+      project.members.splice(index, 1);
+      await project.save();
+
+      // A former member can no longer be responsible for the project's tasks
+      await Task.updateMany(
+        { project: project._id, assignee: req.params.userId },
+        { $set: { assignee: null } }
+      );
+      await project.populate('members.user', USER_FIELDS);
+
+      res.status(200).json({
+        message: leaving ? "You left the project" : "Member removed successfully",
+        members: project.members
+      });
+    } catch (error) {
+      handleError(res, error, 'removing member of');
+    }
+  }
+}
+
+// Create single instance of controller
+const controller = new ProjectController();
+
+/**
+ * Project Controller Routes Export
+ * @namespace ProjectController
+ * @description Project handlers pre-configured with authentication middleware
+ *
+ * @exports {Object} ProjectController - Object containing project routes
+ * @example
+ * // Usage in router:
+ * router.get('/', ...ProjectController.getProjects);
+ */
+export default {
+  /**
+   * @route GET /api/projects
+   * @middleware requireAuth - JWT authentication required
+   */
+  getProjects: [requireAuth, (req, res) => controller.getProjects(req, res)],
+
+  /**
+   * @route GET /api/projects/:id
+   * @middleware requireAuth - JWT authentication required
+   */
+  getProjectById: [requireAuth, (req, res) => controller.getProjectById(req, res)],
+
+  /**
+   * @route POST /api/projects
+   * @middleware requireAuth - JWT authentication required
+   */
+  createProject: [requireAuth, (req, res) => controller.createProject(req, res)],
+
+  /**
+   * @route PUT /api/projects/:id
+   * @middleware requireAuth - JWT authentication required
+   */
+  updateProject: [requireAuth, (req, res) => controller.updateProject(req, res)],
+
+  /**
+   * @route POST /api/projects/:id/archive
+   * @middleware requireAuth - JWT authentication required
+   */
+  archiveProject: [requireAuth, (req, res) => controller.setArchived(req, res, true)],
+
+  /**
+   * @route POST /api/projects/:id/unarchive
+   * @middleware requireAuth - JWT authentication required
+   */
+  unarchiveProject: [requireAuth, (req, res) => controller.setArchived(req, res, false)],
+
+  /**
+   * @route DELETE /api/projects/:id
+   * @middleware requireAuth - JWT authentication required
+   */
+  deleteProject: [requireAuth, (req, res) => controller.deleteProject(req, res)],
+
+  /**
+   * @route POST /api/projects/:id/members
+   * @middleware requireAuth - JWT authentication required
+   */
+  addMember: [requireAuth, (req, res) => controller.addMember(req, res)],
+
+  /**
+   * @route PUT /api/projects/:id/members/:userId
+   * @middleware requireAuth - JWT authentication required
+   */
+  updateMember: [requireAuth, (req, res) => controller.updateMember(req, res)],
+
+  /**
+   * @route DELETE /api/projects/:id/members/:userId
+   * @middleware requireAuth - JWT authentication required
+   */
+  removeMember: [requireAuth, (req, res) => controller.removeMember(req, res)],
+};
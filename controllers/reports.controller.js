@@ -0,0 +1,304 @@
+/**
+ * @fileoverview Report Controller for TidyTask Application
+ * @description Summarizes the authenticated user's activity over a date range
+ * @author TidyTask Team
+ * @version 1.0.0
+ */
+
+import * as yup from 'yup';
+import Task from '../models/task.model.js';
+import User from '../models/user.model.js';
+import { requireAuth } from '../utils/decorators.js';
+import { resolveTimeZone } from '../utils/dueDates.js';
+import { loadTrackedSlices } from '../utils/timeTracking.js';
+import { findTasksInWindow } from '../utils/occurrences.js';
+import { taskAccessFilter } from '../utils/permissions.js';
+import { isDoneStatus, loadWorkflowResolver } from '../utils/workflow.js';
+import {
+  isValidTimeZone,
+  parseDateKey,
+  toDateKey,
+  addDaysToKey,
+  daysBetweenKeys,
+  startOfWeekKey,
+  startOfDayInZone,
+  taskDayKey
+} from '../utils/timezone.js';
+
+/**
+ * Longest range a report can cover, in days
+ * @type {number}
+ */
+const MAX_REPORT_DAYS = 366;
+
+/**
+ * Builds a yup field for a YYYY-MM-DD day
+ * @param {string} name - Field name used in error messages
+ * @returns {yup.StringSchema} Day key schema
+ */
+const dayField = (name) => yup.string()
+  .required(`${name} is required`)
+  .test('valid-date-key', `${name} must be a date in YYYY-MM-DD format`, (value) => !value || parseDateKey(value) !== null);
+
+/**
+ * Validation schema for report ranges
+ * @type {yup.ObjectSchema}
+ */
+const reportRangeSchema = yup.object().shape({
+  from: dayField('from'),
+  to: dayField('to')
+    .test('valid-range', `to must be on or after from and span at most ${MAX_REPORT_DAYS} days`, function(value) {
+      const { from } = this.parent;
+      if (!parseDateKey(from) || !parseDateKey(value)) return true;
+      const span = daysBetweenKeys(from, value);
+      return span >= 0 && span < MAX_REPORT_DAYS;
+    }),
+  tz: yup.string()
+    .test('valid-timezone', 'tz must be a valid IANA timezone', (value) => !value || isValidTimeZone(value))
+});
+
+/**
+ * Builds the filter of the tasks that are a user's own work: assigned to them, or theirs and unassigned
+ * @async
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} MongoDB filter
+ */
+const ownWorkFilter = async (userId) => ({
+  $and: [
+    await taskAccessFilter(userId, 'viewer'),
+    { $or: [{ assignee: userId }, { assignee: null, user: userId }] }
+  ]
+});
+
+/**
+ * Sends the error response shared by every report
+ * @param {Object} res - Express response object
+ * @param {Error} error - Caught error
+ * @param {string} report - Report name for the 500 message
+ * @returns {Object} Express response
+ */
+const handleError = (res, error, report) => {
+  console.error(`❌ ${report} report error:`, error);
+
+  if (error.name === 'ValidationError' || error.errors) {
+    // Yup validation error
+    const message = Array.isArray(error.errors) ? error.errors.join(', ') : error.message;
+    return res.status(400).json({
+      message: `Validation failed: ${message}`,
+      errors: Array.isArray(error.errors) ? error.errors : [error.message]
+    });
+  }
+
+  return res.status(500).json({ message: `Internal server error building the ${report} report` });
+};
+
+/**
+ * Report Controller Class
+ * @class ReportController
+ * @description Reports cover whole days of the requested (or the user's) timezone
+ */
+class ReportController {
+  /**
+   * Summarize the time the user tracked, per day and per task
+   * @async
+   * @method getTimeReport
+   * @param {Object} req - Express request object
+   * @param {Object} req.query - Range ({ from, to, tz })
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Totals per day and per task, 400: Validation error, 500: Server error
+   * @description Entries crossing midnight are split between their days and clipped to the range;
+   * a running timer counts up to now
+   */
+  async getTimeReport(req, res) {
+    try {
+      const query = await reportRangeSchema.validate(req.query, { abortEarly: false });
+      const userId = req.user.userId;
+      const { from, to } = query;
+      const timeZone = await resolveTimeZone(query.tz, userId);
+
+      const days = new Map();
+      for (let key = from; key <= to; key = addDaysToKey(key, 1)) {
+        days.set(key, { date: key, seconds: 0 });
+      }
+      const secondsByTask = new Map();
+
+      for (const { day, task, seconds } of await loadTrackedSlices(userId, from, to, timeZone)) {
+        days.get(day).seconds += seconds;
+        secondsByTask.set(task, (secondsByTask.get(task) || 0) + seconds);
+      }
+
+      const tasks = await Task.find({ _id: { $in: [...secondsByTask.keys()] } })
+        .withDeleted()
+        .select('title status project deletedAt');
+      const taskById = new Map(tasks.map((task) => [task._id.toString(), task]));
+
+      const perTask = [...secondsByTask.entries()]
+        .map(([taskId, seconds]) => {
+          const task = taskById.get(taskId);
+          return {
+            task: task
+              ? { _id: task._id, title: task.title, status: task.status, project: task.project, deleted: Boolean(task.deletedAt) }
+              : { _id: taskId, title: null, deleted: true },
+            seconds
+          };
+        })
+        .sort((a, b) => b.seconds - a.seconds);
+
+      const dayTotals = [...days.values()];
+
+      res.status(200).json({
+        message: "Time report retrieved successfully",
+        range: { from, to, timezone: timeZone },
+        totalSeconds: dayTotals.reduce((total, day) => total + day.seconds, 0),
+        days: dayTotals,
+        tasks: perTask
+      });
+    } catch (error) {
+      handleError(res, error, 'time');
+    }
+  }
+
+  /**
+   * Compare estimated and completed work per week, flagging overloaded days
+   * @async
+   * @method getEffortReport
+   * @param {Object} req - Express request object
+   * @param {Object} req.query - Range ({ from, to, tz }), widened to whole weeks (Monday to Sunday)
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Weekly planned, completed and tracked minutes with their days, 400: Validation error, 500: Server error
+   * @description Covers the tasks assigned to the user plus their own unassigned tasks. Planned work is
+   * the estimate of the tasks (and occurrences) scheduled in the week; completed work is the estimate
+   * of the tasks completed in it, by completion time (occurrences by their day). A day is over
+   * capacity when the estimates scheduled on it exceed the user's `dailyCapacityMinutes`.
+   */
+  async getEffortReport(req, res) {
+    try {
+      const query = await reportRangeSchema.validate(req.query, { abortEarly: false });
+      const userId = req.user.userId;
+      const timeZone = await resolveTimeZone(query.tz, userId);
+      const from = startOfWeekKey(query.from);
+      const to = addDaysToKey(startOfWeekKey(query.to), 6);
+
+      const [user, filter, workflowOf] = await Promise.all([
+        User.findById(userId).select('dailyCapacityMinutes'),
+        ownWorkFilter(userId),
+        loadWorkflowResolver(userId)
+      ]);
+      const capacityMinutes = user?.dailyCapacityMinutes ?? 480;
+
+      const weeks = new Map();
+      const days = new Map();
+      for (let weekKey = from; weekKey <= to; weekKey = addDaysToKey(weekKey, 7)) {
+        const week = {
+          week: weekKey,
+          from: weekKey,
+          to: addDaysToKey(weekKey, 6),
+          plannedMinutes: 0,
+          completedMinutes: 0,
+          trackedMinutes: 0,
+          unestimatedTasks: 0,
+          days: []
+        };
+        for (let offset = 0; offset < 7; offset += 1) {
+          const day = { date: addDaysToKey(weekKey, offset), scheduledMinutes: 0, overCapacity: false };
+          week.days.push(day);
+          days.set(day.date, day);
+        }
+        weeks.set(weekKey, week);
+      }
+      const weekOf = (dayKey) => weeks.get(startOfWeekKey(dayKey));
+
+      const [scheduled, completedTasks, trackedSlices] = await Promise.all([
+        findTasksInWindow(filter, from, to, workflowOf),
+        Task.find({
+          $and: [
+            filter,
+            {
+              recurrence: null,
+              estimatedMinutes: { $ne: null },
+              completedAt: { $gte: startOfDayInZone(from, timeZone), $lt: startOfDayInZone(addDaysToKey(to, 1), timeZone) }
+            }
+          ]
+        }).select('estimatedMinutes completedAt'),
+        loadTrackedSlices(userId, from, to, timeZone)
+      ]);
+
+      for (const task of scheduled) {
+        const dayKey = taskDayKey(task.date);
+        const week = weekOf(dayKey);
+        if (!task.estimatedMinutes) {
+          week.unestimatedTasks += 1;
+          continue;
+        }
+
+        days.get(dayKey).scheduledMinutes += task.estimatedMinutes;
+        week.plannedMinutes += task.estimatedMinutes;
+        // Occurrences have no completion time of their own
+        if (task.isOccurrence && isDoneStatus(workflowOf(task), task.status)) {
+          week.completedMinutes += task.estimatedMinutes;
+        }
+      }
+
+      for (const task of completedTasks) {
+        weekOf(toDateKey(task.completedAt, timeZone)).completedMinutes += task.estimatedMinutes;
+      }
+
+      const trackedSeconds = new Map();
+      for (const { day, seconds } of trackedSlices) {
+        const weekKey = startOfWeekKey(day);
+        trackedSeconds.set(weekKey, (trackedSeconds.get(weekKey) || 0) + seconds);
+      }
+
+      for (const week of weeks.values()) {
+        week.trackedMinutes = Math.round((trackedSeconds.get(week.week) || 0) / 60);
+      }
+      for (const day of days.values()) {
+        day.overCapacity = day.scheduledMinutes > capacityMinutes;
+      }
+
+      const weekList = [...weeks.values()];
+      const sum = (field) => weekList.reduce((total, week) => total + week[field], 0);
+
+      res.status(200).json({
+        message: "Effort report retrieved successfully",
+        range: { from, to, timezone: timeZone },
+        capacityMinutes,
+        totals: {
+          plannedMinutes: sum('plannedMinutes'),
+          completedMinutes: sum('completedMinutes'),
+          trackedMinutes: sum('trackedMinutes')
+        },
+        overCapacityDays: [...days.values()].filter((day) => day.overCapacity).map((day) => day.date),
+        weeks: weekList
+      });
+    } catch (error) {
+      handleError(res, error, 'effort');
+    }
+  }
+}
+
+const controller = new ReportController();
+
+/**
+ * Report Controller Routes Export
+ * @namespace ReportController
+ * @description Report handlers pre-configured with authentication middleware
+ *
+ * @exports {Object} ReportController - Object containing report routes
+ * @example
+ * // Usage in the reports router:
+ * router.get('/time', ...ReportController.getTimeReport);
+ */
+export default {
+  /**
+   * @route GET /api/reports/time
+   * @middleware requireAuth - JWT authentication required
+   */
+  getTimeReport: [requireAuth, (req, res) => controller.getTimeReport(req, res)],
+
+  /**
+   * @route GET /api/reports/effort
+   * @middleware requireAuth - JWT authentication required
+   */
+  getEffortReport: [requireAuth, (req, res) => controller.getEffortReport(req, res)],
+};
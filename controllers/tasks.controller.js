@@ -1,8 +1,154 @@
 // Import required middleware and validation library
 import { requireAuth, validateRequest } from '../utils/decorators.js';
+import mongoose from 'mongoose';
 import * as yup from 'yup';
-import Task from '../models/task.model.js';
+import Task, { TASK_POPULATE, MAX_ESTIMATED_MINUTES } from '../models/task.model.js';
 import User from '../models/user.model.js';
+import EmailService from '../services/email.service.js';
+import TrashService from '../services/trash.service.js';
+import UndoService from '../services/undo.service.js';
+import AttachmentService from '../services/attachment.service.js';
+import Label from '../models/label.model.js';
+import Project from '../models/project.model.js';
+import TaskHistory from '../models/taskHistory.model.js';
+import Comment from '../models/comment.model.js';
+import TimeEntry from '../models/timeEntry.model.js';
+import {
+  hasRole,
+  getProjectRole,
+  projectAccessFilter,
+  getTaskRole,
+  taskAccessFilter,
+  authorizeTask
+} from '../utils/permissions.js';
+import {
+  isValidTimeZone,
+  parseDateKey,
+  toDateKey,
+  addDaysToKey,
+  startOfWeekKey,
+  taskDayKey,
+  taskDayStart,
+  daysBetweenKeys
+} from '../utils/timezone.js';
+import {
+  RECURRENCE_FREQUENCIES,
+  NTH_WEEKDAY_POSITIONS,
+  expandOccurrences
+} from '../utils/recurrence.js';
+import {
+  STATUS_KEY_PATTERN,
+  normalizeStatus,
+  findStatus,
+  isDoneStatus,
+  getInitialStatus,
+  getCompletedAt,
+  getTaskWorkflow,
+  getProjectWorkflow,
+  getUserWorkflow,
+  loadWorkflowResolver
+} from '../utils/workflow.js';
+import { findTasksInWindow } from '../utils/occurrences.js';
+import { getUserTimeZone, resolveTimeZone, withDueInfo } from '../utils/dueDates.js';
+import { MAX_REMINDERS, MAX_REMINDER_MINUTES, scheduleReminders } from '../utils/reminders.js';
+import { runFilterQuery } from '../utils/filterQuery.js';
+import { snapshotTask, recordTaskHistory } from '../utils/history.js';
+import { getSearchTerms, buildSnippet } from '../utils/search.js';
+import { withCommentCounts } from '../utils/comments.js';
+import { checkBlockers } from '../utils/dependencies.js';
+
+// Define validation schema for recurrence rules
+// Shared by task creation and update; null removes the recurrence
+const recurrenceRuleSchema = yup.object().shape({
+  frequency: yup.string()
+    .oneOf(RECURRENCE_FREQUENCIES, `Recurrence frequency must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}`)
+    .required('Recurrence frequency is required'),
+  interval: yup.number().integer().min(1, 'Recurrence interval must be at least 1').max(99, 'Recurrence interval must be at most 99'),
+  byWeekday: yup.array().of(
+    yup.number().integer().min(1, 'Weekdays go from 1 (Monday) to 7 (Sunday)').max(7, 'Weekdays go from 1 (Monday) to 7 (Sunday)')
+  ),
+  nthWeekday: yup.object().shape({
+    weekday: yup.number().integer().min(1).max(7).required('nthWeekday.weekday is required'),
+    nth: yup.number().oneOf(NTH_WEEKDAY_POSITIONS, 'nthWeekday.nth must be 1-5 or -1 (last)').required('nthWeekday.nth is required')
+  }).nullable().default(undefined),
+  until: yup.date().nullable(),
+  count: yup.number().integer().min(1, 'Recurrence count must be at least 1').max(1000, 'Recurrence count must be at most 1000').nullable()
+})
+  .nullable()
+  .default(undefined)
+  .test('until-or-count', 'Recurrence can end with until or count, not both', (value) => !value || !(value.until && value.count))
+  .test('nth-only-monthly', 'nthWeekday is only allowed for monthly recurrence', (value) => !value || !value.nthWeekday || value.frequency === 'monthly');
+
+/**
+ * Builds a yup field that accepts a YYYY-MM-DD calendar day
+ * @param {string} name - Field name used in error messages
+ * @returns {yup.StringSchema} String schema validating the day
+ */
+const dateKeyField = (name) => yup.string()
+  .test('valid-date-key', `${name} must be a date in YYYY-MM-DD format`, (value) => !value || parseDateKey(value) !== null);
+
+/**
+ * Validates that a from/to window is ordered and at most 366 days long
+ * @param {string} from - First day of the window
+ * @param {string} to - Last day of the window
+ * @returns {boolean} True if the window is valid or incomplete
+ */
+const isValidWindow = (from, to) => {
+  if (!parseDateKey(from) || !parseDateKey(to)) return true;
+  const span = daysBetweenKeys(from, to);
+  return span >= 0 && span <= 366;
+};
+
+// Define validation schema for task label lists (array of label IDs)
+const labelIdsSchema = yup.array()
+  .of(yup.string().test('valid-object-id', 'Labels must be valid IDs', (value) => mongoose.isValidObjectId(value)))
+  .max(20, 'A task can have at most 20 labels');
+
+// Define validation schema for the task project (ID, or null to leave the project)
+const projectIdSchema = yup.string()
+  .nullable()
+  .test('valid-object-id', 'Project must be a valid ID', (value) => !value || mongoose.isValidObjectId(value));
+
+// Define validation schema for task status values
+// Keys of the task's workflow; the aliases "todo", "in_progress" and "done" are mapped to the built-in keys.
+// Whether the key exists is checked in each handler, since the workflow depends on the task's project
+const statusField = () => yup.string()
+  .transform((value) => normalizeStatus(value))
+  .matches(STATUS_KEY_PATTERN, 'Status must be a workflow status key');
+
+/**
+ * Distance between consecutive tasks after a column is renumbered
+ * @type {number}
+ */
+const BOARD_POSITION_STEP = 1024;
+
+/**
+ * Smallest gap between two neighbours that still fits a task between them
+ * @type {number}
+ */
+const MIN_BOARD_GAP = 1e-6;
+
+// Define validation schema for task reminders
+// Each reminder is either relative to the due time (minutesBefore) or at a fixed instant (at);
+// the list replaces the task's reminders
+const remindersSchema = yup.array().of(yup.object().shape({
+  minutesBefore: yup.number()
+    .typeError('minutesBefore must be a number')
+    .integer('minutesBefore must be an integer')
+    .min(0, 'minutesBefore must be at least 0')
+    .max(MAX_REMINDER_MINUTES, `minutesBefore must be at most ${MAX_REMINDER_MINUTES}`),
+  at: yup.date().typeError('Reminder at must be a valid date')
+}).test('reminder-kind', 'Each reminder needs either minutesBefore or at', (value) =>
+  !value || ((value.minutesBefore !== undefined) !== (value.at !== undefined))
+)).max(MAX_REMINDERS, `A task can have at most ${MAX_REMINDERS} reminders`);
+
+// Define validation schema for the effort estimate, in minutes (null clears it)
+const estimatedMinutesSchema = yup.number()
+  .nullable()
+  .typeError('estimatedMinutes must be a number')
+  .integer('estimatedMinutes must be an integer')
+  .min(1, 'estimatedMinutes must be at least 1')
+  .max(MAX_ESTIMATED_MINUTES, `estimatedMinutes must be at most ${MAX_ESTIMATED_MINUTES}`);
 
 // Define validation schema for task creation
 // Ensures all required fields are present and valid
@@ -33,7 +179,17 @@ const createTaskSchema = yup.object().shape({
       }
       return true;
     }),
-  status: yup.string().oneOf(['Por hacer', 'Haciendo', 'Hecho']).default('Por hacer')
+  status: statusField(),
+  priority: yup.string().oneOf(['low', 'medium', 'high', 'urgent'], 'Priority must be one of: low, medium, high, urgent').default('medium'),
+  estimatedMinutes: estimatedMinutesSchema,
+  labels: labelIdsSchema,
+  project: projectIdSchema,
+  recurrence: recurrenceRuleSchema,
+  reminders: remindersSchema,
+  checklist: yup.array().of(yup.object().shape({
+    text: yup.string().trim().max(500, 'Checklist text must be at most 500 characters').required('Checklist text is required'),
+    done: yup.boolean()
+  })).max(100, 'A checklist can hold at most 100 items')
 });
 
 // Define validation schema for task updates
@@ -58,9 +214,725 @@ const updateTaskSchema = yup.object().shape({
       const [hours, minutes] = value.split(':').map(Number);
       return hours >= 0 && hours <= 23 && minutes >= 0 && minutes <= 59;
     }),
-  status: yup.string().oneOf(['Por hacer', 'Haciendo', 'Hecho'])
+  status: statusField(),
+  priority: yup.string().oneOf(['low', 'medium', 'high', 'urgent'], 'Priority must be one of: low, medium, high, urgent'),
+  estimatedMinutes: estimatedMinutesSchema,
+  labels: labelIdsSchema,
+  project: projectIdSchema,
+  recurrence: recurrenceRuleSchema,
+  reminders: remindersSchema
+});
+
+/**
+ * Tasks per page of GET /api/tasks when only `page` is sent
+ * @type {number}
+ */
+const DEFAULT_TASKS_PAGE_SIZE = 10;
+
+// Define validation schema for task listing query parameters
+// Query values arrive as strings, yup casts page/limit to numbers.
+// page and limit have no default: without them the whole list is returned
+const listTasksQuerySchema = yup.object().shape({
+  status: statusField(),
+  search: yup.string().trim().max(200, 'Search must be at most 200 characters'),
+  page: yup.number()
+    .typeError('Page must be a number')
+    .integer('Page must be an integer')
+    .min(1, 'Page must be at least 1'),
+  limit: yup.number()
+    .typeError('Limit must be a number')
+    .integer('Limit must be an integer')
+    .min(1, 'Limit must be at least 1')
+    .max(100, 'Limit must be at most 100'),
+  sortBy: yup.string()
+    .oneOf(['title', 'date', 'createdAt', 'updatedAt', 'status'], 'sortBy must be one of: title, date, createdAt, updatedAt, status')
+    .default('createdAt'),
+  sortOrder: yup.string()
+    .oneOf(['asc', 'desc'], 'sortOrder must be asc or desc')
+    .default('desc'),
+  labels: yup.string()
+    .test('valid-label-ids', 'labels must be a comma-separated list of label IDs', (value) =>
+      !value || value.split(',').every((labelId) => mongoose.isValidObjectId(labelId.trim()))),
+  labelMode: yup.string()
+    .oneOf(['and', 'or'], 'labelMode must be and or or')
+    .default('or'),
+  assignedTo: yup.string()
+    .test('valid-assignee', 'assignedTo must be "me", "none" or a user ID', (value) =>
+      !value || value === 'me' || value === 'none' || mongoose.isValidObjectId(value)),
+  project: yup.string()
+    .test('valid-project', 'project must be a project ID or "none"', (value) =>
+      !value || value === 'none' || mongoose.isValidObjectId(value)),
+  from: dateKeyField('from')
+    .test('window-complete', 'from and to must be provided together', function(value) {
+      return !value === !this.parent.to;
+    }),
+  to: dateKeyField('to')
+    .test('valid-range', 'to must be on or after from and span at most 366 days', function(value) {
+      return !value || isValidWindow(this.parent.from, value);
+    }),
+  tz: yup.string()
+    .test('valid-timezone', 'tz must be a valid IANA timezone', (value) => !value || isValidTimeZone(value))
+});
+
+// Define validation schema for full-text search query parameters
+// status takes one or more comma-separated keys; from/to may be used alone or together
+const searchQuerySchema = yup.object().shape({
+  q: yup.string()
+    .trim()
+    .min(2, 'Search text must be at least 2 characters')
+    .max(200, 'Search text must be at most 200 characters')
+    .required('Search text (q) is required'),
+  status: yup.string()
+    .test('valid-statuses', 'status must be a comma-separated list of status keys', (value) =>
+      !value || value.split(',').every((key) => STATUS_KEY_PATTERN.test(normalizeStatus(key.trim())))),
+  from: dateKeyField('from'),
+  to: dateKeyField('to')
+    .test('valid-order', 'to must be on or after from', function(value) {
+      return !value || !this.parent.from || !parseDateKey(this.parent.from) || daysBetweenKeys(this.parent.from, value) >= 0;
+    }),
+  tz: yup.string()
+    .test('valid-timezone', 'tz must be a valid IANA timezone', (value) => !value || isValidTimeZone(value)),
+  page: yup.number()
+    .typeError('Page must be a number')
+    .integer('Page must be an integer')
+    .min(1, 'Page must be at least 1')
+    .default(1),
+  limit: yup.number()
+    .typeError('Limit must be a number')
+    .integer('Limit must be an integer')
+    .min(1, 'Limit must be at least 1')
+    .max(100, 'Limit must be at most 100')
+    .default(20)
+});
+
+// Define validation schema for calendar query parameters
+// from/to are calendar days (YYYY-MM-DD) interpreted in the requested timezone
+const calendarQuerySchema = yup.object().shape({
+  from: dateKeyField('from').required('from is required'),
+  to: dateKeyField('to')
+    .required('to is required')
+    .test('valid-range', 'to must be on or after from and span at most 366 days', function(value) {
+      return !value || isValidWindow(this.parent.from, value);
+    }),
+  groupBy: yup.string()
+    .oneOf(['day', 'week'], 'groupBy must be day or week')
+    .default('day'),
+  tz: yup.string()
+    .test('valid-timezone', 'tz must be a valid IANA timezone', (value) => !value || isValidTimeZone(value))
+});
+
+// Define validation schema for the "what to do next" query
+const nextTasksQuerySchema = yup.object().shape({
+  limit: yup.number()
+    .typeError('Limit must be a number')
+    .integer('Limit must be an integer')
+    .min(1, 'Limit must be at least 1')
+    .max(50, 'Limit must be at most 50')
+    .default(5),
+  tz: yup.string()
+    .test('valid-timezone', 'tz must be a valid IANA timezone', (value) => !value || isValidTimeZone(value))
+});
+
+// Define validation schema for overdue listing query parameters
+const overdueQuerySchema = yup.object().shape({
+  tz: yup.string()
+    .test('valid-timezone', 'tz must be a valid IANA timezone', (value) => !value || isValidTimeZone(value)),
+  page: yup.number()
+    .typeError('Page must be a number')
+    .integer('Page must be an integer')
+    .min(1, 'Page must be at least 1')
+    .default(1),
+  limit: yup.number()
+    .typeError('Limit must be a number')
+    .integer('Limit must be an integer')
+    .min(1, 'Limit must be at least 1')
+    .max(100, 'Limit must be at most 100')
+    .default(20)
+});
+
+// Define validation schema for single task query parameters
+const taskQuerySchema = yup.object().shape({
+  tz: yup.string()
+    .test('valid-timezone', 'tz must be a valid IANA timezone', (value) => !value || isValidTimeZone(value))
+});
+
+// Define validation schema for the kanban board query
+const boardQuerySchema = yup.object().shape({
+  project: yup.string()
+    .test('valid-project', 'project must be a project ID or "none"', (value) =>
+      !value || value === 'none' || mongoose.isValidObjectId(value)),
+  assignedTo: yup.string()
+    .test('valid-assignee', 'assignedTo must be "me", "none" or a user ID', (value) =>
+      !value || value === 'me' || value === 'none' || mongoose.isValidObjectId(value)),
+  limit: yup.number()
+    .typeError('Limit must be a number')
+    .integer('Limit must be an integer')
+    .min(1, 'Limit must be at least 1')
+    .max(500, 'Limit must be at most 500')
+    .default(200)
+});
+
+// Define validation schema for kanban moves
+// afterId is the card the task is dropped below, beforeId the card it is dropped above
+const moveTaskSchema = yup.object().shape({
+  status: statusField().required('Status is required'),
+  afterId: yup.string().test('valid-object-id', 'afterId must be a valid task ID', (value) => !value || mongoose.isValidObjectId(value)),
+  beforeId: yup.string().test('valid-object-id', 'beforeId must be a valid task ID', (value) => !value || mongoose.isValidObjectId(value))
+});
+
+/**
+ * Ranking weight of each priority (higher goes first)
+ * @type {Object<string, number>}
+ */
+const PRIORITY_WEIGHTS = { low: 1, medium: 2, high: 3, urgent: 4 };
+
+/**
+ * Days ahead scanned for the next open occurrence of recurring tasks
+ * @type {number}
+ */
+const NEXT_OCCURRENCE_LOOKAHEAD_DAYS = 60;
+
+// Define validation schema for task assignment
+// The assignee can be given by user ID or by email
+const assignTaskSchema = yup.object().shape({
+  userId: yup.string().test('valid-object-id', 'userId must be a valid ID', (value) => !value || mongoose.isValidObjectId(value)),
+  email: yup.string().trim().email('Invalid email format')
+}).test('has-assignee', 'Provide userId or email', (value) => value && Boolean(value.userId || value.email));
+
+/**
+ * Operations accepted by the bulk endpoint
+ * @type {string[]}
+ */
+const BULK_OPERATION_TYPES = ['create', 'update', 'delete', 'status'];
+
+/**
+ * Maximum number of operations in one bulk request
+ * @type {number}
+ */
+const MAX_BULK_OPERATIONS = 100;
+
+// Define validation schema for bulk requests
+// Only the envelope is checked here; each operation's data is validated with the
+// single-task schema of its type so one bad item does not reject the whole batch
+const bulkRequestSchema = yup.object().shape({
+  atomic: yup.boolean().default(false),
+  operations: yup.array()
+    .of(yup.object().shape({
+      op: yup.string()
+        .oneOf(BULK_OPERATION_TYPES, `op must be one of: ${BULK_OPERATION_TYPES.join(', ')}`)
+        .required('op is required'),
+      id: yup.string().when('op', {
+        is: (op) => op !== 'create',
+        then: (schema) => schema
+          .required('id is required')
+          .test('valid-object-id', 'id must be a valid task ID', (value) => !value || mongoose.isValidObjectId(value))
+      }),
+      data: yup.object().when('op', {
+        is: (op) => op === 'create' || op === 'update',
+        then: (schema) => schema.required('data is required')
+      }),
+      status: yup.string().when('op', {
+        is: 'status',
+        then: (schema) => schema.required('status is required')
+      })
+    }))
+    .min(1, 'operations must contain at least one operation')
+    .max(MAX_BULK_OPERATIONS, `operations can contain at most ${MAX_BULK_OPERATIONS} operations`)
+    .required('operations is required')
 });
 
+// Define validation schema for trash listing query parameters
+const trashQuerySchema = yup.object().shape({
+  page: yup.number()
+    .typeError('Page must be a number')
+    .integer('Page must be an integer')
+    .min(1, 'Page must be at least 1')
+    .default(1),
+  limit: yup.number()
+    .typeError('Limit must be a number')
+    .integer('Limit must be an integer')
+    .min(1, 'Limit must be at least 1')
+    .max(100, 'Limit must be at most 100')
+    .default(20)
+});
+
+// Define validation schema for undo requests
+const undoSchema = yup.object().shape({
+  token: yup.string().trim().required('Undo token is required')
+});
+
+// Define validation schema for task history query parameters
+const historyQuerySchema = yup.object().shape({
+  page: yup.number()
+    .typeError('Page must be a number')
+    .integer('Page must be an integer')
+    .min(1, 'Page must be at least 1')
+    .default(1),
+  limit: yup.number()
+    .typeError('Limit must be a number')
+    .integer('Limit must be an integer')
+    .min(1, 'Limit must be at least 1')
+    .max(100, 'Limit must be at most 100')
+    .default(50)
+});
+
+// Define validation schema for single-occurrence changes of a recurring task
+const occurrenceOverrideBodySchema = yup.object().shape({
+  status: statusField(),
+  cancelled: yup.boolean()
+}).test('has-change', 'Provide status or cancelled', (value) => value && (value.status !== undefined || value.cancelled !== undefined));
+
+/**
+ * Converts an HH:MM time string to minutes after midnight
+ * @param {string} time - Time in HH:MM format
+ * @returns {number|null} Minutes after midnight, or null when no time is set
+ */
+const timeToMinutes = (time) => {
+  if (!time) return null;
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Orders tasks of the same day: tasks without time first, then by time, then by title
+ * @param {Object} a - Task document
+ * @param {Object} b - Task document
+ * @returns {number} Sort comparison result
+ */
+const compareTasksWithinDay = (a, b) => {
+  const aMinutes = timeToMinutes(a.time);
+  const bMinutes = timeToMinutes(b.time);
+  if (aMinutes !== bMinutes) {
+    if (aMinutes === null) return -1;
+    if (bMinutes === null) return 1;
+    return aMinutes - bMinutes;
+  }
+  return a.title.localeCompare(b.title);
+};
+
+/**
+ * Builds an in-memory comparator equivalent to a MongoDB sort on one field
+ * @param {string} field - Field to sort by
+ * @param {number} direction - 1 for ascending, -1 for descending
+ * @returns {Function} Comparator for Array.prototype.sort
+ */
+const compareByField = (field, direction) => (a, b) => {
+  const aValue = a[field];
+  const bValue = b[field];
+  let result;
+  if (aValue instanceof Date || bValue instanceof Date) {
+    result = new Date(aValue).getTime() - new Date(bValue).getTime();
+  } else {
+    result = String(aValue ?? '').localeCompare(String(bValue ?? ''));
+  }
+  if (result === 0) {
+    result = new Date(a.date).getTime() - new Date(b.date).getTime()
+      || String(a._id).localeCompare(String(b._id));
+  }
+  return result * direction;
+};
+
+/**
+ * Checks that every label ID belongs to the user
+ * @param {string[]} labelIds - Label IDs sent by the client
+ * @param {string} userId - Owner of the task the labels go on (labels are private to their owner)
+ * @returns {Promise<boolean>} True if all labels exist and are owned by the user
+ */
+const labelsBelongToUser = async (labelIds, userId) => {
+  const uniqueIds = [...new Set(labelIds.map(String))];
+  if (!uniqueIds.length) return true;
+  const owned = await Label.countDocuments({ _id: { $in: uniqueIds }, user: userId });
+  return owned === uniqueIds.length;
+};
+
+/**
+ * Checks that the user may put tasks in a project
+ * @param {string} projectId - Project ID sent by the client
+ * @param {string} userId - Authenticated user ID
+ * @returns {Promise<{status: number, message: string}|null>} HTTP error to answer with, or null if allowed
+ * @description Requires the editor role (or ownership) and a non-archived project
+ */
+const checkProjectForTasks = async (projectId, userId) => {
+  const project = await Project.findById(projectId).select('user members archived');
+  const role = project ? getProjectRole(project, userId) : null;
+  if (!role) return { status: 400, message: 'Project not found' };
+  if (!hasRole(role, 'editor')) return { status: 403, message: 'You do not have permission to add tasks to this project' };
+  if (project.archived) return { status: 400, message: 'Cannot add tasks to an archived project' };
+  return null;
+};
+
+/**
+ * Resolves the status a task gets in its workflow
+ * @param {Object} taskData - Task owner and project ({ user, project })
+ * @param {string} [requestedStatus] - Status sent by the client (key or legacy name)
+ * @param {string} [currentStatus] - Status kept when none is requested, if the workflow still has it
+ * @returns {Promise<{workflow?: Object[], status?: string, error?: string}>} The workflow and the
+ * status to save (the workflow's initial status by default), or a client error message
+ */
+const resolveWorkflowStatus = async (taskData, requestedStatus, currentStatus) => {
+  const workflow = await getTaskWorkflow(taskData);
+  const status = requestedStatus !== undefined ? normalizeStatus(requestedStatus) : currentStatus;
+
+  if (status && findStatus(workflow, status)) {
+    return { workflow, status };
+  }
+
+  if (requestedStatus !== undefined) {
+    return { error: `Status "${requestedStatus}" is not part of the task's workflow` };
+  }
+
+  return { workflow, status: getInitialStatus(workflow) };
+};
+
+/**
+ * Renumbers a kanban column so its tasks are BOARD_POSITION_STEP apart again
+ * @param {Object} scopeFilter - Tasks the board is made of (see taskAccessFilter)
+ * @param {string} status - Column to renumber
+ * @returns {Promise<void>}
+ * @description Only needed when repeated moves between the same neighbours exhaust the
+ * fractional gap; regular moves touch a single task.
+ */
+const rebalanceColumn = async (scopeFilter, status) => {
+  const column = await Task.find({ ...scopeFilter, status }).sort({ boardPosition: 1, _id: 1 }).select('_id');
+  if (!column.length) return;
+
+  await Task.bulkWrite(column.map((task, index) => ({
+    updateOne: {
+      filter: { _id: task._id },
+      update: { $set: { boardPosition: (index + 1) * BOARD_POSITION_STEP } }
+    }
+  })));
+};
+
+/**
+ * Computes the board position for a task dropped between two neighbours of a column
+ * @param {Object} scopeFilter - Tasks the board is made of
+ * @param {string} taskId - Task being moved (ignored as a neighbour)
+ * @param {string} status - Target column
+ * @param {string} [afterId] - Task the moved one goes right below
+ * @param {string} [beforeId] - Task the moved one goes right above
+ * @returns {Promise<{position?: number, error?: string}>} New position, or a client error message.
+ * position is null when the neighbours are too close and the column must be rebalanced first.
+ * @description A missing neighbour is looked up in the whole column, so placing a task right
+ * after another keeps it there in any filtered view of the board; with no neighbours the task
+ * goes to the bottom.
+ */
+const computeBoardPosition = async (scopeFilter, taskId, status, afterId, beforeId) => {
+  const columnFilter = { ...scopeFilter, status, _id: { $ne: taskId } };
+
+  const loadNeighbour = async (neighbourId, name) => {
+    if (neighbourId === taskId) return { error: `${name} cannot be the moved task` };
+    const neighbour = await Task.findOne({ ...scopeFilter, _id: neighbourId }).select('status boardPosition');
+    if (!neighbour || neighbour.status !== status) return { error: `${name} must be a task in the target column` };
+    return { value: neighbour.boardPosition };
+  };
+
+  let lower = null;
+  let upper = null;
+
+  if (afterId) {
+    const { value, error } = await loadNeighbour(afterId, 'afterId');
+    if (error) return { error };
+    lower = value;
+  }
+
+  if (beforeId) {
+    const { value, error } = await loadNeighbour(beforeId, 'beforeId');
+    if (error) return { error };
+    upper = value;
+  }
+
+  if (lower !== null && upper === null) {
+    const next = await Task.findOne({ ...columnFilter, boardPosition: { $gt: lower } }).sort({ boardPosition: 1 }).select('boardPosition');
+    upper = next ? next.boardPosition : null;
+  } else if (upper !== null && lower === null) {
+    const previous = await Task.findOne({ ...columnFilter, boardPosition: { $lt: upper } }).sort({ boardPosition: -1 }).select('boardPosition');
+    lower = previous ? previous.boardPosition : null;
+  } else if (lower === null && upper === null) {
+    const last = await Task.findOne(columnFilter).sort({ boardPosition: -1 }).select('boardPosition');
+    return { position: last ? last.boardPosition + BOARD_POSITION_STEP : BOARD_POSITION_STEP };
+  }
+
+  if (lower !== null && upper !== null && lower > upper) {
+    return { error: 'afterId must be above beforeId in the column' };
+  }
+
+  if (upper === null) return { position: lower + BOARD_POSITION_STEP };
+  if (lower === null) return { position: upper - BOARD_POSITION_STEP };
+  return { position: upper - lower > MIN_BOARD_GAP ? (lower + upper) / 2 : null };
+};
+
+/**
+ * Escapes user input so it can be used literally inside a RegExp
+ * @param {string} value - Raw text
+ * @returns {string} Text with RegExp metacharacters escaped
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Copies the raw values of some fields of a task, to write them back on undo
+ * @param {Object} task - Task document before the change
+ * @param {string[]} fields - Fields the change is about to overwrite
+ * @returns {Object} Field values, with null for unset fields
+ */
+const pickPreviousValues = (task, fields) => {
+  const raw = task.toObject({ depopulate: true });
+  return Object.fromEntries(fields.map((field) => [field, raw[field] ?? null]));
+};
+
+/**
+ * Creates a task owned by a user after checking its project, labels and status
+ * @param {string} userId - Authenticated user ID
+ * @param {Object} data - Task data already validated with createTaskSchema
+ * @param {mongoose.ClientSession} [session=null] - Transaction session, for bulk operations
+ * @returns {Promise<{task?: Object, error?: {status: number, message: string}}>} Populated task, or the HTTP error to answer with
+ */
+const createTaskForUser = async (userId, data, session = null) => {
+  const { title, detail, date, time, status, priority, estimatedMinutes, labels, project, recurrence, checklist, reminders } = data;
+
+  if (project) {
+    const projectError = await checkProjectForTasks(project, userId);
+    if (projectError) return { error: projectError };
+  }
+
+  if (labels && !(await labelsBelongToUser(labels, userId))) {
+    return { error: { status: 400, message: 'One or more labels were not found' } };
+  }
+
+  const { workflow, status: initialStatus, error: statusError } = await resolveWorkflowStatus({ user: userId, project }, status);
+  if (statusError) {
+    return { error: { status: 400, message: statusError } };
+  }
+
+  const newTask = new Task({
+    title,
+    detail,
+    date,
+    time: time || null, // Permitir null si no se proporciona
+    status: initialStatus,
+    completedAt: getCompletedAt(workflow, initialStatus),
+    priority: priority || 'medium',
+    estimatedMinutes: estimatedMinutes ?? null,
+    labels: labels ? [...new Set(labels)] : [],
+    project: project || null,
+    recurrence: recurrence || null,
+    checklist: (checklist || []).map((item, index) => ({
+      text: item.text,
+      done: Boolean(item.done),
+      position: index
+    })),
+    user: userId,
+    createdBy: userId,
+    updatedBy: userId
+  });
+  if (reminders?.length) {
+    newTask.reminders = scheduleReminders(newTask, reminders, await getUserTimeZone(userId));
+  }
+
+  const savedTask = await newTask.save({ session });
+  await recordTaskHistory({ task: savedTask._id, user: userId, action: 'created', after: snapshotTask(savedTask) }, session);
+
+  const task = await Task.findById(savedTask._id).session(session).populate(TASK_POPULATE);
+  return { task };
+};
+
+/**
+ * Applies a partial update to a task the user can edit
+ * @param {string} taskId - Task ID
+ * @param {string} userId - Authenticated user ID
+ * @param {Object} data - Output of updateTaskSchema with unknown fields stripped; server-managed
+ * fields (ownership, assignment, trash, checklist, dependencies...) change through their own endpoints
+ * @param {mongoose.ClientSession} [session=null] - Transaction session, for bulk operations
+ * @returns {Promise<{task?: Object, previous?: Object, error?: {status: number, message: string}}>} Populated task
+ * and the raw values the changed fields had before (for undo), or the HTTP error to answer with
+ */
+const updateTaskForUser = async (taskId, userId, data, session = null) => {
+  const updateData = { ...data };
+
+  const { task: currentTask, error: accessError } = await authorizeTask(taskId, userId, 'editor', session);
+  if (accessError) return { error: accessError };
+
+  // A new status, or a new project with another workflow, must fit the task's workflow
+  if (updateData.status !== undefined || updateData.project !== undefined) {
+    const target = {
+      user: currentTask.user,
+      project: updateData.project !== undefined ? updateData.project : currentTask.project
+    };
+    const { workflow, status, error: statusError } = await resolveWorkflowStatus(target, updateData.status, currentTask.status);
+    if (statusError) {
+      return { error: { status: 400, message: statusError } };
+    }
+    if (status !== currentTask.status) {
+      const blockedError = await checkBlockers(currentTask, workflow, status, session);
+      if (blockedError) return { error: blockedError };
+    }
+    updateData.status = status;
+    updateData.completedAt = getCompletedAt(workflow, status, currentTask.completedAt);
+  }
+
+  // Board order is changed through the move endpoint; a status change here sends
+  // the task to the bottom of its new column
+  if (updateData.status && updateData.status !== currentTask.status) {
+    updateData.boardPosition = Date.now();
+  }
+
+  if (updateData.project) {
+    const projectError = await checkProjectForTasks(updateData.project, userId);
+    if (projectError) return { error: projectError };
+  }
+
+  // Labels are the task owner's, also when an editor of a shared project changes them
+  if (updateData.labels) {
+    if (!(await labelsBelongToUser(updateData.labels, currentTask.user))) {
+      return { error: { status: 400, message: 'One or more labels were not found' } };
+    }
+    updateData.labels = [...new Set(updateData.labels)];
+  }
+
+  // Reminders follow the due time, so a new day, time or rule reschedules them
+  if (['reminders', 'date', 'time', 'recurrence'].some((field) => updateData[field] !== undefined)) {
+    const target = {
+      date: updateData.date ?? currentTask.date,
+      time: updateData.time !== undefined ? updateData.time : currentTask.time,
+      recurrence: updateData.recurrence !== undefined ? updateData.recurrence : currentTask.recurrence,
+      occurrenceOverrides: currentTask.occurrenceOverrides
+    };
+    const reminders = updateData.reminders ?? currentTask.reminders.map((reminder) => reminder.toObject());
+    if (reminders.length || updateData.reminders) {
+      updateData.reminders = scheduleReminders(target, reminders, await getUserTimeZone(currentTask.user));
+    }
+  }
+
+  // Update the task and record who changed it
+  const changes = { ...updateData, updatedBy: userId };
+  const task = await Task.findOneAndUpdate(
+    { _id: taskId },
+    changes,
+    { new: true, runValidators: true, session }
+  ).populate(TASK_POPULATE);
+
+  if (!task) {
+    return { error: { status: 404, message: 'Task not found' } };
+  }
+
+  await recordTaskHistory({
+    task: task._id,
+    user: userId,
+    action: 'updated',
+    before: snapshotTask(currentTask),
+    after: snapshotTask(task)
+  }, session);
+
+  return { task, previous: pickPreviousValues(currentTask, [...Object.keys(changes), 'updatedAt']) };
+};
+
+/**
+ * Moves a task the user can edit to the trash
+ * @param {string} taskId - Task ID
+ * @param {string} userId - Authenticated user ID
+ * @param {mongoose.ClientSession} [session=null] - Transaction session, for bulk operations
+ * @returns {Promise<{task?: Object, previous?: Object, error?: {status: number, message: string}}>} Trashed task
+ * and its previous authorship values (for undo), or the HTTP error to answer with
+ * @description The task is kept until the trash retention period ends (see TrashService)
+ */
+const deleteTaskForUser = async (taskId, userId, session = null) => {
+  const { task: currentTask, error: accessError } = await authorizeTask(taskId, userId, 'editor', session);
+  if (accessError) return { error: accessError };
+
+  // Trash the task once the user is known to be allowed to change it
+  const task = await Task.findOneAndUpdate(
+    { _id: taskId, deletedAt: null },
+    { $set: { deletedAt: new Date(), deletedBy: userId, updatedBy: userId } },
+    { new: true, session }
+  );
+  if (!task) {
+    return { error: { status: 404, message: 'Task not found' } };
+  }
+
+  await recordTaskHistory({ task: task._id, user: userId, action: 'deleted' }, session);
+
+  return { task, previous: pickPreviousValues(currentTask, ['deletedAt', 'deletedBy', 'updatedBy', 'updatedAt']) };
+};
+
+/**
+ * Returns the part of an occurrence override recorded in the task history
+ * @param {Object} [override] - Occurrence override ({ date, status, cancelled })
+ * @returns {Object|null} { status, cancelled }, or null when the occurrence follows the series
+ */
+const occurrenceState = (override) => (override
+  ? { status: override.status ?? null, cancelled: Boolean(override.cancelled) }
+  : null);
+
+/**
+ * Records the change of a single occurrence as an `occurrences.<date>` field
+ * @param {string} taskId - Recurring task ID
+ * @param {string} userId - Authenticated user ID
+ * @param {string} occurrenceDate - Occurrence day (YYYY-MM-DD)
+ * @param {Object|null} from - Previous occurrence state
+ * @param {Object|null} to - New occurrence state
+ * @returns {Promise<void>}
+ */
+const recordOccurrenceChange = async (taskId, userId, occurrenceDate, from, to) => {
+  if (JSON.stringify(from) === JSON.stringify(to)) return;
+
+  await recordTaskHistory({
+    task: taskId,
+    user: userId,
+    action: 'occurrence',
+    changes: [{ field: `occurrences.${occurrenceDate}`, from, to }]
+  });
+};
+
+/**
+ * Runs one operation of a bulk request
+ * @param {number} index - Position of the operation in the request
+ * @param {Object} operation - Operation ({ op, id, data, status })
+ * @param {string} userId - Authenticated user ID
+ * @param {mongoose.ClientSession} [session=null] - Transaction session in all-or-nothing mode
+ * @returns {Promise<Object>} Item result: { index, op, id, ok, status, task } or { index, op, id, ok: false, status, message }
+ * @description Client errors become failed items; unexpected errors are thrown so the request
+ * (and the transaction, if any) fails as a whole.
+ */
+const runBulkOperation = async (index, operation, userId, session = null) => {
+  const { op, id, data, status } = operation;
+  const item = { index, op, id: id || null };
+
+  try {
+    let outcome;
+    if (op === 'create') {
+      await createTaskSchema.validate(data, { abortEarly: false });
+      outcome = await createTaskForUser(userId, data, session);
+    } else if (op === 'update') {
+      const changes = await updateTaskSchema.validate(data, { abortEarly: false, stripUnknown: true });
+      outcome = await updateTaskForUser(id, userId, changes, session);
+    } else if (op === 'status') {
+      await updateTaskSchema.validate({ status }, { abortEarly: false });
+      outcome = await updateTaskForUser(id, userId, { status }, session);
+    } else {
+      outcome = await deleteTaskForUser(id, userId, session);
+    }
+
+    if (outcome.error) {
+      return { ...item, ok: false, status: outcome.error.status, message: outcome.error.message };
+    }
+
+    return {
+      ...item,
+      id: outcome.task._id.toString(),
+      ok: true,
+      status: op === 'create' ? 201 : 200,
+      ...(op === 'delete' ? {} : { task: outcome.task })
+    };
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      // Yup or Mongoose validation error
+      const errors = Array.isArray(error.errors) ? error.errors : [error.message];
+      return { ...item, ok: false, status: 400, message: `Validation failed: ${errors.join(', ')}`, errors };
+    }
+    throw error;
+  }
+};
+
 /**
  * Task Controller Class
  * Handles all task-related operations
@@ -80,27 +952,18 @@ class TaskController {
       // Validate request body against schema
       await createTaskSchema.validate(req.body, { abortEarly: false });
       
-      const userId = req.user.userId;
-      const { title, detail, date, time, status } = req.body;
-
-      console.log('✅ Validation passed, creating task with time:', time);
+      console.log('✅ Validation passed, creating task with time:', req.body.time);
 
       // Create new task in database
-      const newTask = new Task({
-        title,
-        detail,
-        date,
-        time: time || null, // Permitir null si no se proporciona
-        status: status || 'Por hacer',
-        user: userId
-      });
-
-      const savedTask = await newTask.save();
-      const populatedTask = await Task.findById(savedTask._id).populate('user', 'firstName lastName email');
+      const { task, error: createError } = await createTaskForUser(req.user.userId, req.body);
+      if (createError) {
+        return res.status(createError.status).json({ message: createError.message });
+      }
 
       res.status(201).json({
         message: "Task created successfully",
-        task: populatedTask
+        task: withDueInfo(task, await resolveTimeZone(undefined, req.user.userId)),
+        undo: await UndoService.issue({ user: req.user.userId, task: task._id, action: 'create', version: task.updatedAt })
       });
 
     } catch (error) {
@@ -124,95 +987,199 @@ class TaskController {
   }
 
   /**
-   * Retrieves all tasks for the authenticated user
+   * Runs a batch of create, update, delete and status operations
    * @param {Object} req - Express request object
+   * @param {Object} req.body - Batch ({ atomic, operations })
    * @param {Object} res - Express response object
-   * @returns {Array} List of user's tasks
+   * @returns {Object} Per-item results and a summary
+   * @description Without `atomic`, every operation runs on its own and failures are reported per
+   * item. With `atomic`, the batch runs in a MongoDB transaction that stops and rolls back at the
+   * first failed operation.
    */
-  async getTasks(req, res) {
+  async bulkTasks(req, res) {
     try {
+      const { atomic, operations } = await bulkRequestSchema.validate(req.body, { abortEarly: false });
       const userId = req.user.userId;
-      const userTasks = await Task.find({ user: userId }).populate('user', 'firstName lastName email');
-      
-      res.status(200).json({
-        message: "Tasks retrieved successfully",
-        tasks: userTasks
-      });
+      let results = [];
+      let failedIndex = -1;
 
-    } catch (error) {
-      console.error('Get tasks error:', error);
-      res.status(500).json({ message: "Internal server error retrieving tasks" });
-    }
-  }
+      if (atomic) {
+        const session = await mongoose.startSession();
+        try {
+          await session.withTransaction(async () => {
+            // The callback may be retried on transient errors, so results start over each time
+            results = [];
+            failedIndex = -1;
+            for (const [index, operation] of operations.entries()) {
+              const result = await runBulkOperation(index, operation, userId, session);
+              results.push(result);
+              if (!result.ok) {
+                failedIndex = index;
+                await session.abortTransaction();
+                return;
+              }
+            }
+          });
+        } finally {
+          await session.endSession();
+        }
 
-  /**
-   * Retrieves a specific task by ID
-   * @param {Object} req - Express request object
-   * @param {Object} res - Express response object
-   * @returns {Object} Task details or error message
-   */
-  async getTaskById(req, res) {
-    try {
-      const userId = req.user.userId;
-      const taskId = req.params.id;
-      
-      // Find task that belongs to the authenticated user
-      const task = await Task.findOne({ _id: taskId, user: userId }).populate('user', 'firstName lastName email');
-      
-      if (!task) {
-        return res.status(404).json({ message: 'Task not found' });
+        if (failedIndex !== -1) {
+          const skipped = operations.slice(failedIndex + 1).map((operation, offset) => ({
+            index: failedIndex + 1 + offset,
+            op: operation.op,
+            id: operation.id || null,
+            ok: false,
+            skipped: true
+          }));
+
+          return res.status(400).json({
+            message: `Bulk operation rolled back: operation ${failedIndex} failed`,
+            atomic: true,
+            committed: false,
+            summary: { total: operations.length, succeeded: 0, failed: 1 },
+            results: [
+              ...results.map((result) => (result.ok ? { ...result, rolledBack: true } : result)),
+              ...skipped
+            ]
+          });
+        }
+      } else {
+        for (const [index, operation] of operations.entries()) {
+          results.push(await runBulkOperation(index, operation, userId));
+        }
       }
-      
+
+      const succeeded = results.filter((result) => result.ok).length;
+
       res.status(200).json({
-        message: "Task retrieved successfully",
-        task
+        message: "Bulk operation completed",
+        atomic,
+        committed: true,
+        summary: { total: operations.length, succeeded, failed: operations.length - succeeded },
+        results
       });
 
     } catch (error) {
-      console.error('Get task by ID error:', error);
-      res.status(500).json({ message: "Internal server error retrieving task" });
+      console.error('❌ Bulk tasks error:', error);
+
+      if (error.name === 'ValidationError' || error.errors) {
+        // Yup validation error
+        const message = error.errors ? error.errors.join(', ') : error.message;
+        return res.status(400).json({ 
+          message: `Validation failed: ${message}`,
+          errors: error.errors || [error.message]
+        });
+      }
+
+      if (error.code === 20) {
+        // IllegalOperation: the MongoDB deployment has no transaction support (standalone server)
+        return res.status(501).json({ message: "Atomic mode requires a MongoDB replica set" });
+      }
+
+      res.status(500).json({ message: "Internal server error running bulk operation" });
     }
   }
 
   /**
-   * Updates an existing task
+   * Retrieves the authenticated user's tasks with filtering, search, sorting and pagination
    * @param {Object} req - Express request object
+   * @param {Object} req.query - Query parameters (status, search, page, limit, sortBy, sortOrder)
    * @param {Object} res - Express response object
-   * @returns {Object} Updated task or error message
+   * @returns {Object} `{ success, data, pagination }`: the user's tasks (one page when `page` or
+   * `limit` is sent, otherwise all of them) with pagination metadata
    */
-  async updateTask(req, res) {
+  async getTasks(req, res) {
     try {
-      // Manual validation to ensure it works
-      console.log('📝 Validating update request body:', req.body);
-      
-      // Validate update data
-      await updateTaskSchema.validate(req.body, { abortEarly: false });
-      
+      const query = await listTasksQuerySchema.validate(req.query, { abortEarly: false });
+
       const userId = req.user.userId;
-      const taskId = req.params.id;
-      const updateData = req.body;
+      const { status, search, sortBy, sortOrder, from, to, labels, labelMode, project, assignedTo } = query;
 
-      console.log('✅ Update validation passed, updating task with time:', updateData.time);
+      // Only paginate when asked to, so clients expecting the full list still get it
+      const paginate = query.page !== undefined || query.limit !== undefined;
+      const page = query.page ?? 1;
+      const limit = paginate ? (query.limit ?? DEFAULT_TASKS_PAGE_SIZE) : null;
 
-      // Find and update task that belongs to the authenticated user
-      const updatedTask = await Task.findOneAndUpdate(
-        { _id: taskId, user: userId },
-        updateData,
-        { new: true, runValidators: true }
-      ).populate('user', 'firstName lastName email');
-      
-      if (!updatedTask) {
-        return res.status(404).json({ message: 'Task not found' });
+      // Build filter scoped to the tasks the user can see (own and shared projects)
+      const filter = await taskAccessFilter(userId, 'viewer');
+
+      if (project) {
+        filter.project = project === 'none' ? null : project;
+      }
+
+      if (assignedTo) {
+        filter.assignee = assignedTo === 'me' ? userId : (assignedTo === 'none' ? null : assignedTo);
+      }
+
+      if (labels) {
+        const labelIds = [...new Set(labels.split(',').map((labelId) => labelId.trim()))];
+        filter.labels = labelMode === 'and' ? { $all: labelIds } : { $in: labelIds };
       }
 
+      if (search) {
+        const pattern = new RegExp(escapeRegex(search), 'i');
+        filter.$and = [{ $or: [{ title: pattern }, { detail: pattern }] }];
+      }
+
+      const direction = sortOrder === 'asc' ? 1 : -1;
+      const timeZone = await resolveTimeZone(query.tz, userId);
+      const now = new Date();
+      let userTasks;
+      let totalTasks;
+
+      if (from && to) {
+        // Windowed listing: recurring series become occurrences, so status,
+        // sorting and pagination are applied after expansion
+        const workflowOf = await loadWorkflowResolver(userId);
+        let items = await findTasksInWindow(filter, from, to, workflowOf);
+
+        if (status) {
+          items = items.filter((item) => item.status === status);
+        }
+
+        items.sort(compareByField(sortBy, direction));
+        totalTasks = items.length;
+        if (paginate) {
+          items = items.slice((page - 1) * limit, page * limit);
+        }
+        userTasks = await withCommentCounts(items.map((item) => withDueInfo(item, timeZone, { now, workflowOf })));
+      } else {
+        if (status) {
+          filter.status = status;
+        }
+
+        // _id as secondary key keeps page boundaries stable when sort values tie
+        const sort = { [sortBy]: direction, _id: direction };
+
+        const tasksQuery = Task.find(filter).sort(sort).populate(TASK_POPULATE);
+        if (paginate) {
+          tasksQuery.skip((page - 1) * limit).limit(limit);
+        }
+
+        const [tasks, count] = await Promise.all([tasksQuery, Task.countDocuments(filter)]);
+        userTasks = await withCommentCounts(tasks.map((task) => withDueInfo(task, timeZone, { now })));
+        totalTasks = count;
+      }
+
+      const totalPages = paginate ? Math.ceil(totalTasks / limit) : Number(totalTasks > 0);
+
       res.status(200).json({
-        message: "Task updated successfully",
-        task: updatedTask
+        success: true,
+        data: userTasks,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalTasks,
+          limit,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
       });
 
     } catch (error) {
-      console.error('❌ Update task error:', error);
-      
+      console.error('Get tasks error:', error);
+
       if (error.name === 'ValidationError' || error.errors) {
         // Yup validation error
         const message = error.errors ? error.errors.join(', ') : error.message;
@@ -221,40 +1188,1136 @@ class TaskController {
           errors: error.errors || [error.message]
         });
       }
+
+      res.status(500).json({ message: "Internal server error retrieving tasks" });
+    }
+  }
+
+  /**
+   * Searches the titles and details of the tasks the user can see
+   * @param {Object} req - Express request object
+   * @param {Object} req.query - Query parameters (q, status, from, to, tz, page, limit)
+   * @param {Object} res - Express response object
+   * @returns {Object} Page of tasks by relevance, each with its score and highlighted snippets
+   * @description Uses the task text index: Spanish stemming, accent and case insensitive, with
+   * support for "exact phrases" and -excluded words. The date filter keeps tasks due in the range
+   * and recurring series with occurrences in it.
+   */
+  async searchTasks(req, res) {
+    try {
+      const { q, status, from, to, page, limit, ...query } = await searchQuerySchema.validate(req.query, { abortEarly: false });
+
+      const userId = req.user.userId;
+      const timeZone = await resolveTimeZone(query.tz, userId);
+      const conditions = [await taskAccessFilter(userId, 'viewer')];
+
+      if (status) {
+        conditions.push({ status: { $in: [...new Set(status.split(',').map((key) => normalizeStatus(key.trim())))] } });
+      }
+
+      if (from || to) {
+        const start = from ? taskDayStart(from) : null;
+        const end = to ? taskDayStart(addDaysToKey(to, 1)) : null;
+        const dueRange = {
+          ...(start ? { $gte: start } : {}),
+          ...(end ? { $lt: end } : {})
+        };
+
+        conditions.push({
+          $or: [
+            { recurrence: null, date: dueRange },
+            {
+              recurrence: { $ne: null },
+              ...(end ? { date: { $lt: end } } : {}),
+              ...(start ? { $or: [{ 'recurrence.until': null }, { 'recurrence.until': { $gte: start } }] } : {})
+            }
+          ]
+        });
+      }
+
+      // $text has to stay at the top level of the filter
+      const filter = { $text: { $search: q }, $and: conditions };
+
+      const [tasks, totalTasks] = await Promise.all([
+        Task.find(filter)
+          .select({ score: { $meta: 'textScore' } })
+          .sort({ score: { $meta: 'textScore' }, updatedAt: -1, _id: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate(TASK_POPULATE),
+        Task.countDocuments(filter)
+      ]);
+
+      const terms = getSearchTerms(q);
+      const totalPages = Math.ceil(totalTasks / limit);
+      const now = new Date();
+
+      res.status(200).json({
+        message: "Search completed successfully",
+        tasks: await withCommentCounts(tasks.map((task) => ({
+          ...withDueInfo(task, timeZone, { now }),
+          score: task.get('score'),
+          highlights: {
+            title: buildSnippet(task.title, terms, 0),
+            detail: buildSnippet(task.detail, terms)
+          }
+        }))),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalTasks,
+          limit,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Search tasks error:', error);
+
+      if (error.name === 'ValidationError' || error.errors) {
+        // Yup validation error
+        const message = error.errors ? error.errors.join(', ') : error.message;
+        return res.status(400).json({ 
+          message: `Validation failed: ${message}`,
+          errors: error.errors || [error.message]
+        });
+      }
+
+      res.status(500).json({ message: "Internal server error searching tasks" });
+    }
+  }
+
+  /**
+   * Retrieves tasks in a date range bucketed by calendar day or ISO week
+   * @param {Object} req - Express request object
+   * @param {Object} req.query - Query parameters (from, to, groupBy, tz)
+   * @param {Object} res - Express response object
+   * @returns {Object} Buckets covering every day/week in the range, each with its tasks
+   */
+  async getCalendar(req, res) {
+    try {
+      const query = await calendarQuerySchema.validate(req.query, { abortEarly: false });
+
+      const userId = req.user.userId;
+      const { from, to, groupBy } = query;
+      const timeZone = await resolveTimeZone(query.tz, userId);
+      const workflowOf = await loadWorkflowResolver(userId);
+      const now = new Date();
+
+      const tasks = await findTasksInWindow(
+        await taskAccessFilter(userId, 'viewer'),
+        from,
+        to,
+        workflowOf
+      );
+
+      // Pre-create every bucket so empty days/weeks are still returned
+      const buckets = new Map();
+      const firstKey = groupBy === 'week' ? startOfWeekKey(from) : from;
+      const step = groupBy === 'week' ? 7 : 1;
+      for (let key = firstKey; key <= to; key = addDaysToKey(key, step)) {
+        buckets.set(key, {
+          key,
+          from: key,
+          to: addDaysToKey(key, step - 1),
+          count: 0,
+          tasks: []
+        });
+      }
+
+      for (const task of await withCommentCounts(tasks.map((item) => withDueInfo(item, timeZone, { now, workflowOf })))) {
+        const dayKey = taskDayKey(task.date);
+        const bucketKey = groupBy === 'week' ? startOfWeekKey(dayKey) : dayKey;
+        const bucket = buckets.get(bucketKey);
+        if (bucket) {
+          bucket.tasks.push(task);
+          bucket.count += 1;
+        }
+      }
+
+      for (const bucket of buckets.values()) {
+        bucket.tasks.sort((a, b) =>
+          taskDayKey(a.date).localeCompare(taskDayKey(b.date)) || compareTasksWithinDay(a, b)
+        );
+      }
+
+      res.status(200).json({
+        message: "Calendar retrieved successfully",
+        range: { from, to, groupBy, timezone: timeZone },
+        totalTasks: tasks.length,
+        buckets: [...buckets.values()]
+      });
+
+    } catch (error) {
+      console.error('Get calendar error:', error);
+
+      if (error.name === 'ValidationError' || error.errors) {
+        // Yup validation error
+        const message = error.errors ? error.errors.join(', ') : error.message;
+        return res.status(400).json({ 
+          message: `Validation failed: ${message}`,
+          errors: error.errors || [error.message]
+        });
+      }
+
+      res.status(500).json({ message: "Internal server error retrieving calendar" });
+    }
+  }
+
+  /**
+   * Ranks the user's open tasks to decide what to do next
+   * @param {Object} req - Express request object
+   * @param {Object} req.query - Query parameters (limit, tz)
+   * @param {Object} res - Express response object
+   * @returns {Object} Top open tasks with their rank, due instant and overdue flag
+   * @description Order: overdue tasks first, then higher priority, then earliest due time,
+   * then oldest created. Recurring tasks take part with their next open occurrence.
+   */
+  async getNextTasks(req, res) {
+    try {
+      const query = await nextTasksQuerySchema.validate(req.query, { abortEarly: false });
+
+      const userId = req.user.userId;
+      const { limit } = query;
+      const timeZone = await resolveTimeZone(query.tz, userId);
+      const now = new Date();
+      const todayKey = toDateKey(now, timeZone);
+
+      const accessFilter = await taskAccessFilter(userId, 'viewer');
+      const workflowOf = await loadWorkflowResolver(userId);
+
+      const [oneOffTasks, occurrences] = await Promise.all([
+        Task.find({ $and: [accessFilter, { recurrence: null, completedAt: null }] })
+          .populate(TASK_POPULATE),
+        findTasksInWindow(
+          { $and: [accessFilter, { recurrence: { $ne: null } }] },
+          todayKey,
+          addDaysToKey(todayKey, NEXT_OCCURRENCE_LOOKAHEAD_DAYS),
+          workflowOf
+        )
+      ]);
+
+      // Keep only the first open occurrence of each series
+      const nextOccurrences = new Map();
+      occurrences
+        .filter((occurrence) => !isDoneStatus(workflowOf(occurrence), occurrence.status))
+        .sort((a, b) => a.date - b.date)
+        .forEach((occurrence) => {
+          const seriesId = occurrence._id.toString();
+          if (!nextOccurrences.has(seriesId)) nextOccurrences.set(seriesId, occurrence);
+        });
+
+      // Every candidate is open, so isOverdue is just "past due"
+      const candidates = [...oneOffTasks, ...nextOccurrences.values()]
+        .map((task) => withDueInfo(task, timeZone, { now, workflowOf }));
+
+      candidates.sort((a, b) =>
+        (b.isOverdue - a.isOverdue)
+        || ((PRIORITY_WEIGHTS[b.priority] || PRIORITY_WEIGHTS.medium) - (PRIORITY_WEIGHTS[a.priority] || PRIORITY_WEIGHTS.medium))
+        || (a.dueAt - b.dueAt)
+        || (new Date(a.createdAt) - new Date(b.createdAt))
+      );
+
+      const tasks = await withCommentCounts(candidates.slice(0, limit).map((task, index) => ({ ...task, rank: index + 1 })));
+
+      res.status(200).json({
+        message: "Next tasks retrieved successfully",
+        timezone: timeZone,
+        totalOpen: candidates.length,
+        tasks
+      });
+
+    } catch (error) {
+      console.error('Get next tasks error:', error);
+
+      if (error.name === 'ValidationError' || error.errors) {
+        // Yup validation error
+        const message = error.errors ? error.errors.join(', ') : error.message;
+        return res.status(400).json({ 
+          message: `Validation failed: ${message}`,
+          errors: error.errors || [error.message]
+        });
+      }
+
+      res.status(500).json({ message: "Internal server error retrieving next tasks" });
+    }
+  }
+
+  /**
+   * Lists the open tasks whose due time has passed, most overdue first
+   * @param {Object} req - Express request object
+   * @param {Object} req.query - Query parameters (tz, page, limit)
+   * @param {Object} res - Express response object
+   * @returns {Object} Page of overdue tasks with their due fields, and pagination
+   * @description A task with a time is overdue once that time has passed in the timezone; one
+   * without time, once its whole day has. Recurring series are not listed.
+   */
+  async getOverdue(req, res) {
+    try {
+      const query = await overdueQuerySchema.validate(req.query, { abortEarly: false });
+
+      const userId = req.user.userId;
+      const { page, limit } = query;
+      const timeZone = await resolveTimeZone(query.tz, userId);
+
+      const { tasks, totalTasks } = await runFilterQuery({ overdue: true }, userId, { timeZone, page, limit });
+      const totalPages = Math.ceil(totalTasks / limit);
+
+      res.status(200).json({
+        message: "Overdue tasks retrieved successfully",
+        timezone: timeZone,
+        tasks,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalTasks,
+          limit,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      });
+
+    } catch (error) {
+      console.error('Get overdue tasks error:', error);
+
+      if (error.name === 'ValidationError' || error.errors) {
+        // Yup validation error
+        const message = error.errors ? error.errors.join(', ') : error.message;
+        return res.status(400).json({ 
+          message: `Validation failed: ${message}`,
+          errors: error.errors || [error.message]
+        });
+      }
+
+      res.status(500).json({ message: "Internal server error retrieving overdue tasks" });
+    }
+  }
+
+  /**
+   * Retrieves the kanban board: one column per workflow status with its tasks in board order
+   * @param {Object} req - Express request object
+   * @param {Object} req.query - Query parameters (project, assignedTo, limit per column)
+   * @param {Object} res - Express response object
+   * @returns {Object} Columns with their total count and ordered tasks
+   */
+  async getBoard(req, res) {
+    try {
+      const query = await boardQuerySchema.validate(req.query, { abortEarly: false });
+
+      const userId = req.user.userId;
+      const { project, assignedTo, limit } = query;
+      const timeZone = await resolveTimeZone(undefined, userId);
+      const now = new Date();
+
+      const filter = await taskAccessFilter(userId, 'viewer');
+
+      if (project) {
+        filter.project = project === 'none' ? null : project;
+      }
+
+      if (assignedTo) {
+        filter.assignee = assignedTo === 'me' ? userId : (assignedTo === 'none' ? null : assignedTo);
+      }
+
+      // Columns follow the project's workflow on a project board, the user's own otherwise
+      const boardProject = project && project !== 'none'
+        ? await Project.findOne({ _id: project, ...projectAccessFilter(userId, 'viewer') }).select('user workflow')
+        : null;
+      const workflow = boardProject ? await getProjectWorkflow(boardProject) : await getUserWorkflow(userId);
+
+      // Shared tasks may use statuses the board's workflow lacks; they get trailing columns
+      const knownKeys = new Set(workflow.map((status) => status.key));
+      const extraStatuses = (await Task.distinct('status', filter))
+        .filter((key) => !knownKeys.has(key))
+        .sort()
+        .map((key) => ({ key, name: key, color: null, done: false }));
+
+      const columns = await Promise.all([...workflow, ...extraStatuses].map(async ({ key, name, color, done }) => {
+        const [tasks, count] = await Promise.all([
+          Task.find({ ...filter, status: key })
+            .sort({ boardPosition: 1, _id: 1 })
+            .limit(limit)
+            .populate(TASK_POPULATE),
+          Task.countDocuments({ ...filter, status: key })
+        ]);
+        return { status: key, name, color, done, count, tasks: await withCommentCounts(tasks.map((task) => withDueInfo(task, timeZone, { now }))) };
+      }));
+
+      res.status(200).json({
+        message: "Board retrieved successfully",
+        columns
+      });
+
+    } catch (error) {
+      console.error('Get board error:', error);
+
+      if (error.name === 'ValidationError' || error.errors) {
+        // Yup validation error
+        const message = error.errors ? error.errors.join(', ') : error.message;
+        return res.status(400).json({ 
+          message: `Validation failed: ${message}`,
+          errors: error.errors || [error.message]
+        });
+      }
+
+      res.status(500).json({ message: "Internal server error retrieving board" });
+    }
+  }
+
+  /**
+   * Retrieves a specific task by ID
+   * @param {Object} req - Express request object
+   * @param {Object} req.query - Query parameters (tz)
+   * @param {Object} res - Express response object
+   * @returns {Object} Task details or error message
+   */
+  async getTaskById(req, res) {
+    try {
+      const { tz } = await taskQuerySchema.validate(req.query, { abortEarly: false });
+      const userId = req.user.userId;
+      const taskId = req.params.id;
+      
+      // Find task the authenticated user can see (own or in a shared project)
+      const { task, error: accessError } = await authorizeTask(taskId, userId, 'viewer');
+      
+      if (accessError) {
+        return res.status(accessError.status).json({ message: accessError.message });
+      }
+
+      await task.populate(TASK_POPULATE);
+      
+      res.status(200).json({
+        message: "Task retrieved successfully",
+        task: withDueInfo(task, await resolveTimeZone(tz, userId))
+      });
+
+    } catch (error) {
+      console.error('Get task by ID error:', error);
+
+      if (error.name === 'ValidationError' || error.errors) {
+        // Yup validation error
+        const message = error.errors ? error.errors.join(', ') : error.message;
+        return res.status(400).json({ 
+          message: `Validation failed: ${message}`,
+          errors: error.errors || [error.message]
+        });
+      }
+
+      res.status(500).json({ message: "Internal server error retrieving task" });
+    }
+  }
+
+  /**
+   * Retrieves the change history of a task, newest first
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Task ID
+   * @param {Object} req.query - Query parameters (page, limit)
+   * @param {Object} res - Express response object
+   * @returns {Object} Page of history entries (who, when, action and field changes) or error message
+   * @description Status changes also carry the status names (fromName, toName) of the task's current workflow
+   */
+  async getTaskHistory(req, res) {
+    try {
+      const { page, limit } = await historyQuerySchema.validate(req.query, { abortEarly: false });
+
+      const { task, error: accessError } = await authorizeTask(req.params.id, req.user.userId, 'viewer');
+      if (accessError) {
+        return res.status(accessError.status).json({ message: accessError.message });
+      }
+
+      const [entries, totalEntries, workflow] = await Promise.all([
+        TaskHistory.find({ task: task._id })
+          .sort({ createdAt: -1, _id: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate('user', 'firstName lastName email')
+          .lean(),
+        TaskHistory.countDocuments({ task: task._id }),
+        getTaskWorkflow(task)
+      ]);
+
+      const statusName = (key) => (key ? findStatus(workflow, key)?.name ?? key : null);
+      const history = entries.map((entry) => ({
+        ...entry,
+        changes: entry.changes.map((change) => (change.field === 'status'
+          ? { ...change, fromName: statusName(change.from), toName: statusName(change.to) }
+          : change))
+      }));
+
+      const totalPages = Math.ceil(totalEntries / limit);
+
+      res.status(200).json({
+        message: "Task history retrieved successfully",
+        history,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalEntries,
+          limit,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Get task history error:', error);
+
+      if (error.name === 'ValidationError' || error.errors) {
+        // Yup validation error
+        const message = error.errors ? error.errors.join(', ') : error.message;
+        return res.status(400).json({ 
+          message: `Validation failed: ${message}`,
+          errors: error.errors || [error.message]
+        });
+      }
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.status(500).json({ message: "Internal server error retrieving task history" });
+    }
+  }
+
+  /**
+   * Updates an existing task
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} Updated task or error message
+   */
+  async updateTask(req, res) {
+    try {
+      // Manual validation to ensure it works
+      console.log('📝 Validating update request body:', req.body);
       
+      // Validate update data; only the fields of the schema reach the task
+      const changes = await updateTaskSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+      
+      console.log('✅ Update validation passed, updating task with time:', changes.time);
+
+      const { task, previous, error: updateError } = await updateTaskForUser(req.params.id, req.user.userId, changes);
+      if (updateError) {
+        return res.status(updateError.status).json({ message: updateError.message });
+      }
+
+      res.status(200).json({
+        message: "Task updated successfully",
+        task: withDueInfo(task, await resolveTimeZone(undefined, req.user.userId)),
+        undo: await UndoService.issue({ user: req.user.userId, task: task._id, action: 'update', previous, version: task.updatedAt })
+      });
+
+    } catch (error) {
+      console.error('❌ Update task error:', error);
+      
+      if (error.name === 'ValidationError' || error.errors) {
+        // Yup validation error
+        const message = error.errors ? error.errors.join(', ') : error.message;
+        return res.status(400).json({ 
+          message: `Validation failed: ${message}`,
+          errors: error.errors || [error.message]
+        });
+      }
+      
+      if (error.name === 'MongoError' || error.name === 'CastError') {
+        return res.status(400).json({ message: error.message });
+      }
+      
+      res.status(500).json({ message: "Internal server error updating task" });
+    }
+  }
+
+  /**
+   * Moves a task on the kanban board, changing its status and position in one update
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Task ID
+   * @param {Object} req.body - Target column and neighbours ({ status, afterId, beforeId })
+   * @param {Object} res - Express response object
+   * @returns {Object} Moved task or error message
+   */
+  async moveTask(req, res) {
+    try {
+      const { status, afterId, beforeId } = await moveTaskSchema.validate(req.body, { abortEarly: false });
+
+      const userId = req.user.userId;
+      const taskId = req.params.id;
+
+      const { task, error: accessError } = await authorizeTask(taskId, userId, 'editor');
+      if (accessError) {
+        return res.status(accessError.status).json({ message: accessError.message });
+      }
+
+      const { workflow, error: statusError } = await resolveWorkflowStatus(task, status);
+      if (statusError) {
+        return res.status(400).json({ message: statusError });
+      }
+
+      if (status !== task.status) {
+        const blockedError = await checkBlockers(task, workflow, status);
+        if (blockedError) {
+          return res.status(blockedError.status).json({ message: blockedError.message });
+        }
+      }
+
+      const scopeFilter = await taskAccessFilter(userId, 'viewer');
+      let { position, error: moveError } = await computeBoardPosition(scopeFilter, taskId, status, afterId, beforeId);
+      if (moveError) {
+        return res.status(400).json({ message: moveError });
+      }
+
+      if (position === null) {
+        // Neighbours are too close: spread the column out and try again
+        await rebalanceColumn(scopeFilter, status);
+        ({ position } = await computeBoardPosition(scopeFilter, taskId, status, afterId, beforeId));
+      }
+
+      const movedTask = await Task.findOneAndUpdate(
+        { _id: taskId },
+        {
+          $set: {
+            status,
+            completedAt: getCompletedAt(workflow, status, task.completedAt),
+            boardPosition: position,
+            updatedBy: userId
+          }
+        },
+        { new: true, runValidators: true }
+      ).populate(TASK_POPULATE);
+
+      if (!movedTask) {
+        return res.status(404).json({ message: 'Task not found' });
+      }
+
+      // Reordering inside a column changes no tracked field and leaves no entry
+      await recordTaskHistory({
+        task: movedTask._id,
+        user: userId,
+        action: 'moved',
+        before: snapshotTask(task),
+        after: snapshotTask(movedTask)
+      });
+
+      res.status(200).json({
+        message: "Task moved successfully",
+        task: movedTask
+      });
+
+    } catch (error) {
+      console.error('❌ Move task error:', error);
+
+      if (error.name === 'ValidationError' || error.errors) {
+        // Yup validation error
+        const message = error.errors ? error.errors.join(', ') : error.message;
+        return res.status(400).json({ 
+          message: `Validation failed: ${message}`,
+          errors: error.errors || [error.message]
+        });
+      }
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.status(500).json({ message: "Internal server error moving task" });
+    }
+  }
+
+  /**
+   * Moves a task to the trash
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} Success status or error message
+   */
+  async deleteTask(req, res) {
+    try {
+      const { task, previous, error: deleteError } = await deleteTaskForUser(req.params.id, req.user.userId);
+      if (deleteError) {
+        return res.status(deleteError.status).json({ message: deleteError.message });
+      }
+
+      res.status(200).json({
+        message: "Task moved to trash",
+        undo: await UndoService.issue({ user: req.user.userId, task: task._id, action: 'delete', previous, version: task.updatedAt })
+      });
+
+    } catch (error) {
+      console.error('Delete task error:', error);
+      res.status(500).json({ message: "Internal server error deleting task" });
+    }
+  }
+
+  /**
+   * Lists the trashed tasks the user can see, most recently deleted first
+   * @param {Object} req - Express request object
+   * @param {Object} req.query - Query parameters (page, limit)
+   * @param {Object} res - Express response object
+   * @returns {Object} Page of trashed tasks with their purge date, and the retention period
+   */
+  async getTrash(req, res) {
+    try {
+      const { page, limit } = await trashQuerySchema.validate(req.query, { abortEarly: false });
+
+      const userId = req.user.userId;
+      const filter = { $and: [await taskAccessFilter(userId, 'viewer'), { deletedAt: { $ne: null } }] };
+
+      const [tasks, totalTasks] = await Promise.all([
+        Task.find(filter)
+          .withDeleted()
+          .sort({ deletedAt: -1, _id: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate([...TASK_POPULATE, { path: 'deletedBy', select: 'firstName lastName email' }]),
+        Task.countDocuments(filter).withDeleted()
+      ]);
+
+      const totalPages = Math.ceil(totalTasks / limit);
+
+      res.status(200).json({
+        message: "Trash retrieved successfully",
+        retentionDays: TrashService.retentionDays,
+        tasks: tasks.map((task) => ({ ...task.toObject(), purgeAt: TrashService.getPurgeDate(task.deletedAt) })),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalTasks,
+          limit,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      });
+
+    } catch (error) {
+      console.error('Get trash error:', error);
+
+      if (error.name === 'ValidationError' || error.errors) {
+        // Yup validation error
+        const message = error.errors ? error.errors.join(', ') : error.message;
+        return res.status(400).json({ 
+          message: `Validation failed: ${message}`,
+          errors: error.errors || [error.message]
+        });
+      }
+
+      res.status(500).json({ message: "Internal server error retrieving trash" });
+    }
+  }
+
+  /**
+   * Restores a trashed task
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Task ID
+   * @param {Object} res - Express response object
+   * @returns {Object} Restored task or error message
+   */
+  async restoreTask(req, res) {
+    try {
+      const userId = req.user.userId;
+      const task = await Task.findOne({ _id: req.params.id, deletedAt: { $ne: null } }).withDeleted();
+      const role = task ? await getTaskRole(task, userId) : null;
+
+      if (!role) {
+        return res.status(404).json({ message: 'Task not found in trash' });
+      }
+
+      if (!hasRole(role, 'editor')) {
+        return res.status(403).json({ message: 'You do not have permission to modify this task' });
+      }
+
+      // The workflow may have changed while the task was in the trash
+      const { workflow, status } = await resolveWorkflowStatus(task, undefined, task.status);
+
+      const before = snapshotTask(task);
+      task.status = status;
+      task.completedAt = getCompletedAt(workflow, status, task.completedAt);
+      task.deletedAt = null;
+      task.deletedBy = null;
+      task.updatedBy = userId;
+      await task.save();
+      await recordTaskHistory({ task: task._id, user: userId, action: 'restored', before, after: snapshotTask(task) });
+      await task.populate(TASK_POPULATE);
+
+      res.status(200).json({
+        message: "Task restored successfully",
+        task
+      });
+
+    } catch (error) {
+      console.error('Restore task error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.status(500).json({ message: "Internal server error restoring task" });
+    }
+  }
+
+  /**
+   * Reverts a task creation, update or deletion made moments ago
+   * @param {Object} req - Express request object
+   * @param {Object} req.body - Undo token returned by the mutation ({ token })
+   * @param {Object} res - Express response object
+   * @returns {Object} Reverted task (null when a creation was undone) or error message
+   * @description An update or deletion is reverted by writing back the previous field values,
+   * timestamps included; a creation is undone by removing the task and its history for good.
+   * The undo is refused once the task changed again.
+   */
+  async undoTask(req, res) {
+    try {
+      const { token } = await undoSchema.validate(req.body, { abortEarly: false });
+      const userId = req.user.userId;
+
+      // The token is only used up once the change is reverted, so a refused undo can be retried
+      const undo = await UndoService.find(token, userId);
+      if (!undo) {
+        return res.status(404).json({ message: 'Undo token not found or expired' });
+      }
+
+      const task = await Task.findById(undo.task).withDeleted();
+      if (!task || task.updatedAt.getTime() !== undo.version.getTime()) {
+        return res.status(409).json({ message: 'The task has changed since, so this change can no longer be undone' });
+      }
+
+      if (!hasRole(await getTaskRole(task, userId), 'editor')) {
+        return res.status(403).json({ message: 'You do not have permission to modify this task' });
+      }
+
+      if (undo.action === 'create') {
+        const { deletedCount } = await Task.deleteOne({ _id: task._id, updatedAt: undo.version });
+        if (!deletedCount) {
+          return res.status(409).json({ message: 'The task has changed since, so this change can no longer be undone' });
+        }
+
+        await UndoService.consume(undo);
+        await TaskHistory.deleteMany({ task: task._id });
+        await Comment.deleteMany({ task: task._id });
+        await TimeEntry.deleteMany({ task: task._id });
+        await Task.updateMany({ blockedBy: task._id }, { $pull: { blockedBy: task._id } }, { timestamps: false });
+        await AttachmentService.deleteForTasks([task._id]);
+
+        return res.status(200).json({
+          message: "Change undone successfully",
+          action: undo.action,
+          task: null
+        });
+      }
+
+      // The version filter keeps a concurrent change from being overwritten
+      const before = snapshotTask(task);
+      const { modifiedCount } = await Task.updateOne(
+        { _id: task._id, updatedAt: undo.version },
+        { $set: undo.previous },
+        { timestamps: false }
+      );
+      if (!modifiedCount) {
+        return res.status(409).json({ message: 'The task has changed since, so this change can no longer be undone' });
+      }
+      await UndoService.consume(undo);
+
+      const revertedTask = await Task.findById(task._id).populate(TASK_POPULATE);
+      await recordTaskHistory({
+        task: task._id,
+        user: userId,
+        action: undo.action === 'delete' ? 'restored' : 'updated',
+        before,
+        after: snapshotTask(revertedTask)
+      });
+
+      res.status(200).json({
+        message: "Change undone successfully",
+        action: undo.action,
+        task: revertedTask
+      });
+
+    } catch (error) {
+      console.error('❌ Undo task error:', error);
+
+      if (error.name === 'ValidationError' || error.errors) {
+        // Yup validation error
+        const message = error.errors ? error.errors.join(', ') : error.message;
+        return res.status(400).json({ 
+          message: `Validation failed: ${message}`,
+          errors: error.errors || [error.message]
+        });
+      }
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.status(500).json({ message: "Internal server error undoing change" });
+    }
+  }
+
+  /**
+   * Assigns a task to a user who has access to it and notifies them by email
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Task ID
+   * @param {Object} req.body - Assignee ({ userId } or { email })
+   * @param {Object} res - Express response object
+   * @returns {Object} Updated task or error message
+   */
+  async assignTask(req, res) {
+    try {
+      await assignTaskSchema.validate(req.body, { abortEarly: false });
+
+      const userId = req.user.userId;
+      const { task, error: accessError } = await authorizeTask(req.params.id, userId, 'editor');
+      if (accessError) {
+        return res.status(accessError.status).json({ message: accessError.message });
+      }
+
+      const { userId: assigneeId, email } = req.body;
+      const assigneeUser = assigneeId
+        ? await User.findById(assigneeId).select('firstName lastName email')
+        : await User.findOne({ email }).select('firstName lastName email');
+
+      if (!assigneeUser) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      // Only users who can already see the task may be responsible for it
+      if (!(await getTaskRole(task, assigneeUser._id))) {
+        return res.status(400).json({ message: 'The assignee does not have access to this task' });
+      }
+
+      const previousAssignee = task.assignee?.toString();
+      task.assignee = assigneeUser._id;
+      task.updatedBy = userId;
+      await task.save();
+      await task.populate(TASK_POPULATE);
+
+      // Record and notify only real changes; the email skips self-assignments
+      const assigneeIdString = assigneeUser._id.toString();
+      if (previousAssignee !== assigneeIdString) {
+        await recordTaskHistory({
+          task: task._id,
+          user: userId,
+          action: 'assigned',
+          changes: [{ field: 'assignee', from: previousAssignee || null, to: assigneeIdString }]
+        });
+      }
+
+      if (previousAssignee !== assigneeIdString && assigneeIdString !== userId.toString()) {
+        const assigner = await User.findById(userId).select('firstName lastName');
+        const assignerName = assigner ? `${assigner.firstName} ${assigner.lastName}` : 'Un usuario';
+        await EmailService.sendTaskAssignedEmail(assigneeUser.email, task, assignerName);
+      }
+
+      res.status(200).json({
+        message: "Task assigned successfully",
+        task
+      });
+
+    } catch (error) {
+      console.error('❌ Assign task error:', error);
+
+      if (error.name === 'ValidationError' || error.errors) {
+        // Yup validation error
+        const message = error.errors ? error.errors.join(', ') : error.message;
+        return res.status(400).json({ 
+          message: `Validation failed: ${message}`,
+          errors: error.errors || [error.message]
+        });
+      }
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.status(500).json({ message: "Internal server error assigning task" });
+    }
+  }
+
+  /**
+   * Removes the assignee of a task
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Task ID
+   * @param {Object} res - Express response object
+   * @returns {Object} Updated task or error message
+   */
+  async unassignTask(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { task, error: accessError } = await authorizeTask(req.params.id, userId, 'editor');
+      if (accessError) {
+        return res.status(accessError.status).json({ message: accessError.message });
+      }
+
+      const previousAssignee = task.assignee?.toString();
+      task.assignee = null;
+      task.updatedBy = userId;
+      await task.save();
+      await task.populate(TASK_POPULATE);
+
+      if (previousAssignee) {
+        await recordTaskHistory({
+          task: task._id,
+          user: userId,
+          action: 'unassigned',
+          changes: [{ field: 'assignee', from: previousAssignee, to: null }]
+        });
+      }
+
+      res.status(200).json({
+        message: "Task unassigned successfully",
+        task
+      });
+
+    } catch (error) {
+      console.error('Unassign task error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.status(500).json({ message: "Internal server error unassigning task" });
+    }
+  }
+
+  /**
+   * Completes, re-opens or cancels a single occurrence of a recurring task
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Recurring task ID
+   * @param {string} req.params.date - Occurrence day (YYYY-MM-DD)
+   * @param {Object} req.body - Override data ({ status, cancelled })
+   * @param {Object} res - Express response object
+   * @returns {Object} Updated series or error message
+   */
+  async updateOccurrence(req, res) {
+    try {
+      await occurrenceOverrideBodySchema.validate(req.body, { abortEarly: false });
+
+      const userId = req.user.userId;
+      const { id: taskId, date: occurrenceDate } = req.params;
+
+      if (!parseDateKey(occurrenceDate)) {
+        return res.status(400).json({ message: 'Occurrence date must be in YYYY-MM-DD format' });
+      }
+
+      const { task, error: accessError } = await authorizeTask(taskId, userId, 'editor');
+      if (accessError) {
+        return res.status(accessError.status).json({ message: accessError.message });
+      }
+
+      if (!task.recurrence) {
+        return res.status(400).json({ message: 'Task is not recurring' });
+      }
+
+      const anchorKey = taskDayKey(task.date);
+      const untilKey = task.recurrence.until ? taskDayKey(task.recurrence.until) : null;
+      const occurs = expandOccurrences(task.recurrence, anchorKey, occurrenceDate, occurrenceDate, untilKey).length > 0;
+
+      if (!occurs) {
+        return res.status(404).json({ message: 'Occurrence not found' });
+      }
+
+      const { cancelled } = req.body;
+      let override = task.occurrenceOverrides.find((item) => item.date === occurrenceDate);
+      let status;
+      if (req.body.status !== undefined) {
+        const resolved = await resolveWorkflowStatus(task, req.body.status);
+        if (resolved.error) {
+          return res.status(400).json({ message: resolved.error });
+        }
+        status = resolved.status;
+
+        if (status !== (override?.status ?? getInitialStatus(resolved.workflow))) {
+          const blockedError = await checkBlockers(task, resolved.workflow, status);
+          if (blockedError) {
+            return res.status(blockedError.status).json({ message: blockedError.message });
+          }
+        }
+      }
+
+      const previousState = occurrenceState(override);
+
+      if (!override) {
+        task.occurrenceOverrides.push({ date: occurrenceDate });
+        override = task.occurrenceOverrides[task.occurrenceOverrides.length - 1];
+      }
+
+      if (status !== undefined) override.status = status;
+      if (cancelled !== undefined) override.cancelled = cancelled;
+      task.updatedBy = userId;
+
+      await task.save();
+      await recordOccurrenceChange(task._id, userId, occurrenceDate, previousState, occurrenceState(override));
+      await task.populate(TASK_POPULATE);
+
+      res.status(200).json({
+        message: "Occurrence updated successfully",
+        task
+      });
+
+    } catch (error) {
+      console.error('❌ Update occurrence error:', error);
+
+      if (error.name === 'ValidationError' || error.errors) {
+        // Yup validation error
+        const message = error.errors ? error.errors.join(', ') : error.message;
+        return res.status(400).json({ 
+          message: `Validation failed: ${message}`,
+          errors: error.errors || [error.message]
+        });
+      }
+
       if (error.name === 'MongoError' || error.name === 'CastError') {
         return res.status(400).json({ message: error.message });
       }
-      
-      res.status(500).json({ message: "Internal server error updating task" });
+
+      res.status(500).json({ message: "Internal server error updating occurrence" });
     }
   }
 
   /**
-   * Deletes a task
+   * Removes the override of a single occurrence, restoring it to the series defaults
    * @param {Object} req - Express request object
+   * @param {string} req.params.id - Recurring task ID
+   * @param {string} req.params.date - Occurrence day (YYYY-MM-DD)
    * @param {Object} res - Express response object
-   * @returns {Object} Success status or error message
+   * @returns {Object} Updated series or error message
    */
-  async deleteTask(req, res) {
+  async resetOccurrence(req, res) {
     try {
       const userId = req.user.userId;
-      const taskId = req.params.id;
+      const { id: taskId, date: occurrenceDate } = req.params;
 
-      // Find and delete task that belongs to the authenticated user
-      const deletedTask = await Task.findOneAndDelete({ _id: taskId, user: userId });
-      
-      if (!deletedTask) {
+      if (!parseDateKey(occurrenceDate)) {
+        return res.status(400).json({ message: 'Occurrence date must be in YYYY-MM-DD format' });
+      }
+
+      const { task: currentTask, error: accessError } = await authorizeTask(taskId, userId, 'editor');
+      if (accessError) {
+        return res.status(accessError.status).json({ message: accessError.message });
+      }
+
+      const task = await Task.findOneAndUpdate(
+        { _id: taskId, recurrence: { $ne: null } },
+        { $pull: { occurrenceOverrides: { date: occurrenceDate } }, updatedBy: userId },
+        { new: true }
+      ).populate(TASK_POPULATE);
+
+      if (!task) {
         return res.status(404).json({ message: 'Task not found' });
       }
 
+      const previousState = occurrenceState(currentTask.occurrenceOverrides.find((item) => item.date === occurrenceDate));
+      await recordOccurrenceChange(task._id, userId, occurrenceDate, previousState, null);
+
       res.status(200).json({
-        message: "Task deleted successfully"
+        message: "Occurrence reset successfully",
+        task
       });
 
     } catch (error) {
-      console.error('Delete task error:', error);
-      res.status(500).json({ message: "Internal server error deleting task" });
+      console.error('Reset occurrence error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.status(500).json({ message: "Internal server error resetting occurrence" });
     }
   }
 }
@@ -269,20 +2332,80 @@ export default {
     requireAuth, // Ensures user is authenticated
     (req, res) => controller.createTask(req, res)
   ],
+  bulkTasks: [
+    requireAuth,
+    (req, res) => controller.bulkTasks(req, res)
+  ],
+  undoTask: [
+    requireAuth,
+    (req, res) => controller.undoTask(req, res)
+  ],
   getTasks: [
     requireAuth,
     (req, res) => controller.getTasks(req, res)
   ],
+  searchTasks: [
+    requireAuth,
+    (req, res) => controller.searchTasks(req, res)
+  ],
+  getNextTasks: [
+    requireAuth,
+    (req, res) => controller.getNextTasks(req, res)
+  ],
+  getOverdue: [
+    requireAuth,
+    (req, res) => controller.getOverdue(req, res)
+  ],
+  getCalendar: [
+    requireAuth,
+    (req, res) => controller.getCalendar(req, res)
+  ],
+  getBoard: [
+    requireAuth,
+    (req, res) => controller.getBoard(req, res)
+  ],
   getTaskById: [
     requireAuth,
     (req, res) => controller.getTaskById(req, res)
   ],
+  getTaskHistory: [
+    requireAuth,
+    (req, res) => controller.getTaskHistory(req, res)
+  ],
   updateTask: [
     requireAuth,
     (req, res) => controller.updateTask(req, res)
   ],
+  moveTask: [
+    requireAuth,
+    (req, res) => controller.moveTask(req, res)
+  ],
   deleteTask: [
     requireAuth,
     (req, res) => controller.deleteTask(req, res)
+  ],
+  updateOccurrence: [
+    requireAuth,
+    (req, res) => controller.updateOccurrence(req, res)
+  ],
+  resetOccurrence: [
+    requireAuth,
+    (req, res) => controller.resetOccurrence(req, res)
+  ],
+  getTrash: [
+    requireAuth,
+    (req, res) => controller.getTrash(req, res)
+  ],
+  restoreTask: [
+    requireAuth,
+    (req, res) => controller.restoreTask(req, res)
+  ],
+  assignTask: [
+    requireAuth,
+    (req, res) => controller.assignTask(req, res)
+  ],
+  unassignTask: [
+    requireAuth,
+    (req, res) => controller.unassignTask(req, res)
   ]
 };
\ No newline at end of file
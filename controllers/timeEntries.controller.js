@@ -0,0 +1,395 @@
+/**
+ * @fileoverview Time Entry Controller for TidyTask Application
+ * @description Handles time tracking on tasks: start/stop timers, manual entries, listing and removal
+ * @author TidyTask Team
+ * @version 1.0.0
+ */
+
+import * as yup from 'yup';
+import mongoose from 'mongoose';
+import Task from '../models/task.model.js';
+import TimeEntry from '../models/timeEntry.model.js';
+import { requireAuth } from '../utils/decorators.js';
+import { authorizeTask } from '../utils/permissions.js';
+import {
+  MAX_ENTRY_SECONDS,
+  stopTimerEntry,
+  createManualEntry,
+  deleteTimeEntries
+} from '../utils/timeTracking.js';
+
+/**
+ * Validation schema for starting a timer
+ * @type {yup.ObjectSchema}
+ */
+const startTimerSchema = yup.object().shape({
+  note: yup.string().trim().max(500, 'Note must be at most 500 characters').nullable()
+});
+
+/**
+ * Validation schema for manual time entries
+ * @type {yup.ObjectSchema}
+ * @description The end is given either as `endedAt` or as a duration in `minutes`
+ */
+const manualEntrySchema = yup.object().shape({
+  startedAt: yup.date()
+    .typeError('startedAt must be a valid date')
+    .required('startedAt is required'),
+  endedAt: yup.date()
+    .typeError('endedAt must be a valid date')
+    .test('after-start', 'endedAt must be after startedAt', function(value) {
+      return !value || !this.parent.startedAt || value > this.parent.startedAt;
+    }),
+  minutes: yup.number()
+    .typeError('minutes must be a number')
+    .integer('minutes must be an integer')
+    .min(1, 'minutes must be at least 1')
+    .max(MAX_ENTRY_SECONDS / 60, `minutes must be at most ${MAX_ENTRY_SECONDS / 60}`),
+  note: yup.string().trim().max(500, 'Note must be at most 500 characters').nullable()
+}).test('one-end', 'Send either endedAt or minutes', (value) =>
+  (value.endedAt === undefined) !== (value.minutes === undefined));
+
+/**
+ * Validation schema for listing the entries of a task
+ * @type {yup.ObjectSchema}
+ */
+const listEntriesQuerySchema = yup.object().shape({
+  page: yup.number()
+    .typeError('Page must be a number')
+    .integer('Page must be an integer')
+    .min(1, 'Page must be at least 1')
+    .default(1),
+  limit: yup.number()
+    .typeError('Limit must be a number')
+    .integer('Limit must be an integer')
+    .min(1, 'Limit must be at least 1')
+    .max(100, 'Limit must be at most 100')
+    .default(50)
+});
+
+/**
+ * Tracked total of a task, read after an entry changed it
+ * @async
+ * @param {string|ObjectId} taskId - Task ID
+ * @returns {Promise<number>} Tracked seconds
+ */
+const getTrackedSeconds = async (taskId) => {
+  const task = await Task.findById(taskId).withDeleted().select('trackedSeconds');
+  return task?.trackedSeconds || 0;
+};
+
+/**
+ * Sends the error response shared by every time tracking action
+ * @param {Object} res - Express response object
+ * @param {Error} error - Caught error
+ * @param {string} action - Human readable action for the 500 message
+ * @returns {Object} Express response
+ */
+const handleError = (res, error, action) => {
+  console.error(`❌ Time entry ${action} error:`, error);
+
+  if (error.name === 'ValidationError' || error.errors) {
+    // Yup or Mongoose validation error
+    const message = Array.isArray(error.errors) ? error.errors.join(', ') : error.message;
+    return res.status(400).json({
+      message: `Validation failed: ${message}`,
+      errors: Array.isArray(error.errors) ? error.errors : [error.message]
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+
+  return res.status(500).json({ message: `Internal server error ${action} time entry` });
+};
+
+/**
+ * Time Entry Controller Class
+ * @class TimeEntryController
+ * @description Editors of a task track time on it; each user has at most one running timer, and
+ * starting a new one stops the previous one
+ */
+class TimeEntryController {
+  /**
+   * Get the authenticated user's running timer
+   * @async
+   * @method getRunning
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Running timer (null when none), 500: Server error
+   */
+  async getRunning(req, res) {
+    try {
+      const timer = await TimeEntry.findOne({ user: req.user.userId, running: true })
+        .populate('task', 'title status');
+
+      res.status(200).json({
+        message: "Running timer retrieved successfully",
+        timer
+      });
+    } catch (error) {
+      handleError(res, error, 'retrieving');
+    }
+  }
+
+  /**
+   * Start a timer on a task
+   * @async
+   * @method startTimer
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Task ID
+   * @param {Object} req.body - Timer data ({ note })
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 201: Timer started (with the timer it stopped, if any), 400: Validation error,
+   * 403: Not allowed to edit the task, 404: Task not found, 409: Timer already running on this task, 500: Server error
+   */
+  async startTimer(req, res) {
+    try {
+      const { note } = await startTimerSchema.validate(req.body, { abortEarly: false });
+      const userId = req.user.userId;
+
+      const { task, error: accessError } = await authorizeTask(req.params.id, userId, 'editor');
+      if (accessError) {
+        return res.status(accessError.status).json({ message: accessError.message });
+      }
+
+      const running = await TimeEntry.findOne({ user: userId, running: true });
+      if (running?.task.toString() === task._id.toString()) {
+        return res.status(409).json({ message: 'A timer is already running on this task' });
+      }
+
+      const stopped = running ? await stopTimerEntry(running) : null;
+
+      let timer;
+      try {
+        timer = await TimeEntry.create({ task: task._id, user: userId, startedAt: new Date(), running: true, note });
+      } catch (error) {
+        // The unique index rejected a timer started at the same time
+        if (error.code === 11000) {
+          return res.status(409).json({ message: 'Another timer is already running' });
+        }
+        throw error;
+      }
+
+      res.status(201).json({
+        message: "Timer started successfully",
+        timer,
+        stopped
+      });
+    } catch (error) {
+      handleError(res, error, 'starting');
+    }
+  }
+
+  /**
+   * Stop the authenticated user's timer on a task
+   * @async
+   * @method stopTimer
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Task ID
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Finished entry and the task's tracked total, 404: No timer running on the task, 500: Server error
+   * @description Works even if the task was trashed or shared access was lost meanwhile, since the
+   * timer belongs to the user
+   */
+  async stopTimer(req, res) {
+    try {
+      const running = mongoose.isValidObjectId(req.params.id)
+        ? await TimeEntry.findOne({ user: req.user.userId, task: req.params.id, running: true })
+        : null;
+      const entry = running && await stopTimerEntry(running);
+      if (!entry) {
+        return res.status(404).json({ message: 'No timer is running on this task' });
+      }
+
+      res.status(200).json({
+        message: "Timer stopped successfully",
+        entry,
+        trackedSeconds: await getTrackedSeconds(entry.task)
+      });
+    } catch (error) {
+      handleError(res, error, 'stopping');
+    }
+  }
+
+  /**
+   * List the time entries of a task, newest first
+   * @async
+   * @method list
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Task ID
+   * @param {Object} req.query - Query parameters (page, limit)
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Entries with pagination and the tracked total, 400: Validation error,
+   * 404: Task not found, 500: Server error
+   */
+  async list(req, res) {
+    try {
+      const { page, limit } = await listEntriesQuerySchema.validate(req.query, { abortEarly: false });
+
+      const { task, error: accessError } = await authorizeTask(req.params.id, req.user.userId, 'viewer');
+      if (accessError) {
+        return res.status(accessError.status).json({ message: accessError.message });
+      }
+
+      const [entries, totalEntries] = await Promise.all([
+        TimeEntry.find({ task: task._id })
+          .sort({ startedAt: -1, _id: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate('user', 'firstName lastName email'),
+        TimeEntry.countDocuments({ task: task._id })
+      ]);
+
+      const totalPages = Math.ceil(totalEntries / limit);
+
+      res.status(200).json({
+        message: "Time entries retrieved successfully",
+        trackedSeconds: task.trackedSeconds,
+        entries,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalEntries,
+          limit,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      });
+    } catch (error) {
+      handleError(res, error, 'listing');
+    }
+  }
+
+  /**
+   * Record time spent on a task by hand
+   * @async
+   * @method create
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Task ID
+   * @param {Object} req.body - Entry ({ startedAt, endedAt | minutes, note })
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 201: Entry and the task's tracked total, 400: Validation error,
+   * 403: Not allowed to edit the task, 404: Task not found, 500: Server error
+   */
+  async create(req, res) {
+    try {
+      const { startedAt, endedAt, minutes, note } = await manualEntrySchema.validate(req.body, { abortEarly: false });
+      const userId = req.user.userId;
+
+      const end = endedAt || new Date(startedAt.getTime() + minutes * 60 * 1000);
+      if ((end - startedAt) / 1000 > MAX_ENTRY_SECONDS) {
+        return res.status(400).json({ message: 'A time entry can last at most 24 hours' });
+      }
+      if (end > new Date()) {
+        return res.status(400).json({ message: 'A time entry cannot end in the future' });
+      }
+
+      const { task, error: accessError } = await authorizeTask(req.params.id, userId, 'editor');
+      if (accessError) {
+        return res.status(accessError.status).json({ message: accessError.message });
+      }
+
+      const entry = await createManualEntry({ task: task._id, user: userId, startedAt, endedAt: end, note });
+
+      res.status(201).json({
+        message: "Time entry added successfully",
+        entry,
+        trackedSeconds: await getTrackedSeconds(task._id)
+      });
+    } catch (error) {
+      handleError(res, error, 'adding');
+    }
+  }
+
+  /**
+   * Delete one of the authenticated user's time entries
+   * @async
+   * @method remove
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Task ID
+   * @param {string} req.params.entryId - Time entry ID
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Entry deleted, with the task's tracked total, 404: Task or entry not found, 500: Server error
+   * @description Deleting a running timer discards it without adding its time
+   */
+  async remove(req, res) {
+    try {
+      const userId = req.user.userId;
+
+      const { task, error: accessError } = await authorizeTask(req.params.id, userId, 'viewer');
+      if (accessError) {
+        return res.status(accessError.status).json({ message: accessError.message });
+      }
+
+      const deleted = mongoose.isValidObjectId(req.params.entryId)
+        ? await deleteTimeEntries({
+          _id: new mongoose.Types.ObjectId(String(req.params.entryId)),
+          task: task._id,
+          user: new mongoose.Types.ObjectId(String(userId))
+        })
+        : 0;
+      if (!deleted) {
+        return res.status(404).json({ message: 'Time entry not found' });
+      }
+
+      res.status(200).json({
+        message: "Time entry deleted successfully",
+        trackedSeconds: await getTrackedSeconds(task._id)
+      });
+    } catch (error) {
+      handleError(res, error, 'deleting');
+    }
+  }
+}
+
+const controller = new TimeEntryController();
+
+/**
+ * Time Entry Controller Routes Export
+ * @namespace TimeEntryController
+ * @description Time tracking handlers pre-configured with authentication middleware
+ *
+ * @exports {Object} TimeEntryController - Object containing time tracking routes
+ * @example
+ * // Usage in the tasks router:
+ * router.post('/:id/timer/start', ...TimeEntryController.startTimer);
+ */
+export default {
+  /**
+   * @route GET /api/tasks/timer
+   * @middleware requireAuth - JWT authentication required
+   */
+  getRunning: [requireAuth, (req, res) => controller.getRunning(req, res)],
+
+  /**
+   * @route POST /api/tasks/:id/timer/start
+   * @middleware requireAuth - JWT authentication required
+   */
+  startTimer: [requireAuth, (req, res) => controller.startTimer(req, res)],
+
+  /**
+   * @route POST /api/tasks/:id/timer/stop
+   * @middleware requireAuth - JWT authentication required
+   */
+  stopTimer: [requireAuth, (req, res) => controller.stopTimer(req, res)],
+
+  /**
+   * @route GET /api/tasks/:id/time-entries
+   * @middleware requireAuth - JWT authentication required
+   */
+  list: [requireAuth, (req, res) => controller.list(req, res)],
+
+  /**
+   * @route POST /api/tasks/:id/time-entries
+   * @middleware requireAuth - JWT authentication required
+   */
+  create: [requireAuth, (req, res) => controller.create(req, res)],
+
+  /**
+   * @route DELETE /api/tasks/:id/time-entries/:entryId
+   * @middleware requireAuth - JWT authentication required
+   */
+  remove: [requireAuth, (req, res) => controller.remove(req, res)],
+};
@@ -14,6 +14,10 @@ import multer from "multer";
 import { fileURLToPath } from "url";
 import * as yup from "yup";
 import User from "../models/user.model.js";
+import Comment from "../models/comment.model.js";
+import { deleteTimeEntries } from "../utils/timeTracking.js";
+import AttachmentService from "../services/attachment.service.js";
+import { isValidTimeZone } from "../utils/timezone.js";
 import { requireAuth, validateRequest } from "../utils/decorators.js";
 
 // Configure path for ES modules
@@ -56,6 +60,15 @@ const updateProfileSchema = yup.object().shape({
     .string()
     .email("Formato de correo inválido")
     .required("El correo es requerido"),
+  timezone: yup
+    .string()
+    .test("valid-timezone", "Zona horaria no válida", (value) => !value || isValidTimeZone(value)),
+  dailyCapacityMinutes: yup
+    .number()
+    .typeError("La capacidad diaria debe ser un número")
+    .integer("La capacidad diaria debe ser un número entero de minutos")
+    .min(1, "La capacidad diaria debe ser de al menos 1 minuto")
+    .max(1440, "La capacidad diaria no puede superar 1440 minutos"),
 });
 
 /**
@@ -211,6 +224,8 @@ class UserProfileController {
           age: user.age,
           email: user.email,
           avatar: user.avatar,
+          timezone: user.timezone,
+          dailyCapacityMinutes: user.dailyCapacityMinutes,
           createdAt: user.createdAt,
           updatedAt: user.updatedAt,
         },
@@ -236,6 +251,8 @@ class UserProfileController {
    * @param {string} req.body.lastName - User's last name
    * @param {number} req.body.age - User's age (13-120)
    * @param {string} req.body.email - User's email address
+   * @param {string} [req.body.timezone] - IANA timezone for due dates (kept if omitted)
+   * @param {number} [req.body.dailyCapacityMinutes] - Minutes of estimated work per day (kept if omitted)
    * @param {Object} res - Express response object
    * @returns {Promise<Object>} 200: Profile updated successfully, 409: Email already exists, 404: User not found, 400: Validation error, 500: Server error
    * @description Updates the authenticated user's profile information with validation
@@ -253,7 +270,7 @@ class UserProfileController {
     try {
       await updateProfileSchema.validate(req.body);
       const userId = req.user.userId;
-      const { firstName, lastName, age, email } = req.body;
+      const { firstName, lastName, age, email, timezone, dailyCapacityMinutes } = req.body;
 
       // Check if email is already taken by another user
       const existingUser = await User.findOne({
@@ -276,6 +293,8 @@ class UserProfileController {
           lastName: lastName.trim(),
           age,
           email: email.toLowerCase().trim(),
+          ...(timezone ? { timezone } : {}),
+          ...(dailyCapacityMinutes !== undefined ? { dailyCapacityMinutes } : {}),
           updatedAt: new Date(),
         },
         { new: true, runValidators: true }
@@ -298,6 +317,8 @@ class UserProfileController {
           age: updatedUser.age,
           email: updatedUser.email,
           avatar: updatedUser.avatar,
+          timezone: updatedUser.timezone,
+          dailyCapacityMinutes: updatedUser.dailyCapacityMinutes,
           createdAt: updatedUser.createdAt,
           updatedAt: updatedUser.updatedAt,
         },
@@ -405,7 +426,8 @@ class UserProfileController {
    * @param {string} req.user.userId - User ID from JWT token
    * @param {Object} res - Express response object
    * @returns {Promise<Object>} 200: Account deleted successfully, 404: User not found, 500: Server error
-   * @description Permanently deletes the authenticated user's account
+   * @description Permanently deletes the authenticated user's account, with the files they uploaded
+   * and the comments and time entries they added
    * @warning This action is irreversible
    * 
    * @example
@@ -416,14 +438,21 @@ class UserProfileController {
     try {
       const userId = req.user.userId;
 
-      const deletedUser = await User.findByIdAndDelete(userId);
-      if (!deletedUser) {
+      const user = await User.findById(userId);
+      if (!user) {
         return res.status(404).json({
           success: false,
           message: "Usuario no encontrado",
         });
       }
 
+      // Clean up before removing the account so a failed step can be retried
+      await AttachmentService.deleteForUser(userId);
+      await Comment.deleteMany({ user: userId });
+      await deleteTimeEntries({ user: user._id });
+
+      await User.findByIdAndDelete(userId);
+
       res.status(200).json({
         success: true,
         message: "Cuenta eliminada exitosamente",
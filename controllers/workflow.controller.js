@@ -0,0 +1,337 @@
+/**
+ * @fileoverview Workflow Controller for TidyTask Application
+ * @description Reads and configures custom workflows (ordered task statuses) of users and projects
+ * @author TidyTask Team
+ * @version 1.0.0
+ */
+
+import * as yup from 'yup';
+import Project from '../models/project.model.js';
+import User from '../models/user.model.js';
+import { requireAuth } from '../utils/decorators.js';
+import { hasRole, getProjectRole } from '../utils/permissions.js';
+import {
+  STATUS_KEY_PATTERN,
+  MAX_WORKFLOW_STATUSES,
+  normalizeStatus,
+  toWorkflow,
+  getUserWorkflow,
+  getProjectWorkflow,
+  userWorkflowScope,
+  applyWorkflowChange
+} from '../utils/workflow.js';
+
+/**
+ * Validation schema for the `remap` object sent when statuses in use are removed
+ * @type {yup.ObjectSchema}
+ * @description Maps each removed status key to the key its tasks move to
+ */
+const remapSchema = yup.object()
+  .default(undefined)
+  .test('string-values', 'remap must map status keys to status keys', (value) =>
+    !value || Object.values(value).every((target) => typeof target === 'string'));
+
+/**
+ * Validation schema for workflow updates
+ * @type {yup.ObjectSchema}
+ * @description Ordered statuses with unique keys, at least one open and one done status
+ */
+const workflowSchema = yup.object().shape({
+  statuses: yup.array()
+    .of(yup.object().shape({
+      key: yup.string()
+        .trim()
+        .transform((value) => normalizeStatus(value))
+        .matches(STATUS_KEY_PATTERN, 'Status keys may only contain lowercase letters, digits, "_" and "-" (max 30), or be a built-in status key')
+        .required('Status key is required'),
+      name: yup.string().trim().max(50, 'Status name must be at most 50 characters').required('Status name is required'),
+      color: yup.string().trim().matches(/^#[0-9a-fA-F]{6}$/, 'Color must be in #RRGGBB format'),
+      done: yup.boolean().default(false)
+    }))
+    .min(1, 'A workflow needs at least one status')
+    .max(MAX_WORKFLOW_STATUSES, `A workflow can have at most ${MAX_WORKFLOW_STATUSES} statuses`)
+    .required('statuses is required')
+    .test('unique-keys', 'Status keys must be unique', (value) =>
+      !value || new Set(value.map((status) => status.key)).size === value.length)
+    .test('has-open', 'At least one status must not be done', (value) =>
+      !value || value.some((status) => !status.done))
+    .test('has-done', 'At least one status must be done', (value) =>
+      !value || value.some((status) => status.done)),
+  remap: remapSchema
+});
+
+/**
+ * Validation schema for workflow resets
+ * @type {yup.ObjectSchema}
+ */
+const resetWorkflowSchema = yup.object().shape({
+  remap: remapSchema
+});
+
+/**
+ * Loads a project and checks the user has at least a role on it
+ * @param {string} projectId - Project ID
+ * @param {string} userId - Authenticated user ID
+ * @param {string} minRole - Minimum role required (viewer, editor, owner)
+ * @returns {Promise<{project?: Object, error?: {status: number, message: string}}>}
+ */
+const loadProject = async (projectId, userId, minRole) => {
+  const project = await Project.findById(projectId);
+  const role = project ? getProjectRole(project, userId) : null;
+
+  if (!role) {
+    return { error: { status: 404, message: 'Project not found' } };
+  }
+
+  if (!hasRole(role, minRole)) {
+    return { error: { status: 403, message: 'Only the project owner can do this' } };
+  }
+
+  return { project };
+};
+
+/**
+ * Answers the request when removed statuses are still used by tasks
+ * @param {Object} res - Express response object
+ * @param {string[]} unmapped - Removed status keys without a replacement
+ * @returns {Object} Express response
+ */
+const sendUnmappedStatuses = (res, unmapped) => res.status(409).json({
+  message: `Some tasks still use removed statuses; send a remap for: ${unmapped.join(', ')}`,
+  statuses: unmapped
+});
+
+/**
+ * Sends the error response shared by the workflow actions
+ * @param {Object} res - Express response object
+ * @param {Error} error - Caught error
+ * @param {string} action - Human readable action for the 500 message
+ * @returns {Object} Express response
+ */
+const handleError = (res, error, action) => {
+  console.error(`❌ Workflow ${action} error:`, error);
+
+  if (error.name === 'ValidationError' || error.errors) {
+    // Yup or Mongoose validation error
+    const message = Array.isArray(error.errors) ? error.errors.join(', ') : error.message;
+    return res.status(400).json({
+      message: `Validation failed: ${message}`,
+      errors: Array.isArray(error.errors) ? error.errors : [error.message]
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+
+  return res.status(500).json({ message: `Internal server error ${action} workflow` });
+};
+
+/**
+ * Workflow Controller Class
+ * @class WorkflowController
+ * @description A user's workflow applies to their personal tasks and to their projects without
+ * one of their own; a project workflow applies to every task of the project
+ */
+class WorkflowController {
+  /**
+   * Get the authenticated user's workflow
+   * @async
+   * @method getUserWorkflow
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Workflow and whether it is customized, 500: Server error
+   */
+  async getUserWorkflow(req, res) {
+    try {
+      const user = await User.findById(req.user.userId).select('workflow');
+
+      res.status(200).json({
+        message: "Workflow retrieved successfully",
+        workflow: toWorkflow(user?.workflow),
+        custom: Boolean(user?.workflow?.length)
+      });
+    } catch (error) {
+      handleError(res, error, 'retrieving');
+    }
+  }
+
+  /**
+   * Replace the authenticated user's workflow
+   * @async
+   * @method updateUserWorkflow
+   * @param {Object} req - Express request object
+   * @param {Object} req.body - New workflow ({ statuses, remap })
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Workflow updated, 400: Validation error, 409: Removed statuses in use, 500: Server error
+   */
+  async updateUserWorkflow(req, res) {
+    try {
+      const { statuses, remap } = await workflowSchema.validate(req.body, { abortEarly: false });
+      const userId = req.user.userId;
+      const workflow = toWorkflow(statuses);
+
+      const { unmapped } = await applyWorkflowChange(await userWorkflowScope(userId), workflow, remap);
+      if (unmapped) {
+        return sendUnmappedStatuses(res, unmapped);
+      }
+
+      await User.updateOne({ _id: userId }, { $set: { workflow } });
+
+      res.status(200).json({
+        message: "Workflow updated successfully",
+        workflow,
+        custom: true
+      });
+    } catch (error) {
+      handleError(res, error, 'updating');
+    }
+  }
+
+  /**
+   * Get the workflow a project's tasks follow
+   * @async
+   * @method getProjectWorkflow
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Project ID
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Workflow and whether it is inherited from the owner, 404: Project not found, 500: Server error
+   */
+  async getProjectWorkflow(req, res) {
+    try {
+      const { project, error: accessError } = await loadProject(req.params.id, req.user.userId, 'viewer');
+      if (accessError) {
+        return res.status(accessError.status).json({ message: accessError.message });
+      }
+
+      res.status(200).json({
+        message: "Workflow retrieved successfully",
+        workflow: await getProjectWorkflow(project),
+        inherited: !project.workflow.length
+      });
+    } catch (error) {
+      handleError(res, error, 'retrieving');
+    }
+  }
+
+  /**
+   * Give a project its own workflow (owner only)
+   * @async
+   * @method updateProjectWorkflow
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Project ID
+   * @param {Object} req.body - New workflow ({ statuses, remap })
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Workflow updated, 400: Validation error, 403: Not the owner, 404: Project not found, 409: Removed statuses in use, 500: Server error
+   */
+  async updateProjectWorkflow(req, res) {
+    try {
+      const { statuses, remap } = await workflowSchema.validate(req.body, { abortEarly: false });
+
+      const { project, error: accessError } = await loadProject(req.params.id, req.user.userId, 'owner');
+      if (accessError) {
+        return res.status(accessError.status).json({ message: accessError.message });
+      }
+
+      const workflow = toWorkflow(statuses);
+      const { unmapped } = await applyWorkflowChange({ project: project._id }, workflow, remap);
+      if (unmapped) {
+        return sendUnmappedStatuses(res, unmapped);
+      }
+
+      project.workflow = workflow;
+      await project.save();
+
+      res.status(200).json({
+        message: "Workflow updated successfully",
+        workflow,
+        inherited: false
+      });
+    } catch (error) {
+      handleError(res, error, 'updating');
+    }
+  }
+
+  /**
+   * Make a project follow its owner's workflow again (owner only)
+   * @async
+   * @method resetProjectWorkflow
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Project ID
+   * @param {Object} [req.body] - Replacements for statuses the owner's workflow lacks ({ remap })
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} 200: Workflow reset, 403: Not the owner, 404: Project not found, 409: Removed statuses in use, 500: Server error
+   */
+  async resetProjectWorkflow(req, res) {
+    try {
+      const { remap } = await resetWorkflowSchema.validate(req.body || {}, { abortEarly: false });
+
+      const { project, error: accessError } = await loadProject(req.params.id, req.user.userId, 'owner');
+      if (accessError) {
+        return res.status(accessError.status).json({ message: accessError.message });
+      }
+
+      const workflow = await getUserWorkflow(project.user);
+      const { unmapped } = await applyWorkflowChange({ project: project._id }, workflow, remap);
+      if (unmapped) {
+        return sendUnmappedStatuses(res, unmapped);
+      }
+
+      project.workflow = [];
+      await project.save();
+
+      res.status(200).json({
+        message: "Workflow reset successfully",
+        workflow,
+        inherited: true
+      });
+    } catch (error) {
+      handleError(res, error, 'resetting');
+    }
+  }
+}
+
+// Create single instance of controller
+const controller = new WorkflowController();
+
+/**
+ * Workflow Controller Routes Export
+ * @namespace WorkflowController
+ * @description Workflow handlers pre-configured with authentication middleware
+ *
+ * @exports {Object} WorkflowController - Object containing workflow routes
+ * @example
+ * // Usage in the users router:
+ * router.get('/me/workflow', ...WorkflowController.getUserWorkflow);
+ */
+export default {
+  /**
+   * @route GET /api/users/me/workflow
+   * @middleware requireAuth - JWT authentication required
+   */
+  getUserWorkflow: [requireAuth, (req, res) => controller.getUserWorkflow(req, res)],
+
+  /**
+   * @route PUT /api/users/me/workflow
+   * @middleware requireAuth - JWT authentication required
+   */
+  updateUserWorkflow: [requireAuth, (req, res) => controller.updateUserWorkflow(req, res)],
+
+  /**
+   * @route GET /api/projects/:id/workflow
+   * @middleware requireAuth - JWT authentication required
+   */
+  getProjectWorkflow: [requireAuth, (req, res) => controller.getProjectWorkflow(req, res)],
+
+  /**
+   * @route PUT /api/projects/:id/workflow
+   * @middleware requireAuth - JWT authentication required
+   */
+  updateProjectWorkflow: [requireAuth, (req, res) => controller.updateProjectWorkflow(req, res)],
+
+  /**
+   * @route DELETE /api/projects/:id/workflow
+   * @middleware requireAuth - JWT authentication required
+   */
+  resetProjectWorkflow: [requireAuth, (req, res) => controller.resetProjectWorkflow(req, res)],
+};
@@ -37,7 +37,7 @@ server.on('request', (req, res) => {
     // Forzar encabezados CORS en todas las respuestas como último recurso
     if (process.env.NODE_ENV === 'production') {
       res.setHeader('Access-Control-Allow-Origin', 'https://tidytask-frontend.vercel.app/');
-      res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
+      res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,PATCH,DELETE,OPTIONS');
       res.setHeader('Access-Control-Allow-Headers', 'X-Requested-With,Content-Type,Accept,Authorization');
       res.setHeader('Access-Control-Allow-Credentials', 'true');
     }
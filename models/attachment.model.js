@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Attachment Model Definition for TidyTask Application
+ * @description Defines the MongoDB schema for files attached to tasks
+ * @author TidyTask Team
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Attachment Schema Definition
+ * @description Mongoose schema for attachment documents in the database. The file itself lives in
+ * the private attachments directory (see AttachmentService), never under the public /uploads mount.
+ *
+ * @typedef {Object} AttachmentSchema
+ * @property {ObjectId} task - Reference to the task the file is attached to (required)
+ * @property {ObjectId} user - Reference to the user who uploaded the file; it counts toward their quota (required)
+ * @property {string} originalName - File name as uploaded, used for downloads (required)
+ * @property {string} storedName - Random file name on disk (required, unique)
+ * @property {string} mimeType - MIME type reported on upload (required)
+ * @property {number} size - File size in bytes (required)
+ * @property {Date} createdAt - Timestamp when the file was uploaded (auto-generated)
+ */
+const attachmentSchema = new mongoose.Schema({
+    /**
+     * Task
+     * @type {ObjectId}
+     * @required
+     * @ref Task
+     */
+    task: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+        required: true,
+        index: true
+    },
+
+    /**
+     * Uploader
+     * @type {ObjectId}
+     * @required
+     * @ref User
+     * @description The user whose storage quota the file uses
+     */
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+
+    /**
+     * Original file name
+     * @type {string}
+     * @required
+     */
+    originalName: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 255
+    },
+
+    /**
+     * Stored file name
+     * @type {string}
+     * @required
+     * @description Random name, so uploaded names never reach the file system
+     */
+    storedName: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    /**
+     * MIME type
+     * @type {string}
+     * @required
+     */
+    mimeType: {
+        type: String,
+        required: true
+    },
+
+    /**
+     * File size
+     * @type {number}
+     * @required
+     * @description Size in bytes
+     */
+    size: {
+        type: Number,
+        required: true,
+        min: 0
+    }
+}, {
+    /**
+     * Schema options
+     * @description Attachments are never edited, so only the upload time is kept
+     */
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+/**
+ * Attachment Model
+ * @description Mongoose model for attachment documents
+ * @type {mongoose.Model<AttachmentSchema>}
+ * @exports Attachment
+ */
+export default mongoose.model('Attachment', attachmentSchema);
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Comment Model Definition for TidyTask Application
+ * @description Defines the MongoDB schema for the discussion thread of a task
+ * @author TidyTask Team
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Comment Schema Definition
+ * @description Mongoose schema for comment documents in the database
+ *
+ * @typedef {Object} CommentSchema
+ * @property {ObjectId} task - Reference to the commented task (required)
+ * @property {ObjectId} user - Reference to the comment author (required)
+ * @property {string} body - Comment text (required, trimmed)
+ * @property {ObjectId[]} mentions - Users mentioned with @email who were notified
+ * @property {boolean} edited - Whether the body was changed after posting
+ * @property {Date} createdAt - Timestamp when comment was posted (auto-generated)
+ * @property {Date} updatedAt - Timestamp when comment was last updated (auto-generated)
+ */
+const commentSchema = new mongoose.Schema({
+    /**
+     * Commented task
+     * @type {ObjectId}
+     * @required
+     * @ref Task
+     */
+    task: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+        required: true
+    },
+
+    /**
+     * Comment author
+     * @type {ObjectId}
+     * @required
+     * @ref User
+     */
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    /**
+     * Comment text
+     * @type {string}
+     * @required
+     * @description Plain text; other users are mentioned as @their@email.com
+     */
+    body: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 5000
+    },
+
+    /**
+     * Mentioned users
+     * @type {ObjectId[]}
+     * @ref User
+     * @description Users with access to the task that the body mentions; each one is emailed once
+     */
+    mentions: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+
+    /**
+     * Edited flag
+     * @type {boolean}
+     * @default false
+     */
+    edited: {
+        type: Boolean,
+        default: false
+    }
+}, {
+    /**
+     * Schema options
+     * @description Automatically adds createdAt and updatedAt timestamps
+     */
+    timestamps: true
+});
+
+/**
+ * Index to read a task thread in order and to count comments per task
+ */
+commentSchema.index({ task: 1, createdAt: 1 });
+
+/**
+ * Comment Model
+ * @description Mongoose model for comment documents
+ * @type {mongoose.Model<CommentSchema>}
+ * @exports Comment
+ */
+export default mongoose.model('Comment', commentSchema);
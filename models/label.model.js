@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Label Model Definition for TidyTask Application
+ * @description Defines the MongoDB schema for per-user labels (tags) attached to tasks
+ * @author TidyTask Team
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Label Schema Definition
+ * @description Mongoose schema for label documents in the database
+ *
+ * @typedef {Object} LabelSchema
+ * @property {string} name - Label name, unique per user ignoring case (required, trimmed)
+ * @property {string} color - Hex color in #RRGGBB format
+ * @property {ObjectId} user - Reference to the user who owns this label (required)
+ * @property {Date} createdAt - Timestamp when label was created (auto-generated)
+ * @property {Date} updatedAt - Timestamp when label was last updated (auto-generated)
+ */
+const labelSchema = new mongoose.Schema({
+    /**
+     * Label name
+     * @type {string}
+     * @required
+     * @description Context name such as "work", "home" or "errands"
+     */
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 50
+    },
+
+    /**
+     * Label color
+     * @type {string}
+     * @default "#4a6ee0"
+     * @description Hex color used by the frontend to paint the label
+     * @validation Must match #RRGGBB
+     */
+    color: {
+        type: String,
+        trim: true,
+        default: '#4a6ee0',
+        match: [/^#[0-9a-fA-F]{6}$/, 'Color must be in #RRGGBB format']
+    },
+
+    /**
+     * Label owner
+     * @type {ObjectId}
+     * @required
+     * @ref User
+     * @description Reference to the user who owns this label
+     */
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    /**
+     * Schema options
+     * @description Automatically adds createdAt and updatedAt timestamps
+     */
+    timestamps: true
+});
+
+/**
+ * Unique label name per user
+ * @description Case-insensitive thanks to the collation (strength 2 ignores case)
+ */
+labelSchema.index(
+    { user: 1, name: 1 },
+    { unique: true, collation: { locale: 'es', strength: 2 } }
+);
+
+/**
+ * Label Model
+ * @description Mongoose model for label documents
+ * @type {mongoose.Model<LabelSchema>}
+ * @exports Label
+ */
+export default mongoose.model('Label', labelSchema);
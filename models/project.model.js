@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Project Model Definition for TidyTask Application
+ * @description Defines the MongoDB schema for projects (named task lists) owned by a user
+ * @author TidyTask Team
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import workflowStatusSchema from './workflowStatus.schema.js';
+
+/**
+ * Project Member Schema
+ * @description Collaborator of a shared project and the role they were given
+ *
+ * @typedef {Object} ProjectMemberSchema
+ * @property {ObjectId} user - Reference to the collaborating user
+ * @property {string} role - editor (can change tasks) or viewer (read only)
+ * @property {Date} addedAt - When the user joined the project
+ */
+const projectMemberSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    role: {
+        type: String,
+        enum: ['editor', 'viewer'],
+        default: 'editor'
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+/**
+ * Project Schema Definition
+ * @description Mongoose schema for project documents in the database
+ *
+ * @typedef {Object} ProjectSchema
+ * @property {string} name - Project name (required, trimmed)
+ * @property {string} description - Optional project description (trimmed)
+ * @property {string} color - Hex color in #RRGGBB format
+ * @property {boolean} archived - Whether the project is archived (its tasks are kept)
+ * @property {Date} archivedAt - When the project was archived, null otherwise
+ * @property {ObjectId} user - Reference to the user who owns this project (required)
+ * @property {ProjectMemberSchema[]} members - Collaborators the project is shared with
+ * @property {WorkflowStatusSchema[]} workflow - Statuses of the project's tasks, empty to use the owner's workflow
+ * @property {Date} createdAt - Timestamp when project was created (auto-generated)
+ * @property {Date} updatedAt - Timestamp when project was last updated (auto-generated)
+ */
+const projectSchema = new mongoose.Schema({
+    /**
+     * Project name
+     * @type {string}
+     * @required
+     * @description Name of the list, e.g. "Mudanza" or "Trabajo"
+     */
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+
+    /**
+     * Project description
+     * @type {string}
+     * @optional
+     * @description Additional details about the project
+     */
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 1000
+    },
+
+    /**
+     * Project color
+     * @type {string}
+     * @default "#4a6ee0"
+     * @description Hex color used by the frontend
+     * @validation Must match #RRGGBB
+     */
+    color: {
+        type: String,
+        trim: true,
+        default: '#4a6ee0',
+        match: [/^#[0-9a-fA-F]{6}$/, 'Color must be in #RRGGBB format']
+    },
+
+    /**
+     * Archived flag
+     * @type {boolean}
+     * @default false
+     * @description Archived projects are hidden from the default listing and accept no new tasks
+     */
+    archived: {
+        type: Boolean,
+        default: false
+    },
+
+    /**
+     * Archive timestamp
+     * @type {Date}
+     * @default null
+     * @description Moment the project was archived
+     */
+    archivedAt: {
+        type: Date,
+        default: null
+    },
+
+    /**
+     * Project owner
+     * @type {ObjectId}
+     * @required
+     * @ref User
+     * @description Reference to the user who owns this project
+     */
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    /**
+     * Project members
+     * @type {ProjectMemberSchema[]}
+     * @description Other registered users the project is shared with, each with a role
+     */
+    members: {
+        type: [projectMemberSchema],
+        default: []
+    },
+
+    /**
+     * Project workflow
+     * @type {WorkflowStatusSchema[]}
+     * @default []
+     * @description Statuses shared by everyone working on the project; empty means the
+     * project follows its owner's workflow
+     */
+    workflow: {
+        type: [workflowStatusSchema],
+        default: []
+    }
+}, {
+    /**
+     * Schema options
+     * @description Automatically adds createdAt and updatedAt timestamps
+     */
+    timestamps: true
+});
+
+/**
+ * Index to find the projects shared with a user
+ */
+projectSchema.index({ 'members.user': 1 });
+
+/**
+ * Project Model
+ * @description Mongoose model for project documents
+ * @type {mongoose.Model<ProjectSchema>}
+ * @exports Project
+ */
+export default mongoose.model('Project', projectSchema);
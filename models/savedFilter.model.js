@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Saved Filter Model Definition for TidyTask Application
+ * @description Defines the MongoDB schema for per-user saved task filters
+ * @author TidyTask Team
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Saved Filter Schema Definition
+ * @description Mongoose schema for saved filter documents in the database
+ *
+ * @typedef {Object} SavedFilterSchema
+ * @property {string} name - Filter name, unique per user ignoring case (required, trimmed)
+ * @property {Object} query - Filter query (see utils/filterQuery.js for its fields)
+ * @property {ObjectId} user - Reference to the user who owns this filter (required)
+ * @property {Date} createdAt - Timestamp when filter was created (auto-generated)
+ * @property {Date} updatedAt - Timestamp when filter was last updated (auto-generated)
+ */
+const savedFilterSchema = new mongoose.Schema({
+    /**
+     * Filter name
+     * @type {string}
+     * @required
+     * @description Name shown in the sidebar, such as "Haciendo esta semana"
+     */
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 50
+    },
+
+    /**
+     * Filter query
+     * @type {Object}
+     * @required
+     * @description Validated by the filters controller before it is saved
+     */
+    query: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+
+    /**
+     * Filter owner
+     * @type {ObjectId}
+     * @required
+     * @ref User
+     * @description Reference to the user who owns this filter
+     */
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    /**
+     * Schema options
+     * @description Automatically adds createdAt and updatedAt timestamps; empty queries
+     * ("all my tasks") are kept as {}
+     */
+    timestamps: true,
+    minimize: false
+});
+
+/**
+ * Unique filter name per user
+ * @description Case-insensitive thanks to the collation (strength 2 ignores case)
+ */
+savedFilterSchema.index(
+    { user: 1, name: 1 },
+    { unique: true, collation: { locale: 'es', strength: 2 } }
+);
+
+/**
+ * Saved Filter Model
+ * @description Mongoose model for saved filter documents
+ * @type {mongoose.Model<SavedFilterSchema>}
+ * @exports SavedFilter
+ */
+export default mongoose.model('SavedFilter', savedFilterSchema);
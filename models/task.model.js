@@ -6,6 +6,151 @@
  */
 
 import mongoose from 'mongoose';
+import { STATUS_KEY_PATTERN } from './workflowStatus.schema.js';
+import { RECURRENCE_FREQUENCIES, NTH_WEEKDAY_POSITIONS } from '../utils/recurrence.js';
+import { normalizeTime } from '../utils/timezone.js';
+
+/**
+ * Largest effort estimate of a task, in minutes (one week)
+ * @type {number}
+ */
+export const MAX_ESTIMATED_MINUTES = 7 * 24 * 60;
+
+/**
+ * Recurrence Rule Schema
+ * @description RRULE-style rule that turns a task into a recurring series starting at its `date`
+ *
+ * @typedef {Object} RecurrenceSchema
+ * @property {string} frequency - daily | weekdays | weekly | monthly
+ * @property {number} interval - Repeat every N days/weeks/months (default 1)
+ * @property {number[]} byWeekday - ISO weekdays (1 = Monday ... 7 = Sunday) for weekly rules
+ * @property {Object} nthWeekday - For monthly rules: { weekday, nth } where nth is 1-5 or -1 (last)
+ * @property {Date} until - Last day the series may occur (inclusive, optional)
+ * @property {number} count - Maximum number of occurrences (optional)
+ */
+const recurrenceSchema = new mongoose.Schema({
+    frequency: {
+        type: String,
+        enum: RECURRENCE_FREQUENCIES,
+        required: true
+    },
+    interval: {
+        type: Number,
+        min: 1,
+        max: 99,
+        default: 1
+    },
+    byWeekday: [{
+        type: Number,
+        min: 1,
+        max: 7
+    }],
+    nthWeekday: {
+        weekday: { type: Number, min: 1, max: 7 },
+        nth: { type: Number, enum: NTH_WEEKDAY_POSITIONS }
+    },
+    until: {
+        type: Date,
+        default: null
+    },
+    count: {
+        type: Number,
+        min: 1,
+        max: 1000,
+        default: null
+    }
+}, { _id: false });
+
+/**
+ * Occurrence Override Schema
+ * @description Per-occurrence exception of a recurring task: its own status or a cancellation
+ *
+ * @typedef {Object} OccurrenceOverrideSchema
+ * @property {string} date - Occurrence day (YYYY-MM-DD)
+ * @property {string} status - Status of this occurrence only
+ * @property {boolean} cancelled - True if this occurrence was skipped
+ */
+const occurrenceOverrideSchema = new mongoose.Schema({
+    date: {
+        type: String,
+        required: true,
+        match: /^\d{4}-\d{2}-\d{2}$/
+    },
+    status: {
+        type: String,
+        match: STATUS_KEY_PATTERN
+    },
+    cancelled: {
+        type: Boolean,
+        default: false
+    }
+}, { _id: false });
+
+/**
+ * Checklist Item Schema
+ * @description Ordered subtask inside a task
+ *
+ * @typedef {Object} ChecklistItemSchema
+ * @property {ObjectId} _id - Item identifier used by the checklist endpoints
+ * @property {string} text - Item text (required, trimmed)
+ * @property {boolean} done - Whether the item is completed
+ * @property {number} position - Zero-based position inside the checklist
+ */
+const checklistItemSchema = new mongoose.Schema({
+    text: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 500
+    },
+    done: {
+        type: Boolean,
+        default: false
+    },
+    position: {
+        type: Number,
+        required: true,
+        min: 0
+    }
+});
+
+/**
+ * Reminder Schema
+ * @description Email reminder of a task, either relative to its due time or at a fixed instant
+ *
+ * @typedef {Object} ReminderSchema
+ * @property {ObjectId} _id - Reminder identifier
+ * @property {number} minutesBefore - Minutes before the due time (relative reminders)
+ * @property {Date} at - Fixed instant (absolute reminders)
+ * @property {Date} remindAt - Next instant the reminder is sent, null when nothing is left to send
+ * @property {string} occurrenceDate - Occurrence day (YYYY-MM-DD) `remindAt` belongs to, for recurring tasks
+ * @property {Date} sentAt - When the reminder was last sent
+ */
+const reminderSchema = new mongoose.Schema({
+    minutesBefore: {
+        type: Number,
+        min: 0,
+        max: 30 * 24 * 60,
+        default: null
+    },
+    at: {
+        type: Date,
+        default: null
+    },
+    remindAt: {
+        type: Date,
+        default: null
+    },
+    occurrenceDate: {
+        type: String,
+        match: /^\d{4}-\d{2}-\d{2}$/,
+        default: null
+    },
+    sentAt: {
+        type: Date,
+        default: null
+    }
+});
 
 /**
  * Task Schema Definition
@@ -16,8 +161,27 @@ import mongoose from 'mongoose';
  * @property {string} detail - Optional task description (trimmed)
  * @property {Date} date - Task due date (required)
  * @property {string} time - Task time in HH:MM format (optional, validated)
- * @property {string} status - Task status with predefined values
+ * @property {string} status - Key of a status of the task's workflow
+ * @property {Date} completedAt - When the task entered a done status, null while open
+ * @property {number} boardPosition - Order of the task inside its kanban column
+ * @property {Date} deletedAt - When the task was moved to the trash, null otherwise
+ * @property {ObjectId} deletedBy - User who moved the task to the trash
+ * @property {string} priority - Task priority: low, medium, high, urgent
  * @property {ObjectId} user - Reference to the user who owns this task (required)
+ * @property {ObjectId} createdBy - Reference to the user who created the task
+ * @property {ObjectId} updatedBy - Reference to the user who last changed the task
+ * @property {ObjectId} assignee - Reference to the user responsible for the task, null if unassigned
+ * @property {ObjectId[]} labels - References to the owner's labels attached to this task
+ * @property {ObjectId} project - Reference to the project (list) the task belongs to, null if none
+ * @property {RecurrenceSchema} recurrence - Recurrence rule; null for one-off tasks
+ * @property {OccurrenceOverrideSchema[]} occurrenceOverrides - Exceptions for single occurrences of a recurring task
+ * @property {ChecklistItemSchema[]} checklist - Ordered subtask items
+ * @property {ReminderSchema[]} reminders - Email reminders
+ * @property {number} estimatedMinutes - Estimated effort in minutes, null if not estimated
+ * @property {ObjectId[]} blockedBy - References to the tasks that must be completed first
+ * @property {number} trackedSeconds - Total time tracked on the task, in seconds
+ * @property {Object} checklistProgress - Virtual: { done, total, percent } computed from the checklist
+ * @property {boolean} blocked - Virtual: true while any task in blockedBy is open
  * @property {Date} createdAt - Timestamp when task was created (auto-generated)
  * @property {Date} updatedAt - Timestamp when task was last updated (auto-generated)
  */
@@ -61,12 +225,14 @@ const taskSchema = new mongoose.Schema({
      * @type {string}
      * @optional
      * @description Time in HH:MM format (24-hour). Validates format and time ranges.
+     * Single-digit hours are zero-padded ("9:30" is stored as "09:30") so times compare as strings.
      * @example "14:30", "09:15", "23:59"
      * @validation Must match HH:MM pattern with valid hours (0-23) and minutes (0-59)
      */
     time: { 
         type: String, 
         trim: true,
+        set: normalizeTime,
         validate: {
             /**
              * Custom validator for time format
@@ -88,14 +254,65 @@ const taskSchema = new mongoose.Schema({
      * Task status
      * @type {string}
      * @default "Por hacer"
-     * @enum {string} "Por hacer" | "Haciendo" | "Hecho"
-     * @description Current status of the task
+     * @description Key of a status of the task's workflow (see utils/workflow.js);
+     * the default workflow has "Por hacer", "Haciendo" and "Hecho"
      */
     status: { 
         type: String, 
-        enum: ['Por hacer', 'Haciendo', 'Hecho'], 
+        match: STATUS_KEY_PATTERN,
         default: 'Por hacer' 
     },
+
+    /**
+     * Completion time
+     * @type {Date}
+     * @default null
+     * @description Set when the task enters a done status of its workflow, null while open
+     */
+    completedAt: {
+        type: Date,
+        default: null
+    },
+
+    /**
+     * Board position
+     * @type {number}
+     * @default Date.now
+     * @description Rank of the task inside its status column on the kanban board (ascending).
+     * Fractional values let a move land between two neighbours without renumbering the column;
+     * the creation timestamp default puts new tasks at the bottom.
+     */
+    boardPosition: {
+        type: Number,
+        default: () => Date.now()
+    },
+    
+    /**
+     * Task priority
+     * @type {string}
+     * @default "medium"
+     * @enum {string} "low" | "medium" | "high" | "urgent"
+     * @description Importance of the task, used to rank the "what to do next" list
+     */
+    priority: {
+        type: String,
+        enum: ['low', 'medium', 'high', 'urgent'],
+        default: 'medium'
+    },
+
+    /**
+     * Effort estimate
+     * @type {number}
+     * @default null
+     * @description Expected work in minutes; recurring tasks estimate each occurrence. Compared
+     * with completed work and the owner's daily capacity in the effort report.
+     */
+    estimatedMinutes: {
+        type: Number,
+        min: 1,
+        max: MAX_ESTIMATED_MINUTES,
+        default: null
+    },
     
     /**
      * Task owner
@@ -108,15 +325,268 @@ const taskSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId, 
         ref: 'User', 
         required: true 
+    },
+
+    /**
+     * Task creator
+     * @type {ObjectId}
+     * @ref User
+     * @description User who created the task (differs from `user` only for legacy data)
+     */
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+
+    /**
+     * Last editor
+     * @type {ObjectId}
+     * @ref User
+     * @description User who made the last change, useful on shared projects
+     */
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+
+    /**
+     * Task assignee
+     * @type {ObjectId}
+     * @default null
+     * @ref User
+     * @description User responsible for doing the task; must have access to it
+     */
+    assignee: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+        index: true
+    },
+
+    /**
+     * Task labels
+     * @type {ObjectId[]}
+     * @ref Label
+     * @description Labels (owned by the same user) used to organize the task by context
+     */
+    labels: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Label'
+    }],
+
+    /**
+     * Task project
+     * @type {ObjectId}
+     * @default null
+     * @ref Project
+     * @description Optional project (list) grouping this task
+     */
+    project: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Project',
+        default: null
+    },
+
+    /**
+     * Recurrence rule
+     * @type {RecurrenceSchema}
+     * @default null
+     * @description When set, the task is a series whose first occurrence is `date`
+     */
+    recurrence: {
+        type: recurrenceSchema,
+        default: null
+    },
+
+    /**
+     * Occurrence overrides
+     * @type {OccurrenceOverrideSchema[]}
+     * @description Per-occurrence completion or cancellation of a recurring task
+     */
+    occurrenceOverrides: {
+        type: [occurrenceOverrideSchema],
+        default: []
+    },
+
+    /**
+     * Checklist
+     * @type {ChecklistItemSchema[]}
+     * @description Subtask items kept sorted by `position`
+     */
+    checklist: {
+        type: [checklistItemSchema],
+        default: []
+    },
+
+    /**
+     * Reminders
+     * @type {ReminderSchema[]}
+     * @description Email reminders sent by the ReminderService to the assignee, or to the owner
+     * when the task is unassigned
+     */
+    reminders: {
+        type: [reminderSchema],
+        default: []
+    },
+
+    /**
+     * Blockers
+     * @type {ObjectId[]}
+     * @default []
+     * @ref Task
+     * @description Tasks that must be completed before this one can start. Links never form a
+     * cycle; see the dependencies endpoints.
+     */
+    blockedBy: {
+        type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Task' }],
+        default: []
+    },
+
+    /**
+     * Tracked time
+     * @type {number}
+     * @default 0
+     * @description Seconds of finished time entries on the task, kept up to date by the time
+     * tracking endpoints; running timers are added when they stop
+     */
+    trackedSeconds: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    /**
+     * Deletion time
+     * @type {Date}
+     * @default null
+     * @description Set when the task is moved to the trash; trashed tasks are hidden from every
+     * query (see the withDeleted query helper) and purged after the retention period
+     */
+    deletedAt: {
+        type: Date,
+        default: null,
+        index: true
+    },
+
+    /**
+     * Deleted by
+     * @type {ObjectId}
+     * @default null
+     * @ref User
+     * @description User who moved the task to the trash
+     */
+    deletedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
     }
 }, { 
     /**
      * Schema options
-     * @description Automatically adds createdAt and updatedAt timestamps
+     * @description Automatically adds createdAt and updatedAt timestamps and
+     * includes virtuals (such as checklistProgress and blocked) in task responses
      */
-    timestamps: true 
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+/**
+ * Index to read a kanban column in order
+ */
+taskSchema.index({ status: 1, boardPosition: 1 });
+
+/**
+ * Index for the reminder scheduler to find the reminders that are due
+ */
+taskSchema.index({ 'reminders.remindAt': 1 });
+
+/**
+ * Index to find the tasks a task is blocking
+ */
+taskSchema.index({ blockedBy: 1 });
+
+/**
+ * Full-text index for task search
+ * @description Spanish stemming; text indexes (version 3) ignore case and accents, so "reunion"
+ * finds "reunión". Titles weigh more than details in the relevance score.
+ */
+taskSchema.index(
+    { title: 'text', detail: 'text' },
+    { name: 'task_text_search', weights: { title: 3, detail: 1 }, default_language: 'spanish' }
+);
+
+/**
+ * Query helper to include trashed tasks
+ * @returns {mongoose.Query} The same query, no longer limited to tasks outside the trash
+ * @example
+ * const trashed = await Task.find({ deletedAt: { $ne: null } }).withDeleted();
+ */
+taskSchema.query.withDeleted = function() {
+    this._withDeleted = true;
+    return this;
+};
+
+/**
+ * Soft delete filter
+ * @description Reads skip trashed tasks unless the query calls withDeleted(). Bulk updates are
+ * left alone so changes such as removing a label also reach tasks in the trash.
+ */
+taskSchema.pre(['find', 'findOne', 'countDocuments', 'distinct'], function() {
+    if (!this._withDeleted) {
+        this.where({ deletedAt: null });
+    }
+});
+
+taskSchema.pre('aggregate', function() {
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+});
+
+/**
+ * Checklist progress virtual
+ * @returns {{done: number, total: number, percent: number}} Completed items, total items and rounded percentage
+ * @example { done: 3, total: 5, percent: 60 }
+ */
+taskSchema.virtual('checklistProgress').get(function() {
+    const items = this.checklist || [];
+    const done = items.filter((item) => item.done).length;
+    const total = items.length;
+    return {
+        done,
+        total,
+        percent: total ? Math.round((done / total) * 100) : 0
+    };
 });
 
+/**
+ * Blocked virtual
+ * @returns {boolean|undefined} True while any blocker is still open (not completed). Trashed
+ * blockers do not count. Undefined unless `blockedBy` is populated, as with TASK_POPULATE.
+ */
+taskSchema.virtual('blocked').get(function() {
+    if (!this.populated('blockedBy')) return undefined;
+    return (this.blockedBy || []).some((blocker) => blocker && !blocker.completedAt);
+});
+
+/**
+ * Task population settings
+ * @description Related documents loaded into every task response
+ * @type {Object[]}
+ * @example
+ * const task = await Task.findById(id).populate(TASK_POPULATE);
+ */
+export const TASK_POPULATE = [
+    { path: 'user', select: 'firstName lastName email' },
+    { path: 'createdBy', select: 'firstName lastName email' },
+    { path: 'updatedBy', select: 'firstName lastName email' },
+    { path: 'assignee', select: 'firstName lastName email' },
+    { path: 'labels', select: 'name color' },
+    { path: 'project', select: 'name color archived' },
+    { path: 'blockedBy', select: 'title status completedAt' }
+];
+
 /**
  * Task Model
  * @description Mongoose model for task documents
@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Task History Model Definition for TidyTask Application
+ * @description Defines the MongoDB schema for the activity log of tasks (who changed what, and when)
+ * @author TidyTask Team
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Actions recorded in the history of a task
+ * @type {string[]}
+ */
+export const HISTORY_ACTIONS = ['created', 'updated', 'moved', 'assigned', 'unassigned', 'occurrence', 'deleted', 'restored'];
+
+/**
+ * Field Change Schema
+ * @description Old and new value of one field
+ *
+ * @typedef {Object} FieldChangeSchema
+ * @property {string} field - Changed field (e.g. "status", "date", "occurrences.2024-05-06")
+ * @property {*} from - Previous value, null if unset
+ * @property {*} to - New value, null if unset
+ */
+const fieldChangeSchema = new mongoose.Schema({
+    field: {
+        type: String,
+        required: true
+    },
+    from: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    to: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    }
+}, { _id: false });
+
+/**
+ * Task History Schema Definition
+ * @description One entry per change made to a task
+ *
+ * @typedef {Object} TaskHistorySchema
+ * @property {ObjectId} task - Reference to the changed task (required)
+ * @property {ObjectId} user - Reference to the user who made the change (required)
+ * @property {string} action - What happened (see HISTORY_ACTIONS)
+ * @property {FieldChangeSchema[]} changes - Fields that changed, with their old and new values
+ * @property {Date} createdAt - When the change was made (auto-generated)
+ */
+const taskHistorySchema = new mongoose.Schema({
+    /**
+     * Changed task
+     * @type {ObjectId}
+     * @required
+     * @ref Task
+     */
+    task: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+        required: true
+    },
+
+    /**
+     * Author of the change
+     * @type {ObjectId}
+     * @required
+     * @ref User
+     */
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    /**
+     * Action
+     * @type {string}
+     * @required
+     * @enum {string} See HISTORY_ACTIONS
+     */
+    action: {
+        type: String,
+        enum: HISTORY_ACTIONS,
+        required: true
+    },
+
+    /**
+     * Field changes
+     * @type {FieldChangeSchema[]}
+     * @description Empty for actions without field changes (e.g. "deleted")
+     */
+    changes: {
+        type: [fieldChangeSchema],
+        default: []
+    }
+}, {
+    /**
+     * Schema options
+     * @description Entries are never edited, so only createdAt is kept
+     */
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+/**
+ * Index to read the history of a task, newest first
+ */
+taskHistorySchema.index({ task: 1, createdAt: -1 });
+
+/**
+ * Task History Model
+ * @description Mongoose model for task history entries
+ * @type {mongoose.Model<TaskHistorySchema>}
+ * @exports TaskHistory
+ */
+export default mongoose.model('TaskHistory', taskHistorySchema);
@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Task Undo Model Definition for TidyTask Application
+ * @description Defines the MongoDB schema for pending undo tokens of task mutations
+ * @author TidyTask Team
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Task mutations that can be undone
+ * @type {string[]}
+ */
+export const UNDO_ACTIONS = ['create', 'update', 'delete'];
+
+/**
+ * Task Undo Schema Definition
+ * @description One entry per undoable mutation; entries are removed when used or when they expire
+ *
+ * @typedef {Object} TaskUndoSchema
+ * @property {string} tokenHash - SHA-256 hash of the undo token (the token itself is never stored)
+ * @property {ObjectId} user - Reference to the user who made the change (only they can undo it)
+ * @property {ObjectId} task - Reference to the changed task
+ * @property {string} action - Mutation to revert (create, update, delete)
+ * @property {Object} previous - Raw values the changed fields had before the mutation
+ * @property {Date} version - `updatedAt` of the task right after the mutation
+ * @property {Date} expiresAt - End of the undo window
+ */
+const taskUndoSchema = new mongoose.Schema({
+    /**
+     * Hashed undo token
+     * @type {string}
+     * @required
+     * @unique
+     */
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    /**
+     * Author of the change
+     * @type {ObjectId}
+     * @required
+     * @ref User
+     */
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    /**
+     * Changed task
+     * @type {ObjectId}
+     * @required
+     * @ref Task
+     */
+    task: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+        required: true
+    },
+
+    /**
+     * Mutation to revert
+     * @type {string}
+     * @required
+     * @enum {string} See UNDO_ACTIONS
+     */
+    action: {
+        type: String,
+        enum: UNDO_ACTIONS,
+        required: true
+    },
+
+    /**
+     * Previous field values
+     * @type {Object}
+     * @description Written back as they are on undo, including updatedAt and updatedBy
+     */
+    previous: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+
+    /**
+     * Task version after the mutation
+     * @type {Date}
+     * @required
+     * @description The undo is refused once the task changed again
+     */
+    version: {
+        type: Date,
+        required: true
+    },
+
+    /**
+     * End of the undo window
+     * @type {Date}
+     * @required
+     */
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    /**
+     * Schema options
+     * @description `previous` holds whatever fields the mutation changed
+     */
+    minimize: false
+});
+
+/**
+ * TTL index so MongoDB removes expired entries by itself
+ */
+taskUndoSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Task Undo Model
+ * @description Mongoose model for task undo entries
+ * @type {mongoose.Model<TaskUndoSchema>}
+ * @exports TaskUndo
+ */
+export default mongoose.model('TaskUndo', taskUndoSchema);
@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Time Entry Model Definition for TidyTask Application
+ * @description Defines the MongoDB schema for the time users spend on tasks, recorded with a
+ * timer or entered by hand
+ * @author TidyTask Team
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Time Entry Schema Definition
+ * @description Mongoose schema for time entry documents in the database. A running timer is an
+ * entry without `endedAt`; each user has at most one.
+ *
+ * @typedef {Object} TimeEntrySchema
+ * @property {ObjectId} task - Reference to the task the time was spent on (required)
+ * @property {ObjectId} user - Reference to the user who tracked the time (required)
+ * @property {Date} startedAt - When the work started (required)
+ * @property {Date} endedAt - When the work ended; null while the timer runs
+ * @property {number} seconds - Tracked duration; 0 while the timer runs
+ * @property {boolean} running - Whether this is the user's running timer
+ * @property {string} source - 'timer' or 'manual'
+ * @property {string} note - Optional description of the work
+ * @property {Date} createdAt - Timestamp when the entry was created (auto-generated)
+ * @property {Date} updatedAt - Timestamp when the entry was last updated (auto-generated)
+ */
+const timeEntrySchema = new mongoose.Schema({
+    /**
+     * Task
+     * @type {ObjectId}
+     * @required
+     * @ref Task
+     */
+    task: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+        required: true,
+        index: true
+    },
+
+    /**
+     * User
+     * @type {ObjectId}
+     * @required
+     * @ref User
+     */
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    /**
+     * Start time
+     * @type {Date}
+     * @required
+     */
+    startedAt: {
+        type: Date,
+        required: true
+    },
+
+    /**
+     * End time
+     * @type {Date}
+     * @default null
+     * @description Null while the timer is running
+     */
+    endedAt: {
+        type: Date,
+        default: null
+    },
+
+    /**
+     * Duration
+     * @type {number}
+     * @default 0
+     * @description Whole seconds between startedAt and endedAt, set when the entry ends
+     */
+    seconds: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    /**
+     * Running flag
+     * @type {boolean}
+     * @default false
+     * @description Backs the unique index that allows a single running timer per user
+     */
+    running: {
+        type: Boolean,
+        default: false
+    },
+
+    /**
+     * Source
+     * @type {string}
+     * @enum ['timer', 'manual']
+     * @default 'timer'
+     */
+    source: {
+        type: String,
+        enum: ['timer', 'manual'],
+        default: 'timer'
+    },
+
+    /**
+     * Note
+     * @type {string}
+     * @default null
+     */
+    note: {
+        type: String,
+        trim: true,
+        maxlength: 500,
+        default: null
+    }
+}, {
+    /**
+     * Schema options
+     * @description Automatically adds createdAt and updatedAt timestamps
+     */
+    timestamps: true
+});
+
+/**
+ * Index for time reports: a user's entries by start time
+ */
+timeEntrySchema.index({ user: 1, startedAt: 1 });
+
+/**
+ * At most one running timer per user
+ */
+timeEntrySchema.index({ user: 1 }, { unique: true, partialFilterExpression: { running: true } });
+
+/**
+ * Time Entry Model
+ * @description Mongoose model for time entry documents
+ * @type {mongoose.Model<TimeEntrySchema>}
+ * @exports TimeEntry
+ */
+export default mongoose.model('TimeEntry', timeEntrySchema);
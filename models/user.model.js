@@ -6,6 +6,8 @@
  */
 
 import mongoose from "mongoose";
+import workflowStatusSchema from "./workflowStatus.schema.js";
+import { DEFAULT_TIMEZONE, isValidTimeZone } from "../utils/timezone.js";
 
 /**
  * User Schema Definition
@@ -21,6 +23,10 @@ import mongoose from "mongoose";
  * @property {number} age - User's age (required)
  * @property {string} googleId - Google OAuth ID for social login (sparse index)
  * @property {string} avatar - Path or URL to user's avatar image
+ * @property {WorkflowStatusSchema[]} workflow - Custom task statuses, empty to use the default workflow
+ * @property {string} timezone - IANA timezone used for the user's due dates and "today"
+ * @property {number} dailyCapacityMinutes - Minutes of estimated work the user plans per day
+ * @property {Object} digest - Digest email preferences: { daily, weekly, time } and the last days sent
  * @property {Date} createdAt - Timestamp when user was created (auto-generated)
  * @property {Date} updatedAt - Timestamp when user was last updated (auto-generated)
  */
@@ -123,6 +129,67 @@ const userSchema = new mongoose.Schema(
     avatar: { 
       type: String, 
       default: null 
+    },
+
+    /**
+     * Custom workflow
+     * @type {WorkflowStatusSchema[]}
+     * @default []
+     * @description Ordered statuses of the user's personal tasks and of their projects without
+     * a workflow of their own; empty means "Por hacer", "Haciendo", "Hecho"
+     */
+    workflow: {
+      type: [workflowStatusSchema],
+      default: []
+    },
+
+    /**
+     * Timezone preference
+     * @type {string}
+     * @default "UTC"
+     * @description IANA timezone (e.g. "America/Bogota") that combines task dates and times into
+     * due instants when a request does not send its own `tz`
+     */
+    timezone: {
+      type: String,
+      default: DEFAULT_TIMEZONE,
+      validate: {
+        validator: isValidTimeZone,
+        message: "Zona horaria no válida"
+      }
+    },
+
+    /**
+     * Daily capacity
+     * @type {number}
+     * @default 480
+     * @description Minutes of estimated work the user can take on per day; days scheduled above it
+     * are flagged in the effort report
+     */
+    dailyCapacityMinutes: {
+      type: Number,
+      default: 480,
+      min: [1, "La capacidad diaria debe ser de al menos 1 minuto"],
+      max: [1440, "La capacidad diaria no puede superar 1440 minutos"]
+    },
+
+    /**
+     * Digest email preferences
+     * @type {Object}
+     * @description Opt-in daily agenda (today's and overdue tasks) and weekly summary (sent on
+     * Mondays), both at `time` in the user's timezone. `lastDailyOn` and `lastWeeklyOn` hold the day
+     * and the week (its Monday) last sent, so a digest goes out once even across restarts.
+     */
+    digest: {
+      daily: { type: Boolean, default: false },
+      weekly: { type: Boolean, default: false },
+      time: {
+        type: String,
+        match: [/^([01][0-9]|2[0-3]):[0-5][0-9]$/, "La hora debe tener el formato HH:MM"],
+        default: "07:00"
+      },
+      lastDailyOn: { type: String, default: null },
+      lastWeeklyOn: { type: String, default: null }
     }
   },
   { 
@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Workflow Status Schema for TidyTask Application
+ * @description Sub-schema shared by users and projects to store a custom workflow
+ * (the ordered list of statuses their tasks move through)
+ * @author TidyTask Team
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Format of status keys: lowercase letters, digits, "_" and "-" (1-30 characters), or one of the
+ * built-in statuses, whose keys are the values tasks had before workflows existed
+ * @type {RegExp}
+ */
+export const STATUS_KEY_PATTERN = /^(?:[a-z0-9][a-z0-9_-]{0,29}|Por hacer|Haciendo|Hecho)$/;
+
+/**
+ * Workflow Status Schema
+ * @description One column of a workflow; the array order is the board order
+ *
+ * @typedef {Object} WorkflowStatusSchema
+ * @property {string} key - Stable identifier stored in tasks (e.g. "in_review" or the built-in "Hecho")
+ * @property {string} name - Display name (e.g. "En revisión")
+ * @property {string} color - Hex color in #RRGGBB format
+ * @property {boolean} done - Whether tasks in this status count as completed
+ */
+const workflowStatusSchema = new mongoose.Schema({
+    /**
+     * Status key
+     * @type {string}
+     * @required
+     * @description Never shown to users; renaming a status keeps its key so tasks are untouched
+     */
+    key: {
+        type: String,
+        required: true,
+        match: STATUS_KEY_PATTERN
+    },
+
+    /**
+     * Display name
+     * @type {string}
+     * @required
+     */
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 50
+    },
+
+    /**
+     * Status color
+     * @type {string}
+     * @default "#4a6ee0"
+     */
+    color: {
+        type: String,
+        default: '#4a6ee0',
+        match: [/^#[0-9a-fA-F]{6}$/, 'Color must be in #RRGGBB format']
+    },
+
+    /**
+     * Done flag
+     * @type {boolean}
+     * @default false
+     * @description Tasks in a done status are excluded from open lists and get a completion time
+     */
+    done: {
+        type: Boolean,
+        default: false
+    }
+}, { _id: false });
+
+export default workflowStatusSchema;
@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Saved Filter Routes
+ * @description Defines the API endpoints to manage the user's saved filters and to run them and
+ * the built-in smart lists
+ * @version 1.0.0
+ * @author TidyTask Backend Team
+ * @since 2024-01-01
+ */
+
+import { Router } from 'express';
+import FilterController from '../controllers/filters.controller.js';
+
+/**
+ * Express router for saved filter routes
+ * @type {Router}
+ * @description Handles all filter-related HTTP requests with authentication
+ */
+const router = Router();
+
+/**
+ * Get All Filters Route
+ * @route GET /filters/
+ * @description Retrieves the authenticated user's saved filters sorted by name, plus the built-in
+ * smart lists (today, upcoming, overdue, completed)
+ * @middleware requireAuth - JWT authentication required
+ * @returns {Object} 200: Smart lists and saved filters
+ * @returns {Object} 401: Authentication required
+ *
+ * @example
+ * // GET /api/filters
+ * // Response:
+ * {
+ *   "message": "Filters retrieved successfully",
+ *   "smartLists": [{ "_id": "today", "name": "Hoy", "query": { "date": { "from": "today", "to": "today" }, "done": false }, "smart": true }, ...],
+ *   "filters": [{ "_id": "665f1f77bcf86cd799439011", "name": "Haciendo esta semana", "query": {...}, ... }]
+ * }
+ */
+router.get('/', ...FilterController.getFilters);
+
+/**
+ * Run Filter Route
+ * @route GET /filters/:id/tasks
+ * @description Lists the tasks matching a saved filter or a smart list. Open lists are sorted by due
+ * day and time; lists of done tasks by completion time, newest first. With a closed date range of at
+ * most 366 days, recurring tasks appear once per occurrence in the range.
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Saved filter ID, or smart list key: today, upcoming, overdue, completed
+ * @query {string} [tz] - IANA timezone that defines "today" and the due days (defaults to the
+ * user's timezone)
+ * @query {number} [page=1] - Page number
+ * @query {number} [limit=20] - Tasks per page (max 100)
+ * @returns {Object} 200: Filter, matching tasks and pagination
+ * @returns {Object} 400: Invalid query parameters
+ * @returns {Object} 404: Filter not found
+ * @returns {Object} 401: Authentication required
+ *
+ * @example
+ * // GET /api/filters/overdue/tasks?tz=America/Bogota
+ */
+router.get('/:id/tasks', ...FilterController.getFilterTasks);
+
+/**
+ * Get Single Filter Route
+ * @route GET /filters/:id
+ * @description Retrieves a saved filter of the authenticated user
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Filter ID (MongoDB ObjectId)
+ * @returns {Object} 200: Filter data
+ * @returns {Object} 404: Filter not found
+ * @returns {Object} 401: Authentication required
+ */
+router.get('/:id', ...FilterController.getFilterById);
+
+/**
+ * Create Filter Route
+ * @route POST /filters/
+ * @description Saves a filter for the authenticated user
+ * @middleware requireAuth - JWT authentication required
+ * @body {string} name - Filter name, unique per user ignoring case (max 50 characters)
+ * @body {Object} [query={}] - Filter query; every field is optional and all given fields must match:
+ * @body {string[]} [query.status] - Status keys
+ * @body {boolean} [query.done] - true for tasks in a done status, false for open tasks
+ * @body {boolean} [query.overdue] - true for open tasks past their due time
+ * @body {string[]} [query.priority] - Priorities: low, medium, high, urgent
+ * @body {Object} [query.date] - Due days { from, to }: YYYY-MM-DD, today, tomorrow, yesterday,
+ * startOfWeek, endOfWeek or an offset from today such as +7d or -3d
+ * @body {Object} [query.time] - Task time bounds { from, to } in HH:MM
+ * @body {boolean} [query.hasTime] - Whether the task has a time
+ * @body {string} [query.text] - Words searched in title and detail, ignoring accents
+ * @returns {Object} 201: Filter created successfully
+ * @returns {Object} 400: Validation error
+ * @returns {Object} 409: A filter with this name already exists
+ * @returns {Object} 401: Authentication required
+ *
+ * @example
+ * // POST /api/filters
+ * { "name": "Haciendo esta semana", "query": { "status": ["Haciendo"], "date": { "from": "startOfWeek", "to": "endOfWeek" } } }
+ */
+router.post('/', ...FilterController.createFilter);
+
+/**
+ * Update Filter Route
+ * @route PUT /filters/:id
+ * @description Renames a saved filter or replaces its query
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Filter ID (MongoDB ObjectId)
+ * @body {string} [name] - New filter name
+ * @body {Object} [query] - New filter query (replaces the whole query)
+ * @returns {Object} 200: Filter updated successfully
+ * @returns {Object} 400: Validation error
+ * @returns {Object} 404: Filter not found
+ * @returns {Object} 409: A filter with this name already exists
+ * @returns {Object} 401: Authentication required
+ */
+router.put('/:id', ...FilterController.updateFilter);
+
+/**
+ * Delete Filter Route
+ * @route DELETE /filters/:id
+ * @description Deletes a saved filter
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Filter ID (MongoDB ObjectId)
+ * @returns {Object} 200: Filter deleted successfully
+ * @returns {Object} 404: Filter not found
+ * @returns {Object} 401: Authentication required
+ */
+router.delete('/:id', ...FilterController.deleteFilter);
+
+/**
+ * Filter Routes Export
+ * @exports {Router} router - Express router with saved filter endpoints
+ * @description All routes are prefixed with '/filters' and require authentication
+ *
+ * @example
+ * // In app.js:
+ * import filterRoutes from './routes/filters.routes.js';
+ * app.use('/api/filters', filterRoutes);
+ *
+ * // Available endpoints:
+ * // GET /api/filters/           - Get saved filters and smart lists
+ * // GET /api/filters/:id/tasks  - Run a saved filter or smart list
+ * // GET /api/filters/:id        - Get specific filter
+ * // POST /api/filters/          - Create filter
+ * // PUT /api/filters/:id        - Update filter
+ * // DELETE /api/filters/:id     - Delete filter
+ */
+export default router;
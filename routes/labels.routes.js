@@ -0,0 +1,114 @@
+/**
+ * @fileoverview Label Management Routes
+ * @description Defines the API endpoints to manage the user's task labels
+ * @version 1.0.0
+ * @author TidyTask Backend Team
+ * @since 2024-01-01
+ */
+
+import { Router } from 'express';
+import LabelController from '../controllers/labels.controller.js';
+
+/**
+ * Express router for label routes
+ * @type {Router}
+ * @description Handles all label-related HTTP requests with authentication
+ */
+const router = Router();
+
+/**
+ * Get All User Labels Route
+ * @route GET /labels/
+ * @description Retrieves the authenticated user's labels sorted by name, each with its task count
+ * @middleware requireAuth - JWT authentication required
+ * @returns {Object} 200: Array of labels
+ * @returns {Object} 401: Authentication required
+ *
+ * @example
+ * // GET /api/labels
+ * // Response:
+ * {
+ *   "message": "Labels retrieved successfully",
+ *   "labels": [
+ *     { "_id": "665f1f77bcf86cd799439011", "name": "casa", "color": "#22aa55", "taskCount": 4, ... }
+ *   ]
+ * }
+ */
+router.get('/', ...LabelController.getLabels);
+
+/**
+ * Get Single Label Route
+ * @route GET /labels/:id
+ * @description Retrieves a label of the authenticated user
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Label ID (MongoDB ObjectId)
+ * @returns {Object} 200: Label data
+ * @returns {Object} 404: Label not found
+ * @returns {Object} 401: Authentication required
+ */
+router.get('/:id', ...LabelController.getLabelById);
+
+/**
+ * Create Label Route
+ * @route POST /labels/
+ * @description Creates a label for the authenticated user
+ * @middleware requireAuth - JWT authentication required
+ * @body {string} name - Label name, unique per user ignoring case (max 50 characters)
+ * @body {string} [color="#4a6ee0"] - Hex color in #RRGGBB format
+ * @returns {Object} 201: Label created successfully
+ * @returns {Object} 400: Validation error
+ * @returns {Object} 409: A label with this name already exists
+ * @returns {Object} 401: Authentication required
+ *
+ * @example
+ * // POST /api/labels
+ * { "name": "trabajo", "color": "#e04a4a" }
+ */
+router.post('/', ...LabelController.createLabel);
+
+/**
+ * Update Label Route
+ * @route PUT /labels/:id
+ * @description Renames or recolors a label
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Label ID (MongoDB ObjectId)
+ * @body {string} [name] - New label name
+ * @body {string} [color] - New hex color
+ * @returns {Object} 200: Label updated successfully
+ * @returns {Object} 400: Validation error
+ * @returns {Object} 404: Label not found
+ * @returns {Object} 409: A label with this name already exists
+ * @returns {Object} 401: Authentication required
+ */
+router.put('/:id', ...LabelController.updateLabel);
+
+/**
+ * Delete Label Route
+ * @route DELETE /labels/:id
+ * @description Deletes a label and removes it from every task that used it
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Label ID (MongoDB ObjectId)
+ * @returns {Object} 200: Label deleted successfully
+ * @returns {Object} 404: Label not found
+ * @returns {Object} 401: Authentication required
+ */
+router.delete('/:id', ...LabelController.deleteLabel);
+
+/**
+ * Label Routes Export
+ * @exports {Router} router - Express router with label management endpoints
+ * @description All routes are prefixed with '/labels' and require authentication
+ *
+ * @example
+ * // In app.js:
+ * import labelRoutes from './routes/labels.routes.js';
+ * app.use('/api/labels', labelRoutes);
+ *
+ * // Available endpoints:
+ * // GET /api/labels/         - Get all user labels
+ * // GET /api/labels/:id      - Get specific label
+ * // POST /api/labels/        - Create label
+ * // PUT /api/labels/:id      - Update label
+ * // DELETE /api/labels/:id   - Delete label
+ */
+export default router;
@@ -0,0 +1,267 @@
+/**
+ * @fileoverview Project Management Routes
+ * @description Defines the API endpoints to manage projects (named task lists)
+ * @version 1.0.0
+ * @author TidyTask Backend Team
+ * @since 2024-01-01
+ */
+
+import { Router } from 'express';
+import ProjectController from '../controllers/projects.controller.js';
+import WorkflowController from '../controllers/workflow.controller.js';
+
+/**
+ * Express router for project routes
+ * @type {Router}
+ * @description Handles all project-related HTTP requests with authentication
+ */
+const router = Router();
+
+/**
+ * Get All User Projects Route
+ * @route GET /projects/
+ * @description Retrieves the projects the authenticated user owns or collaborates on, with the
+ * user's role and task counts per workflow status
+ * @middleware requireAuth - JWT authentication required
+ * @query {boolean} [includeArchived=false] - Include archived projects
+ * @returns {Object} 200: Array of projects
+ * @returns {Object} 401: Authentication required
+ *
+ * @example
+ * // GET /api/projects
+ * // Response:
+ * {
+ *   "message": "Projects retrieved successfully",
+ *   "projects": [
+ *     {
+ *       "_id": "665f1f77bcf86cd799439011",
+ *       "name": "Mudanza",
+ *       "archived": false,
+ *       "role": "owner",
+ *       "members": [{ "user": { "firstName": "Ana", ... }, "role": "editor", "addedAt": "..." }],
+ *       "taskCounts": { "byStatus": { "Por hacer": 4, "Haciendo": 1, "Hecho": 7 }, "completed": 7, "total": 12 },
+ *       ...
+ *     }
+ *   ]
+ * }
+ */
+router.get('/', ...ProjectController.getProjects);
+
+/**
+ * Get Single Project Route
+ * @route GET /projects/:id
+ * @description Retrieves a project the authenticated user owns or collaborates on, with its task counts
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Project ID (MongoDB ObjectId)
+ * @returns {Object} 200: Project data
+ * @returns {Object} 404: Project not found
+ * @returns {Object} 401: Authentication required
+ */
+router.get('/:id', ...ProjectController.getProjectById);
+
+/**
+ * Create Project Route
+ * @route POST /projects/
+ * @description Creates a project for the authenticated user
+ * @middleware requireAuth - JWT authentication required
+ * @body {string} name - Project name (max 100 characters)
+ * @body {string} [description] - Project description
+ * @body {string} [color="#4a6ee0"] - Hex color in #RRGGBB format
+ * @returns {Object} 201: Project created successfully
+ * @returns {Object} 400: Validation error
+ * @returns {Object} 401: Authentication required
+ *
+ * @example
+ * // POST /api/projects
+ * { "name": "Mudanza", "color": "#22aa55" }
+ */
+router.post('/', ...ProjectController.createProject);
+
+/**
+ * Update Project Route
+ * @route PUT /projects/:id
+ * @description Updates the name, description or color of a project
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Project ID (MongoDB ObjectId)
+ * @body {string} [name] - New project name
+ * @body {string} [description] - New description
+ * @body {string} [color] - New hex color
+ * @returns {Object} 200: Project updated successfully
+ * @returns {Object} 400: Validation error
+ * @returns {Object} 403: Only the owner can do this
+ * @returns {Object} 404: Project not found
+ * @returns {Object} 401: Authentication required
+ */
+router.put('/:id', ...ProjectController.updateProject);
+
+/**
+ * Archive Project Route
+ * @route POST /projects/:id/archive
+ * @description Archives a project; its tasks are kept but no new tasks can be added to it
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Project ID (MongoDB ObjectId)
+ * @returns {Object} 200: Project archived
+ * @returns {Object} 403: Only the owner can do this
+ * @returns {Object} 404: Project not found
+ * @returns {Object} 401: Authentication required
+ */
+router.post('/:id/archive', ...ProjectController.archiveProject);
+
+/**
+ * Unarchive Project Route
+ * @route POST /projects/:id/unarchive
+ * @description Restores an archived project
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Project ID (MongoDB ObjectId)
+ * @returns {Object} 200: Project unarchived
+ * @returns {Object} 403: Only the owner can do this
+ * @returns {Object} 404: Project not found
+ * @returns {Object} 401: Authentication required
+ */
+router.post('/:id/unarchive', ...ProjectController.unarchiveProject);
+
+/**
+ * Delete Project Route
+ * @route DELETE /projects/:id
+ * @description Deletes a project; its tasks are kept and go back to the personal list of their owners
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Project ID (MongoDB ObjectId)
+ * @returns {Object} 200: Project deleted, with the number of detached tasks
+ * @returns {Object} 403: Only the owner can do this
+ * @returns {Object} 404: Project not found
+ * @returns {Object} 401: Authentication required
+ */
+router.delete('/:id', ...ProjectController.deleteProject);
+
+/**
+ * Add Project Member Route
+ * @route POST /projects/:id/members
+ * @description Shares a project with another registered user (owner only)
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Project ID (MongoDB ObjectId)
+ * @body {string} email - Email of a registered user
+ * @body {string} [role=editor] - editor (can create, change and delete tasks) or viewer (read only)
+ * @returns {Object} 201: Member added, returns the member list
+ * @returns {Object} 400: Validation error
+ * @returns {Object} 403: Only the owner can do this
+ * @returns {Object} 404: Project or user not found
+ * @returns {Object} 409: User already has access
+ * @returns {Object} 401: Authentication required
+ *
+ * @example
+ * // POST /api/projects/665f1f77bcf86cd799439011/members
+ * { "email": "pareja@example.com", "role": "editor" }
+ */
+router.post('/:id/members', ...ProjectController.addMember);
+
+/**
+ * Update Project Member Route
+ * @route PUT /projects/:id/members/:userId
+ * @description Changes the role of a member (owner only)
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Project ID (MongoDB ObjectId)
+ * @param {string} userId - Member user ID
+ * @body {string} role - editor or viewer
+ * @returns {Object} 200: Role updated, returns the member list
+ * @returns {Object} 400: Validation error
+ * @returns {Object} 403: Only the owner can do this
+ * @returns {Object} 404: Project or member not found
+ * @returns {Object} 401: Authentication required
+ */
+router.put('/:id/members/:userId', ...ProjectController.updateMember);
+
+/**
+ * Remove Project Member Route
+ * @route DELETE /projects/:id/members/:userId
+ * @description Removes a member; the owner can remove anyone and members can remove themselves to leave
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Project ID (MongoDB ObjectId)
+ * @param {string} userId - Member user ID
+ * @returns {Object} 200: Member removed, returns the member list
+ * @returns {Object} 403: Only the owner can do this
+ * @returns {Object} 404: Project or member not found
+ * @returns {Object} 401: Authentication required
+ */
+router.delete('/:id/members/:userId', ...ProjectController.removeMember);
+
+/**
+ * Get Project Workflow Route
+ * @route GET /projects/:id/workflow
+ * @description Retrieves the statuses the project's tasks move through: its own workflow, or its owner's
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Project ID (MongoDB ObjectId)
+ * @returns {Object} 200: Workflow statuses and whether they are inherited from the owner
+ * @returns {Object} 404: Project not found
+ * @returns {Object} 401: Authentication required
+ */
+router.get('/:id/workflow', ...WorkflowController.getProjectWorkflow);
+
+/**
+ * Update Project Workflow Route
+ * @route PUT /projects/:id/workflow
+ * @description Gives the project its own workflow, shared by all its members (owner only)
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Project ID (MongoDB ObjectId)
+ * @body {Object[]} statuses - Ordered statuses ({ key, name, color, done }); at least one open and one done
+ * @body {Object} [remap] - New key for each removed status still used by the project's tasks
+ * @returns {Object} 200: Workflow updated
+ * @returns {Object} 400: Validation error
+ * @returns {Object} 403: Only the owner can do this
+ * @returns {Object} 404: Project not found
+ * @returns {Object} 409: Removed statuses still in use without remap
+ * @returns {Object} 401: Authentication required
+ *
+ * @example
+ * // PUT /api/projects/665f1f77bcf86cd799439011/workflow
+ * {
+ *   "statuses": [
+ *     { "key": "backlog", "name": "Backlog" },
+ *     { "key": "blocked", "name": "Bloqueada", "color": "#dd3344" },
+ *     { "key": "Hecho", "name": "Terminada", "done": true }
+ *   ],
+ *   "remap": { "Por hacer": "backlog", "Haciendo": "backlog" }
+ * }
+ */
+router.put('/:id/workflow', ...WorkflowController.updateProjectWorkflow);
+
+/**
+ * Reset Project Workflow Route
+ * @route DELETE /projects/:id/workflow
+ * @description Makes the project follow its owner's workflow again (owner only)
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Project ID (MongoDB ObjectId)
+ * @body {Object} [remap] - New key for each project status the owner's workflow lacks
+ * @returns {Object} 200: Workflow reset, returns the inherited statuses
+ * @returns {Object} 403: Only the owner can do this
+ * @returns {Object} 404: Project not found
+ * @returns {Object} 409: Statuses in use without remap
+ * @returns {Object} 401: Authentication required
+ */
+router.delete('/:id/workflow', ...WorkflowController.resetProjectWorkflow);
+
+/**
+ * Project Routes Export
+ * @exports {Router} router - Express router with project management endpoints
+ * @description All routes are prefixed with '/projects' and require authentication
+ *
+ * @example
+ * // In app.js:
+ * import projectRoutes from './routes/projects.routes.js';
+ * app.use('/api/projects', projectRoutes);
+ *
+ * // Available endpoints:
+ * // GET /api/projects/               - Get user projects
+ * // GET /api/projects/:id            - Get specific project
+ * // POST /api/projects/              - Create project
+ * // PUT /api/projects/:id            - Update project
+ * // POST /api/projects/:id/archive   - Archive project
+ * // POST /api/projects/:id/unarchive - Unarchive project
+ * // DELETE /api/projects/:id         - Delete project (keeps its tasks)
+ * // POST /api/projects/:id/members           - Share project with a user
+ * // PUT /api/projects/:id/members/:userId    - Change member role
+ * // DELETE /api/projects/:id/members/:userId - Remove member / leave project
+ * // GET /api/projects/:id/workflow           - Get project workflow
+ * // PUT /api/projects/:id/workflow           - Set project workflow
+ * // DELETE /api/projects/:id/workflow        - Follow the owner's workflow again
+ */
+export default router;
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Report Routes
+ * @description Defines the API endpoints that summarize the authenticated user's activity
+ * @version 1.0.0
+ * @author TidyTask Backend Team
+ * @since 2024-01-01
+ */
+
+import { Router } from 'express';
+import ReportController from '../controllers/reports.controller.js';
+
+/**
+ * Express router for report routes
+ * @type {Router}
+ * @description Handles all report HTTP requests with authentication
+ */
+const router = Router();
+
+/**
+ * Time Report Route
+ * @route GET /reports/time
+ * @description Summarizes the time the authenticated user tracked between two days (inclusive), per
+ * day and per task. Entries that cross midnight are split between both days, and a running timer
+ * counts up to now. Durations are in seconds.
+ * @middleware requireAuth - JWT authentication required
+ * @query {string} from - First day (YYYY-MM-DD)
+ * @query {string} to - Last day (YYYY-MM-DD), at most 366 days after from
+ * @query {string} [tz] - IANA timezone of the days (defaults to the user's timezone)
+ * @returns {Object} 200: Total, per-day totals (every day of the range) and per-task totals (largest first)
+ * @returns {Object} 400: Validation error
+ * @returns {Object} 401: Authentication required
+ *
+ * @example
+ * // GET /api/reports/time?from=2024-05-06&to=2024-05-12&tz=America/Bogota
+ * // Response:
+ * {
+ *   "message": "Time report retrieved successfully",
+ *   "range": { "from": "2024-05-06", "to": "2024-05-12", "timezone": "America/Bogota" },
+ *   "totalSeconds": 16200,
+ *   "days": [{ "date": "2024-05-06", "seconds": 5400 }, { "date": "2024-05-07", "seconds": 0 }, ...],
+ *   "tasks": [{ "task": { "_id": "...", "title": "Informe mensual", "status": "Haciendo", "deleted": false }, "seconds": 10800 }, ...]
+ * }
+ */
+router.get('/time', ...ReportController.getTimeReport);
+
+/**
+ * Effort Report Route
+ * @route GET /reports/effort
+ * @description Compares, per week (Monday to Sunday), the estimated minutes of the work planned for
+ * the authenticated user with the estimated minutes they completed and the time they tracked. Covers
+ * the tasks assigned to the user plus their own unassigned tasks. Days whose scheduled estimates
+ * exceed the user's daily capacity (`dailyCapacityMinutes`, 480 by default) are flagged.
+ * @middleware requireAuth - JWT authentication required
+ * @query {string} from - First day (YYYY-MM-DD); the report starts on the Monday of its week
+ * @query {string} to - Last day (YYYY-MM-DD), at most 366 days after from; the report ends on the Sunday of its week
+ * @query {string} [tz] - IANA timezone of the days (defaults to the user's timezone)
+ * @returns {Object} 200: Capacity, totals, over-capacity days and every week with its days
+ * @returns {Object} 400: Validation error
+ * @returns {Object} 401: Authentication required
+ *
+ * @example
+ * // GET /api/reports/effort?from=2024-05-06&to=2024-05-12
+ * // Response:
+ * {
+ *   "message": "Effort report retrieved successfully",
+ *   "range": { "from": "2024-05-06", "to": "2024-05-12", "timezone": "America/Bogota" },
+ *   "capacityMinutes": 480,
+ *   "totals": { "plannedMinutes": 1260, "completedMinutes": 900, "trackedMinutes": 1035 },
+ *   "overCapacityDays": ["2024-05-08"],
+ *   "weeks": [{
+ *     "week": "2024-05-06", "from": "2024-05-06", "to": "2024-05-12",
+ *     "plannedMinutes": 1260, "completedMinutes": 900, "trackedMinutes": 1035, "unestimatedTasks": 2,
+ *     "days": [{ "date": "2024-05-06", "scheduledMinutes": 240, "overCapacity": false }, ...]
+ *   }]
+ * }
+ */
+router.get('/effort', ...ReportController.getEffortReport);
+
+/**
+ * Report Routes Export
+ * @exports {Router} router - Express router with report endpoints
+ * @description All routes are prefixed with '/reports' and require authentication
+ *
+ * @example
+ * // In app.js:
+ * import reportRoutes from './routes/reports.routes.js';
+ * app.use('/api/reports', reportRoutes);
+ *
+ * // Available endpoints:
+ * // GET /api/reports/time      - Tracked time per day and per task
+ * // GET /api/reports/effort    - Estimated vs. completed work per week
+ */
+export default router;
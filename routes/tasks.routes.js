@@ -8,6 +8,11 @@
 
 import { Router } from 'express';
 import TaskController from '../controllers/tasks.controller.js';
+import ChecklistController from '../controllers/checklist.controller.js';
+import AttachmentController from '../controllers/attachments.controller.js';
+import CommentController from '../controllers/comments.controller.js';
+import DependencyController from '../controllers/dependencies.controller.js';
+import TimeEntryController from '../controllers/timeEntries.controller.js';
 
 /**
  * Express router for task routes
@@ -26,8 +31,22 @@ const router = Router();
  * @body {string} taskData.title - Task title (required)
  * @body {string} [taskData.description] - Task description (optional)
  * @body {string} [taskData.time] - Task time in HH:MM format (optional)
- * @body {string} [taskData.status="pending"] - Task status: pending, in-progress, completed
- * @returns {Object} 201: Task created successfully
+ * @body {string} [taskData.status] - Workflow status key (defaults to the first open status of the task's workflow)
+ * @body {string} [taskData.priority="medium"] - Task priority: low, medium, high, urgent
+ * @body {number} [taskData.estimatedMinutes] - Estimated duration in minutes (1 to 10080)
+ * @body {string[]} [taskData.labels] - IDs of the user's labels to attach
+ * @body {string} [taskData.project] - ID of a non-archived project of the user
+ * @body {Object} [taskData.recurrence] - Recurrence rule; the task date becomes the first occurrence
+ * @body {string} taskData.recurrence.frequency - daily, weekdays, weekly, monthly
+ * @body {number} [taskData.recurrence.interval=1] - Repeat every N days/weeks/months
+ * @body {number[]} [taskData.recurrence.byWeekday] - Weekly: ISO weekdays (1 = Monday ... 7 = Sunday)
+ * @body {Object} [taskData.recurrence.nthWeekday] - Monthly: { weekday, nth } with nth 1-5 or -1 (last)
+ * @body {string} [taskData.recurrence.until] - Last day of the series (exclusive with count)
+ * @body {number} [taskData.recurrence.count] - Number of occurrences (exclusive with until)
+ * @body {Object[]} [taskData.checklist] - Initial checklist items ({ text, done }) in order
+ * @body {Object[]} [taskData.reminders] - Up to 5 email reminders, each { minutesBefore } (before the
+ * due time, every occurrence for recurring tasks) or { at } (a fixed instant)
+ * @returns {Object} 201: Task created successfully, with an `undo` token ({ token, expiresAt })
  * @returns {Object} 400: Validation error
  * @returns {Object} 401: Authentication required
  * 
@@ -37,27 +56,101 @@ const router = Router();
  *   "title": "Complete project documentation",
  *   "description": "Write comprehensive docs for the API",
  *   "time": "14:30",
- *   "status": "pending"
+ *   "status": "Por hacer"
  * }
  */
 router.post('/', ...TaskController.createTask);
 
+/**
+ * Bulk Task Operations Route
+ * @route POST /tasks/bulk
+ * @description Runs up to 100 create, update, delete and status operations in one request and reports
+ * the result of each one. With `atomic: true` the batch runs in a MongoDB transaction: the first failed
+ * operation rolls back the whole batch and the remaining ones are skipped.
+ * @middleware requireAuth - JWT authentication required
+ * @body {boolean} [atomic=false] - All-or-nothing mode (requires a MongoDB replica set, e.g. Atlas)
+ * @body {Object[]} operations - Operations, run in order
+ * @body {string} operations[].op - create, update, delete or status
+ * @body {string} [operations[].id] - Task ID (all operations except create)
+ * @body {Object} [operations[].data] - Task data for create, changes for update (same fields as the single-task routes)
+ * @body {string} [operations[].status] - New workflow status for status operations
+ * @returns {Object} 200: Per-item results ({ index, op, id, ok, status, task | message }) and summary
+ * @returns {Object} 400: Invalid batch, or atomic batch rolled back (results show the failing item)
+ * @returns {Object} 501: Atomic mode not supported by the database deployment
+ * @returns {Object} 401: Authentication required
+ * 
+ * @example
+ * // POST /api/tasks/bulk
+ * {
+ *   "atomic": true,
+ *   "operations": [
+ *     { "op": "status", "id": "507f1f77bcf86cd799439011", "status": "Hecho" },
+ *     { "op": "update", "id": "507f1f77bcf86cd799439012", "data": { "date": "2024-05-07" } },
+ *     { "op": "delete", "id": "507f1f77bcf86cd799439013" }
+ *   ]
+ * }
+ * // Response:
+ * {
+ *   "message": "Bulk operation completed",
+ *   "atomic": true,
+ *   "committed": true,
+ *   "summary": { "total": 3, "succeeded": 3, "failed": 0 },
+ *   "results": [{ "index": 0, "op": "status", "id": "507f1f77bcf86cd799439011", "ok": true, "status": 200, "task": {...} }, ...]
+ * }
+ */
+router.post('/bulk', ...TaskController.bulkTasks);
+
+/**
+ * Undo Task Change Route
+ * @route POST /tasks/undo
+ * @description Reverts the creation, update or deletion that returned the token, if it is used
+ * within UNDO_WINDOW_SECONDS seconds and the task did not change since. Updated and deleted tasks
+ * get back their previous values and timestamps; created tasks are removed. Tokens work once and
+ * only for the user who made the change.
+ * @middleware requireAuth - JWT authentication required
+ * @body {string} token - `undo.token` from the create, update or delete response
+ * @returns {Object} 200: Change undone ({ action, task }, task is null for an undone creation)
+ * @returns {Object} 400: Validation error
+ * @returns {Object} 403: No longer allowed to edit the task
+ * @returns {Object} 404: Token unknown, already used or expired
+ * @returns {Object} 409: The task changed after the mutation
+ * @returns {Object} 401: Authentication required
+ *
+ * @example
+ * // POST /api/tasks/undo
+ * { "token": "9f2c4e..." }
+ * // Response:
+ * { "message": "Change undone successfully", "action": "delete", "task": {...} }
+ */
+router.post('/undo', ...TaskController.undoTask);
+
 /**
  * Get All User Tasks Route
  * @route GET /tasks/
- * @description Retrieves all tasks for the authenticated user with optional filtering
+ * @description Retrieves the tasks the authenticated user can see (own tasks and tasks of projects shared
+ * with them) with optional filtering, search, sorting and pagination
  * @middleware requireAuth - JWT authentication required
- * @query {string} [status] - Filter by task status: pending, in-progress, completed
- * @query {string} [search] - Search tasks by title or description
- * @query {number} [page=1] - Page number for pagination
- * @query {number} [limit=10] - Number of tasks per page
- * @query {string} [sortBy=createdAt] - Sort field: title, createdAt, updatedAt, status
+ * @query {string} [status] - Filter by workflow status key (legacy names Por hacer, Haciendo, Hecho are accepted)
+ * @query {string} [search] - Case-insensitive search over task title and detail
+ * @query {number} [page] - Page number for pagination (starting at 1)
+ * @query {number} [limit] - Number of tasks per page (1-100, 10 when only page is sent). Without
+ *   page and limit every matching task is returned in a single page
+ * @query {string} [sortBy=createdAt] - Sort field: title, date, createdAt, updatedAt, status
  * @query {string} [sortOrder=desc] - Sort order: asc, desc
- * @returns {Object} 200: Array of user tasks with pagination info
+ * @query {string} [labels] - Comma-separated label IDs to filter by
+ * @query {string} [labelMode=or] - or: tasks with any of the labels, and: tasks with all of them
+ * @query {string} [project] - Project ID, or "none" for tasks outside any project
+ * @query {string} [assignedTo] - "me" for tasks assigned to the authenticated user, a user ID, or "none" for unassigned tasks
+ * @query {string} [from] - Window start (YYYY-MM-DD); with `to`, only tasks in the window are
+ *   returned and recurring tasks are expanded into one entry per occurrence
+ * @query {string} [to] - Window end, inclusive (YYYY-MM-DD, at most 366 days after from)
+ * @query {string} [tz] - IANA timezone used to evaluate the window days (defaults to the user's timezone)
+ * @returns {Object} 200: { success, data, pagination } with the tasks in `data` (`pagination.limit` is null when not paginated)
+ * @returns {Object} 400: Invalid query parameters
  * @returns {Object} 401: Authentication required
  * 
  * @example
- * // GET /api/tasks?status=pending&page=1&limit=5&sortBy=createdAt&sortOrder=desc
+ * // GET /api/tasks?status=Haciendo&page=1&limit=5&sortBy=createdAt&sortOrder=desc
  * // Response:
  * {
  *   "success": true,
@@ -66,6 +159,7 @@ router.post('/', ...TaskController.createTask);
  *     "currentPage": 1,
  *     "totalPages": 3,
  *     "totalTasks": 15,
+ *     "limit": 5,
  *     "hasNext": true,
  *     "hasPrev": false
  *   }
@@ -73,16 +167,196 @@ router.post('/', ...TaskController.createTask);
  */
 router.get('/', ...TaskController.getTasks);
 
+/**
+ * Search Tasks Route
+ * @route GET /tasks/search
+ * @description Full-text search over the titles and details of the tasks the user can see, ranked by
+ * relevance (title matches weigh more). Matching ignores case and accents ("reunion" finds "reunión")
+ * and uses Spanish stemming; "quoted phrases" must appear as typed and -words exclude tasks.
+ * @middleware requireAuth - JWT authentication required
+ * @query {string} q - Search text (2-200 characters)
+ * @query {string} [status] - Comma-separated status keys (e.g. Por hacer,Haciendo)
+ * @query {string} [from] - First due day (YYYY-MM-DD); recurring series match if they have occurrences in the range
+ * @query {string} [to] - Last due day (YYYY-MM-DD)
+ * @query {string} [tz] - IANA timezone of from/to (defaults to the user's timezone)
+ * @query {number} [page=1] - Page number
+ * @query {number} [limit=20] - Results per page (max 100)
+ * @returns {Object} 200: Tasks with `score` and `highlights` ({ title, detail } HTML-escaped, matches in <mark>)
+ * @returns {Object} 400: Invalid query parameters
+ * @returns {Object} 401: Authentication required
+ *
+ * @example
+ * // GET /api/tasks/search?q=reunion&status=Por%20hacer,Haciendo
+ * // Response:
+ * {
+ *   "message": "Search completed successfully",
+ *   "tasks": [{
+ *     "title": "Reunión de equipo", "status": "Por hacer", "score": 3.75,
+ *     "highlights": { "title": "<mark>Reunión</mark> de equipo", "detail": "…agenda de la <mark>reunión</mark> semanal…" },
+ *     ...
+ *   }],
+ *   "pagination": { "currentPage": 1, "totalPages": 1, "totalTasks": 1, "limit": 20, "hasNext": false, "hasPrev": false }
+ * }
+ */
+router.get('/search', ...TaskController.searchTasks);
+
+/**
+ * Next Tasks Route
+ * @route GET /tasks/next
+ * @description Ranks the authenticated user's open tasks (status not marked as done in their workflow) for the "Focus" screen.
+ * Order: overdue first, then priority (urgent > high > medium > low), then earliest due time.
+ * Recurring tasks take part with their next open occurrence.
+ * @middleware requireAuth - JWT authentication required
+ * @query {number} [limit=5] - Number of tasks to return (1-50)
+ * @query {string} [tz] - IANA timezone used to combine task date and time (defaults to the user's timezone)
+ * @returns {Object} 200: Ranked tasks, each with rank, dueAt and isOverdue
+ * @returns {Object} 400: Invalid query parameters
+ * @returns {Object} 401: Authentication required
+ * 
+ * @example
+ * // GET /api/tasks/next?limit=3&tz=America/Bogota
+ * // Response:
+ * {
+ *   "message": "Next tasks retrieved successfully",
+ *   "timezone": "America/Bogota",
+ *   "totalOpen": 12,
+ *   "tasks": [
+ *     { "rank": 1, "title": "Pagar arriendo", "priority": "high", "isOverdue": true, "dueAt": "2024-05-05T05:00:00.000Z", ... },
+ *     ...
+ *   ]
+ * }
+ */
+router.get('/next', ...TaskController.getNextTasks);
+
+/**
+ * Overdue Tasks Route
+ * @route GET /tasks/overdue
+ * @description Lists the open tasks the user can see whose due time has passed, most overdue first.
+ * The due time combines the task day and time in the timezone; tasks without time are due at the
+ * end of their day. Recurring series are not listed.
+ * @middleware requireAuth - JWT authentication required
+ * @query {string} [tz] - IANA timezone of the task days and times (defaults to the user's timezone)
+ * @query {number} [page=1] - Page number
+ * @query {number} [limit=20] - Tasks per page (1-100)
+ * @returns {Object} 200: Overdue tasks with `dueAt`, `isOverdue` and `dueIn`, plus pagination
+ * @returns {Object} 400: Invalid query parameters
+ * @returns {Object} 401: Authentication required
+ *
+ * @example
+ * // GET /api/tasks/overdue?tz=America/Bogota
+ * // Response:
+ * {
+ *   "message": "Overdue tasks retrieved successfully",
+ *   "timezone": "America/Bogota",
+ *   "tasks": [{ "_id": "...", "title": "...", "dueAt": "2024-05-06T19:30:00.000Z", "isOverdue": true, "dueIn": -95, ... }],
+ *   "pagination": { "currentPage": 1, "totalPages": 1, "totalTasks": 1, "limit": 20, "hasNext": false, "hasPrev": false }
+ * }
+ */
+router.get('/overdue', ...TaskController.getOverdue);
+
+/**
+ * Task Calendar Route
+ * @route GET /tasks/calendar
+ * @description Retrieves the authenticated user's tasks between two calendar days, bucketed by day or ISO week (Monday-Sunday).
+ * Recurring tasks appear once per occurrence in the range.
+ * @middleware requireAuth - JWT authentication required
+ * @query {string} from - First day of the range (YYYY-MM-DD, required)
+ * @query {string} to - Last day of the range, inclusive (YYYY-MM-DD, required, at most 366 days after from)
+ * @query {string} [groupBy=day] - Bucket size: day, week
+ * @query {string} [tz] - IANA timezone used to decide which day a task falls on (defaults to the user's timezone)
+ * @returns {Object} 200: Buckets for every day/week in the range (empty buckets included)
+ * @returns {Object} 400: Invalid query parameters
+ * @returns {Object} 401: Authentication required
+ * 
+ * @example
+ * // GET /api/tasks/calendar?from=2024-05-06&to=2024-05-12&groupBy=day&tz=America/Bogota
+ * // Response:
+ * {
+ *   "message": "Calendar retrieved successfully",
+ *   "range": { "from": "2024-05-06", "to": "2024-05-12", "groupBy": "day", "timezone": "America/Bogota" },
+ *   "totalTasks": 4,
+ *   "buckets": [
+ *     { "key": "2024-05-06", "from": "2024-05-06", "to": "2024-05-06", "count": 2, "tasks": [...] },
+ *     ...
+ *   ]
+ * }
+ */
+router.get('/calendar', ...TaskController.getCalendar);
+
+/**
+ * Kanban Board Route
+ * @route GET /tasks/board
+ * @description Retrieves the tasks the user can see grouped in one column per workflow status, each
+ * column in its stable board order. Columns follow the project's workflow when `project` is a project ID
+ * and the user's own workflow otherwise; statuses of shared tasks missing from it get trailing columns.
+ * @middleware requireAuth - JWT authentication required
+ * @query {string} [project] - Project ID, or "none" for tasks outside any project
+ * @query {string} [assignedTo] - "me", a user ID, or "none" for unassigned tasks
+ * @query {number} [limit=200] - Maximum tasks returned per column (1-500)
+ * @returns {Object} 200: Columns with their total count and ordered tasks
+ * @returns {Object} 400: Invalid query parameters
+ * @returns {Object} 401: Authentication required
+ * 
+ * @example
+ * // GET /api/tasks/board?project=665f1f77bcf86cd799439011
+ * // Response:
+ * {
+ *   "message": "Board retrieved successfully",
+ *   "columns": [
+ *     { "status": "Por hacer", "name": "Por hacer", "color": "#9aa5b1", "done": false, "count": 4, "tasks": [...] },
+ *     { "status": "Haciendo", "name": "Haciendo", "color": "#4a6ee0", "done": false, "count": 1, "tasks": [...] },
+ *     { "status": "Hecho", "name": "Hecho", "color": "#22aa55", "done": true, "count": 7, "tasks": [...] }
+ *   ]
+ * }
+ */
+router.get('/board', ...TaskController.getBoard);
+
+/**
+ * Trash Route
+ * @route GET /tasks/trash
+ * @description Lists the trashed tasks the user can see, most recently deleted first. Trashed tasks
+ * are hidden from every other endpoint and purged automatically after the retention period.
+ * @middleware requireAuth - JWT authentication required
+ * @query {number} [page=1] - Page number
+ * @query {number} [limit=20] - Tasks per page (1-100)
+ * @returns {Object} 200: Trashed tasks with `deletedAt`, `deletedBy` and `purgeAt`, plus pagination
+ * @returns {Object} 400: Invalid query parameters
+ * @returns {Object} 401: Authentication required
+ * 
+ * @example
+ * // GET /api/tasks/trash
+ * // Response:
+ * {
+ *   "message": "Trash retrieved successfully",
+ *   "retentionDays": 30,
+ *   "tasks": [{ "_id": "...", "title": "...", "deletedAt": "2024-05-06T10:00:00.000Z", "purgeAt": "2024-06-05T10:00:00.000Z", ... }],
+ *   "pagination": { "currentPage": 1, "totalPages": 1, "totalTasks": 1, "limit": 20, "hasNext": false, "hasPrev": false }
+ * }
+ */
+router.get('/trash', ...TaskController.getTrash);
+
+/**
+ * Running Timer Route
+ * @route GET /tasks/timer
+ * @description Returns the authenticated user's running timer, with its task, or null. Each user
+ * has at most one running timer.
+ * @middleware requireAuth - JWT authentication required
+ * @returns {Object} 200: { timer } ({ _id, task: { _id, title, status }, startedAt, note, ... } or null)
+ * @returns {Object} 401: Authentication required
+ */
+router.get('/timer', ...TimeEntryController.getRunning);
+
 /**
  * Get Single Task Route
  * @route GET /tasks/:id
- * @description Retrieves a specific task by ID for the authenticated user
+ * @description Retrieves a specific task by ID (own task or task of a project shared with the user)
  * @middleware requireAuth - JWT authentication required
  * @param {string} id - Task ID (MongoDB ObjectId)
+ * @query {string} [tz] - IANA timezone of the computed due fields (defaults to the user's timezone)
  * @returns {Object} 200: Task data
+ * @returns {Object} 400: Invalid timezone
  * @returns {Object} 404: Task not found
  * @returns {Object} 401: Authentication required
- * @returns {Object} 403: Task belongs to another user
  * 
  * @example
  * // GET /api/tasks/507f1f77bcf86cd799439011
@@ -103,10 +377,40 @@ router.get('/', ...TaskController.getTasks);
  */
 router.get('/:id', ...TaskController.getTaskById);
 
+/**
+ * Get Task History Route
+ * @route GET /tasks/:id/history
+ * @description Lists who changed the task and how (creation, field edits, status changes, moves,
+ * assignments, occurrence changes, trash and restore), newest first
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Task ID (MongoDB ObjectId)
+ * @query {number} [page=1] - Page number
+ * @query {number} [limit=50] - Entries per page (max 100)
+ * @returns {Object} 200: History entries with pagination
+ * @returns {Object} 400: Invalid pagination parameters
+ * @returns {Object} 404: Task not found
+ * @returns {Object} 401: Authentication required
+ *
+ * @example
+ * // GET /api/tasks/507f1f77bcf86cd799439011/history
+ * // Response:
+ * {
+ *   "message": "Task history retrieved successfully",
+ *   "history": [{
+ *     "action": "updated",
+ *     "user": { "_id": "507f1f77bcf86cd799439012", "firstName": "Ana", "lastName": "López", "email": "ana@example.com" },
+ *     "changes": [{ "field": "status", "from": "Haciendo", "to": "Hecho", "fromName": "Haciendo", "toName": "Hecho" }],
+ *     "createdAt": "2024-01-02T09:30:00.000Z"
+ *   }],
+ *   "pagination": { "currentPage": 1, "totalPages": 1, "totalEntries": 1, "limit": 50, "hasNext": false, "hasPrev": false }
+ * }
+ */
+router.get('/:id/history', ...TaskController.getTaskHistory);
+
 /**
  * Update Task Route
  * @route PUT /tasks/:id
- * @description Updates a specific task for the authenticated user
+ * @description Updates a specific task; on shared projects the editor or owner role is required
  * @middleware requireAuth - JWT authentication required
  * @middleware validateRequest - Task update validation
  * @param {string} id - Task ID (MongoDB ObjectId)
@@ -114,33 +418,66 @@ router.get('/:id', ...TaskController.getTaskById);
  * @body {string} [updateData.title] - Updated task title
  * @body {string} [updateData.description] - Updated task description
  * @body {string} [updateData.time] - Updated task time in HH:MM format
- * @body {string} [updateData.status] - Updated task status
- * @returns {Object} 200: Task updated successfully
+ * @body {string} [updateData.status] - Updated workflow status key; moving the task to another project
+ * keeps its status only if the project's workflow has it (otherwise it restarts at the first open status)
+ * @body {string} [updateData.priority] - Updated task priority: low, medium, high, urgent
+ * @body {number|null} [updateData.estimatedMinutes] - Updated estimated duration in minutes, or null to clear it
+ * @body {string[]} [updateData.labels] - Replaces the attached labels (IDs of the user's labels)
+ * @body {string|null} [updateData.project] - Moves the task to a project, or null to remove it from its project
+ * @body {Object[]} [updateData.reminders] - Replaces the reminders ({ minutesBefore } or { at }); changing
+ * the date, time or recurrence reschedules the existing ones
+ * @returns {Object} 200: Task updated successfully, with an `undo` token ({ token, expiresAt })
  * @returns {Object} 404: Task not found
  * @returns {Object} 400: Validation error
+ * @returns {Object} 409: Task is blocked: it cannot leave the workflow's initial status while a blocker is open
  * @returns {Object} 401: Authentication required
- * @returns {Object} 403: Task belongs to another user
+ * @returns {Object} 403: Viewer role on the task's shared project (read only)
  * 
  * @example
  * // PUT /api/tasks/507f1f77bcf86cd799439011
  * {
  *   "title": "Complete project documentation",
- *   "status": "completed",
+ *   "status": "Hecho",
  *   "time": "16:00"
  * }
  */
 router.put('/:id', ...TaskController.updateTask);
 
+/**
+ * Move Task Route
+ * @route PATCH /tasks/:id/move
+ * @description Drag-and-drop move on the kanban board: sets the status and the position inside the
+ * target column in a single update. Only the moved task is written, unless its neighbours are so
+ * close that the column has to be renumbered first.
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Task ID (MongoDB ObjectId)
+ * @body {string} status - Target column: a status key of the task's workflow
+ * @body {string} [afterId] - Task the moved one is dropped right below
+ * @body {string} [beforeId] - Task the moved one is dropped right above
+ * @returns {Object} 200: Task moved (without neighbours it goes to the bottom of the column)
+ * @returns {Object} 400: Validation error or neighbour not in the target column
+ * @returns {Object} 403: Viewer role on the task's shared project (read only)
+ * @returns {Object} 404: Task not found
+ * @returns {Object} 409: Task is blocked by open tasks and the target column is not the initial one
+ * @returns {Object} 401: Authentication required
+ * 
+ * @example
+ * // PATCH /api/tasks/507f1f77bcf86cd799439011/move
+ * { "status": "Haciendo", "afterId": "507f1f77bcf86cd799439021", "beforeId": "507f1f77bcf86cd799439022" }
+ */
+router.patch('/:id/move', ...TaskController.moveTask);
+
 /**
  * Delete Task Route
  * @route DELETE /tasks/:id
- * @description Deletes a specific task for the authenticated user
+ * @description Moves a specific task to the trash, where it can be restored until it is purged after
+ * TRASH_RETENTION_DAYS days; on shared projects the editor or owner role is required
  * @middleware requireAuth - JWT authentication required
  * @param {string} id - Task ID (MongoDB ObjectId)
- * @returns {Object} 200: Task deleted successfully
+ * @returns {Object} 200: Task moved to trash, with an `undo` token ({ token, expiresAt })
  * @returns {Object} 404: Task not found
  * @returns {Object} 401: Authentication required
- * @returns {Object} 403: Task belongs to another user
+ * @returns {Object} 403: Viewer role on the task's shared project (read only)
  * 
  * @example
  * // DELETE /api/tasks/507f1f77bcf86cd799439011
@@ -152,6 +489,428 @@ router.put('/:id', ...TaskController.updateTask);
  */
 router.delete('/:id', ...TaskController.deleteTask);
 
+/**
+ * Restore Task Route
+ * @route POST /tasks/:id/restore
+ * @description Takes a task out of the trash. If its status no longer exists in its workflow,
+ * the task restarts at the first open status.
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Task ID (MongoDB ObjectId)
+ * @returns {Object} 200: Task restored
+ * @returns {Object} 403: Viewer role on the task's shared project (read only)
+ * @returns {Object} 404: Task not found in trash (never deleted, or already purged)
+ * @returns {Object} 401: Authentication required
+ */
+router.post('/:id/restore', ...TaskController.restoreTask);
+
+/**
+ * Update Task Occurrence Route
+ * @route PUT /tasks/:id/occurrences/:date
+ * @description Sets the status of, or cancels, a single occurrence of a recurring task
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Recurring task ID (MongoDB ObjectId)
+ * @param {string} date - Occurrence day (YYYY-MM-DD)
+ * @body {string} [status] - Status of this occurrence (a status key of the task's workflow)
+ * @body {boolean} [cancelled] - True to skip this occurrence
+ * @returns {Object} 200: Occurrence updated, returns the series
+ * @returns {Object} 400: Validation error or task is not recurring
+ * @returns {Object} 404: Task or occurrence not found
+ * @returns {Object} 409: Series is blocked by open tasks
+ * @returns {Object} 401: Authentication required
+ * 
+ * @example
+ * // PUT /api/tasks/507f1f77bcf86cd799439011/occurrences/2024-05-08
+ * { "status": "Hecho" }
+ */
+router.put('/:id/occurrences/:date', ...TaskController.updateOccurrence);
+
+/**
+ * Reset Task Occurrence Route
+ * @route DELETE /tasks/:id/occurrences/:date
+ * @description Removes the override of an occurrence so it follows the series again
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Recurring task ID (MongoDB ObjectId)
+ * @param {string} date - Occurrence day (YYYY-MM-DD)
+ * @returns {Object} 200: Occurrence reset, returns the series
+ * @returns {Object} 400: Invalid occurrence date
+ * @returns {Object} 404: Task not found
+ * @returns {Object} 401: Authentication required
+ */
+router.delete('/:id/occurrences/:date', ...TaskController.resetOccurrence);
+
+/**
+ * Add Checklist Item Route
+ * @route POST /tasks/:id/checklist
+ * @description Adds a subtask item to the task checklist
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Task ID (MongoDB ObjectId)
+ * @body {string} text - Item text (required)
+ * @body {boolean} [done=false] - Whether the item starts completed
+ * @body {number} [position] - Zero-based insert position (defaults to the end)
+ * @returns {Object} 201: Item added, returns the item and the task with its checklistProgress
+ * @returns {Object} 400: Validation error
+ * @returns {Object} 404: Task not found
+ * @returns {Object} 401: Authentication required
+ * 
+ * @example
+ * // POST /api/tasks/507f1f77bcf86cd799439011/checklist
+ * { "text": "Comprar leche" }
+ * // Response task includes:
+ * // "checklistProgress": { "done": 3, "total": 5, "percent": 60 }
+ */
+router.post('/:id/checklist', ...ChecklistController.addItem);
+
+/**
+ * Reorder Checklist Route
+ * @route PUT /tasks/:id/checklist/order
+ * @description Reorders the checklist; the body must list every item ID exactly once
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Task ID (MongoDB ObjectId)
+ * @body {string[]} order - Checklist item IDs in their new order
+ * @returns {Object} 200: Checklist reordered
+ * @returns {Object} 400: order does not match the checklist
+ * @returns {Object} 404: Task not found
+ * @returns {Object} 401: Authentication required
+ */
+router.put('/:id/checklist/order', ...ChecklistController.reorderItems);
+
+/**
+ * Update Checklist Item Route
+ * @route PUT /tasks/:id/checklist/:itemId
+ * @description Updates the text and/or done flag of a checklist item
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Task ID (MongoDB ObjectId)
+ * @param {string} itemId - Checklist item ID
+ * @body {string} [text] - New item text
+ * @body {boolean} [done] - New done flag
+ * @returns {Object} 200: Item updated
+ * @returns {Object} 400: Validation error
+ * @returns {Object} 404: Task or item not found
+ * @returns {Object} 401: Authentication required
+ */
+router.put('/:id/checklist/:itemId', ...ChecklistController.updateItem);
+
+/**
+ * Toggle Checklist Item Route
+ * @route POST /tasks/:id/checklist/:itemId/toggle
+ * @description Flips the done flag of a checklist item
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Task ID (MongoDB ObjectId)
+ * @param {string} itemId - Checklist item ID
+ * @returns {Object} 200: Item toggled
+ * @returns {Object} 404: Task or item not found
+ * @returns {Object} 401: Authentication required
+ */
+router.post('/:id/checklist/:itemId/toggle', ...ChecklistController.toggleItem);
+
+/**
+ * Remove Checklist Item Route
+ * @route DELETE /tasks/:id/checklist/:itemId
+ * @description Removes an item from the checklist and renumbers the remaining positions
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Task ID (MongoDB ObjectId)
+ * @param {string} itemId - Checklist item ID
+ * @returns {Object} 200: Item removed
+ * @returns {Object} 404: Task or item not found
+ * @returns {Object} 401: Authentication required
+ */
+router.delete('/:id/checklist/:itemId', ...ChecklistController.removeItem);
+
+/**
+ * Assign Task Route
+ * @route POST /tasks/:id/assign
+ * @description Makes a user responsible for the task and emails them. The assignee must already have
+ * access to the task (its owner, or a member of the task's shared project).
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Task ID (MongoDB ObjectId)
+ * @body {string} [userId] - Assignee user ID
+ * @body {string} [email] - Assignee email (alternative to userId)
+ * @returns {Object} 200: Task assigned
+ * @returns {Object} 400: Validation error or assignee without access
+ * @returns {Object} 403: Viewer role on the task's shared project (read only)
+ * @returns {Object} 404: Task or user not found
+ * @returns {Object} 401: Authentication required
+ * 
+ * @example
+ * // POST /api/tasks/507f1f77bcf86cd799439011/assign
+ * { "email": "ana@example.com" }
+ */
+router.post('/:id/assign', ...TaskController.assignTask);
+
+/**
+ * Unassign Task Route
+ * @route DELETE /tasks/:id/assign
+ * @description Removes the assignee of a task
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Task ID (MongoDB ObjectId)
+ * @returns {Object} 200: Task unassigned
+ * @returns {Object} 403: Viewer role on the task's shared project (read only)
+ * @returns {Object} 404: Task not found
+ * @returns {Object} 401: Authentication required
+ */
+router.delete('/:id/assign', ...TaskController.unassignTask);
+
+/**
+ * Upload Attachment Route
+ * @route POST /tasks/:id/attachments
+ * @description Attaches a file to the task. Accepts PDFs, images (JPEG, PNG, GIF, WebP), office
+ * documents (Word, Excel, PowerPoint, OpenDocument) and text/CSV files up to 10 MB, at most 20 per
+ * task. The file counts toward the uploader's storage quota (ATTACHMENT_QUOTA_MB).
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Task ID (MongoDB ObjectId)
+ * @body {File} file - multipart/form-data field with the file
+ * @returns {Object} 201: Attachment ({ _id, originalName, mimeType, size, url, ... }) and storage usage ({ used, quota } in bytes)
+ * @returns {Object} 400: Missing file, file type not allowed or attachment limit reached
+ * @returns {Object} 403: Viewer role on the task's shared project (read only)
+ * @returns {Object} 404: Task not found
+ * @returns {Object} 413: File too large or storage quota exceeded
+ * @returns {Object} 401: Authentication required
+ *
+ * @example
+ * // POST /api/tasks/507f1f77bcf86cd799439011/attachments
+ * // Content-Type: multipart/form-data
+ * // Body: FormData with 'file' field
+ */
+router.post('/:id/attachments', ...AttachmentController.upload);
+
+/**
+ * List Attachments Route
+ * @route GET /tasks/:id/attachments
+ * @description Lists the files attached to the task, newest first, with who uploaded them
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Task ID (MongoDB ObjectId)
+ * @returns {Object} 200: Attachments and the authenticated user's storage usage
+ * @returns {Object} 404: Task not found
+ * @returns {Object} 401: Authentication required
+ */
+router.get('/:id/attachments', ...AttachmentController.list);
+
+/**
+ * Download Attachment Route
+ * @route GET /tasks/:id/attachments/:attachmentId
+ * @description Downloads an attached file with its original name. Attachments are not served
+ * from /uploads: this authenticated route is the only way to read them.
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Task ID (MongoDB ObjectId)
+ * @param {string} attachmentId - Attachment ID
+ * @returns {File} 200: File content (Content-Disposition: attachment)
+ * @returns {Object} 404: Task or attachment not found
+ * @returns {Object} 401: Authentication required
+ */
+router.get('/:id/attachments/:attachmentId', ...AttachmentController.download);
+
+/**
+ * Delete Attachment Route
+ * @route DELETE /tasks/:id/attachments/:attachmentId
+ * @description Removes a file from the task and frees its storage
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Task ID (MongoDB ObjectId)
+ * @param {string} attachmentId - Attachment ID
+ * @returns {Object} 200: Attachment deleted, with the updated storage usage
+ * @returns {Object} 403: Viewer role on the task's shared project (read only)
+ * @returns {Object} 404: Task or attachment not found
+ * @returns {Object} 401: Authentication required
+ */
+router.delete('/:id/attachments/:attachmentId', ...AttachmentController.remove);
+
+/**
+ * List Comments Route
+ * @route GET /tasks/:id/comments
+ * @description Lists the task's comment thread, oldest first, with each author and the users
+ * they mentioned
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Task ID (MongoDB ObjectId)
+ * @query {number} [page=1] - Page number (minimum: 1)
+ * @query {number} [limit=50] - Comments per page (minimum: 1, maximum: 100)
+ * @returns {Object} 200: Comments ({ _id, user, body, mentions, edited, createdAt, updatedAt }) with pagination
+ * @returns {Object} 404: Task not found
+ * @returns {Object} 401: Authentication required
+ */
+router.get('/:id/comments', ...CommentController.list);
+
+/**
+ * Post Comment Route
+ * @route POST /tasks/:id/comments
+ * @description Adds a comment to the task. Anyone who can see the task may comment, viewers of a
+ * shared project included. Writing `@` followed by a user's email mentions them: users with access
+ * to the task are emailed, other addresses are left as plain text.
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Task ID (MongoDB ObjectId)
+ * @body {string} body - Comment text (max 5000 characters)
+ * @returns {Object} 201: Comment posted
+ * @returns {Object} 400: Validation error
+ * @returns {Object} 404: Task not found
+ * @returns {Object} 401: Authentication required
+ *
+ * @example
+ * // POST /api/tasks/507f1f77bcf86cd799439011/comments
+ * { "body": "@ana@example.com ¿puedes revisar el borrador?" }
+ */
+router.post('/:id/comments', ...CommentController.create);
+
+/**
+ * Edit Comment Route
+ * @route PUT /tasks/:id/comments/:commentId
+ * @description Replaces the text of a comment and marks it as edited. Only its author can edit it;
+ * users mentioned for the first time are emailed.
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Task ID (MongoDB ObjectId)
+ * @param {string} commentId - Comment ID
+ * @body {string} body - New comment text (max 5000 characters)
+ * @returns {Object} 200: Comment updated
+ * @returns {Object} 400: Validation error
+ * @returns {Object} 403: Not the author of the comment
+ * @returns {Object} 404: Task or comment not found
+ * @returns {Object} 401: Authentication required
+ */
+router.put('/:id/comments/:commentId', ...CommentController.update);
+
+/**
+ * Delete Comment Route
+ * @route DELETE /tasks/:id/comments/:commentId
+ * @description Deletes a comment. Allowed to its author and to the owner of the task.
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Task ID (MongoDB ObjectId)
+ * @param {string} commentId - Comment ID
+ * @returns {Object} 200: Comment deleted
+ * @returns {Object} 403: Neither the author nor the task owner
+ * @returns {Object} 404: Task or comment not found
+ * @returns {Object} 401: Authentication required
+ */
+router.delete('/:id/comments/:commentId', ...CommentController.remove);
+
+/**
+ * List Dependencies Route
+ * @route GET /tasks/:id/dependencies
+ * @description Lists the tasks that block this one (`blockedBy`) and the tasks this one blocks
+ * (`blocking`). Task responses also carry `blocked`: true while any blocker is open.
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Task ID (MongoDB ObjectId)
+ * @returns {Object} 200: { blocked, blockedBy, blocking } ({ _id, title, status, completedAt, date, time, priority })
+ * @returns {Object} 404: Task not found
+ * @returns {Object} 401: Authentication required
+ */
+router.get('/:id/dependencies', ...DependencyController.list);
+
+/**
+ * Add Dependency Route
+ * @route POST /tasks/:id/dependencies
+ * @description Makes the task wait for another one: while the blocker is open the task can only
+ * stay in the first open status of its workflow ("Por hacer" by default). Blockers must be in the
+ * same project as the task, or be personal tasks of the same owner; recurring tasks cannot block.
+ * At most 20 blockers per task.
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Dependent task ID (MongoDB ObjectId)
+ * @body {string} taskId - Blocking task ID
+ * @returns {Object} 201: Dependency added, returns the task
+ * @returns {Object} 400: Validation error, self-dependency, blocker out of scope or recurring
+ * @returns {Object} 403: Viewer role on the task's shared project (read only)
+ * @returns {Object} 404: Task or blocking task not found
+ * @returns {Object} 409: Already linked, or the link would create a cycle
+ * @returns {Object} 401: Authentication required
+ *
+ * @example
+ * // POST /api/tasks/507f1f77bcf86cd799439011/dependencies
+ * { "taskId": "507f1f77bcf86cd799439012" }
+ */
+router.post('/:id/dependencies', ...DependencyController.add);
+
+/**
+ * Remove Dependency Route
+ * @route DELETE /tasks/:id/dependencies/:blockerId
+ * @description Removes a blocker from the task
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Dependent task ID (MongoDB ObjectId)
+ * @param {string} blockerId - Blocking task ID
+ * @returns {Object} 200: Dependency removed, returns the task
+ * @returns {Object} 403: Viewer role on the task's shared project (read only)
+ * @returns {Object} 404: Task or dependency not found
+ * @returns {Object} 401: Authentication required
+ */
+router.delete('/:id/dependencies/:blockerId', ...DependencyController.remove);
+
+/**
+ * Start Timer Route
+ * @route POST /tasks/:id/timer/start
+ * @description Starts tracking time on the task. A user has a single running timer: if one is
+ * running on another task it is stopped first and returned as `stopped`.
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Task ID (MongoDB ObjectId)
+ * @body {string} [note] - What the time is spent on (max 500 characters)
+ * @returns {Object} 201: { timer, stopped }
+ * @returns {Object} 400: Validation error
+ * @returns {Object} 403: Viewer role on the task's shared project (read only)
+ * @returns {Object} 404: Task not found
+ * @returns {Object} 409: A timer is already running on this task
+ * @returns {Object} 401: Authentication required
+ */
+router.post('/:id/timer/start', ...TimeEntryController.startTimer);
+
+/**
+ * Stop Timer Route
+ * @route POST /tasks/:id/timer/stop
+ * @description Stops the authenticated user's timer on the task and adds its time to the task's
+ * `trackedSeconds`. Timers are cut at 24 hours.
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Task ID (MongoDB ObjectId)
+ * @returns {Object} 200: { entry, trackedSeconds }
+ * @returns {Object} 404: No timer is running on this task
+ * @returns {Object} 401: Authentication required
+ */
+router.post('/:id/timer/stop', ...TimeEntryController.stopTimer);
+
+/**
+ * List Time Entries Route
+ * @route GET /tasks/:id/time-entries
+ * @description Lists the time tracked on the task by everyone, newest first
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Task ID (MongoDB ObjectId)
+ * @query {number} [page=1] - Page number (minimum: 1)
+ * @query {number} [limit=50] - Entries per page (minimum: 1, maximum: 100)
+ * @returns {Object} 200: Entries ({ _id, user, startedAt, endedAt, seconds, running, source, note }),
+ * pagination and the task's `trackedSeconds`
+ * @returns {Object} 404: Task not found
+ * @returns {Object} 401: Authentication required
+ */
+router.get('/:id/time-entries', ...TimeEntryController.list);
+
+/**
+ * Add Time Entry Route
+ * @route POST /tasks/:id/time-entries
+ * @description Records time spent on the task without a timer. The end is given as `endedAt` or
+ * as a duration in `minutes`; an entry lasts at most 24 hours and cannot end in the future.
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Task ID (MongoDB ObjectId)
+ * @body {string} startedAt - Start (ISO 8601)
+ * @body {string} [endedAt] - End (ISO 8601), after startedAt
+ * @body {number} [minutes] - Duration in minutes (1 to 1440), instead of endedAt
+ * @body {string} [note] - What the time was spent on (max 500 characters)
+ * @returns {Object} 201: { entry, trackedSeconds }
+ * @returns {Object} 400: Validation error
+ * @returns {Object} 403: Viewer role on the task's shared project (read only)
+ * @returns {Object} 404: Task not found
+ * @returns {Object} 401: Authentication required
+ *
+ * @example
+ * // POST /api/tasks/507f1f77bcf86cd799439011/time-entries
+ * { "startedAt": "2024-05-06T14:00:00Z", "minutes": 45, "note": "Revisión del borrador" }
+ */
+router.post('/:id/time-entries', ...TimeEntryController.create);
+
+/**
+ * Delete Time Entry Route
+ * @route DELETE /tasks/:id/time-entries/:entryId
+ * @description Deletes one of the authenticated user's entries and subtracts its time from the
+ * task. Deleting a running timer discards it.
+ * @middleware requireAuth - JWT authentication required
+ * @param {string} id - Task ID (MongoDB ObjectId)
+ * @param {string} entryId - Time entry ID
+ * @returns {Object} 200: Entry deleted, with the task's `trackedSeconds`
+ * @returns {Object} 404: Task or entry not found (entries of other users included)
+ * @returns {Object} 401: Authentication required
+ */
+router.delete('/:id/time-entries/:entryId', ...TimeEntryController.remove);
+
 /**
  * Task Routes Export
  * @exports {Router} router - Express router with task management endpoints
@@ -164,9 +923,46 @@ router.delete('/:id', ...TaskController.deleteTask);
  * 
  * // Available endpoints:
  * // POST /api/tasks/           - Create new task
+ * // POST /api/tasks/bulk       - Run a batch of task operations
+ * // POST /api/tasks/undo       - Undo a task creation, update or deletion
  * // GET /api/tasks/            - Get all user tasks
+ * // GET /api/tasks/search      - Full-text search of tasks
+ * // GET /api/tasks/next        - Get ranked open tasks
+ * // GET /api/tasks/overdue     - Get overdue open tasks
+ * // GET /api/tasks/calendar    - Get tasks bucketed by day/week
+ * // GET /api/tasks/board       - Get kanban columns
+ * // GET /api/tasks/trash       - Get trashed tasks
+ * // GET /api/tasks/timer       - Get the running timer
  * // GET /api/tasks/:id         - Get specific task
+ * // GET /api/tasks/:id/history - Get task change history
  * // PUT /api/tasks/:id         - Update specific task
- * // DELETE /api/tasks/:id      - Delete specific task
+ * // PATCH /api/tasks/:id/move  - Move task on the kanban board
+ * // DELETE /api/tasks/:id      - Move specific task to trash
+ * // POST /api/tasks/:id/restore - Restore task from trash
+ * // PUT /api/tasks/:id/occurrences/:date    - Update one occurrence of a recurring task
+ * // DELETE /api/tasks/:id/occurrences/:date - Reset one occurrence of a recurring task
+ * // POST /api/tasks/:id/assign                  - Assign task
+ * // DELETE /api/tasks/:id/assign                - Unassign task
+ * // POST /api/tasks/:id/checklist               - Add checklist item
+ * // PUT /api/tasks/:id/checklist/order          - Reorder checklist
+ * // PUT /api/tasks/:id/checklist/:itemId        - Update checklist item
+ * // POST /api/tasks/:id/checklist/:itemId/toggle - Toggle checklist item
+ * // DELETE /api/tasks/:id/checklist/:itemId     - Remove checklist item
+ * // POST /api/tasks/:id/attachments             - Upload attachment
+ * // GET /api/tasks/:id/attachments              - List attachments
+ * // GET /api/tasks/:id/attachments/:attachmentId    - Download attachment
+ * // DELETE /api/tasks/:id/attachments/:attachmentId - Delete attachment
+ * // GET /api/tasks/:id/comments                 - List comments
+ * // POST /api/tasks/:id/comments                - Post comment
+ * // PUT /api/tasks/:id/comments/:commentId      - Edit comment
+ * // DELETE /api/tasks/:id/comments/:commentId   - Delete comment
+ * // GET /api/tasks/:id/dependencies             - List blockers and blocked tasks
+ * // POST /api/tasks/:id/dependencies            - Add blocker
+ * // DELETE /api/tasks/:id/dependencies/:blockerId - Remove blocker
+ * // POST /api/tasks/:id/timer/start             - Start timer
+ * // POST /api/tasks/:id/timer/stop              - Stop timer
+ * // GET /api/tasks/:id/time-entries             - List time entries
+ * // POST /api/tasks/:id/time-entries            - Add manual time entry
+ * // DELETE /api/tasks/:id/time-entries/:entryId - Delete time entry
  */
 export default router;
\ No newline at end of file
@@ -8,6 +8,8 @@
 
 import { Router } from "express";
 import UserController from "../controllers/user.controller.js";
+import WorkflowController from "../controllers/workflow.controller.js";
+import DigestController from "../controllers/digest.controller.js";
 
 /**
  * Express router for user profile routes
@@ -38,6 +40,8 @@ const router = Router();
  *     "age": 25,
  *     "email": "john@example.com",
  *     "avatar": "/uploads/avatars/user-123.jpg",
+ *     "timezone": "UTC",
+ *     "dailyCapacityMinutes": 480,
  *     "createdAt": "2024-01-01T00:00:00.000Z",
  *     "updatedAt": "2024-01-01T00:00:00.000Z"
  *   }
@@ -56,6 +60,9 @@ router.get("/me", ...UserController.getProfile);
  * @body {string} profileData.lastName - User's last name
  * @body {number} profileData.age - User's age (13-120)
  * @body {string} profileData.email - User's email address
+ * @body {string} [profileData.timezone] - IANA timezone used for due dates when a request sends no `tz`
+ * @body {number} [profileData.dailyCapacityMinutes] - Minutes of estimated work per day (1-1440, default 480),
+ * used by the effort report
  * @returns {Object} 200: Profile updated successfully
  * @returns {Object} 409: Email already exists
  * @returns {Object} 404: User not found
@@ -68,7 +75,8 @@ router.get("/me", ...UserController.getProfile);
  *   "firstName": "John",
  *   "lastName": "Doe",
  *   "age": 26,
- *   "email": "john.doe@example.com"
+ *   "email": "john.doe@example.com",
+ *   "timezone": "America/Bogota"
  * }
  */
 router.put("/me", ...UserController.updateProfile);
@@ -148,10 +156,124 @@ router.post("/me/avatar", ...UserController.uploadAvatar);
  */
 router.delete("/me", ...UserController.deleteAccount);
 
+/**
+ * Get User Workflow Route
+ * @route GET /users/me/workflow
+ * @description Retrieves the statuses of the authenticated user's workflow, in board order.
+ * Users without a custom workflow get the default one ("Por hacer", "Haciendo", "Hecho"; "todo",
+ * "in_progress" and "done" are accepted as aliases of these keys).
+ * @middleware requireAuth - JWT authentication required
+ * @returns {Object} 200: Workflow statuses and whether they are customized
+ * @returns {Object} 401: Authentication required
+ * 
+ * @example
+ * // GET /api/users/me/workflow
+ * // Response:
+ * {
+ *   "message": "Workflow retrieved successfully",
+ *   "workflow": [
+ *     { "key": "Por hacer", "name": "Por hacer", "color": "#9aa5b1", "done": false },
+ *     { "key": "Haciendo", "name": "Haciendo", "color": "#4a6ee0", "done": false },
+ *     { "key": "Hecho", "name": "Hecho", "color": "#22aa55", "done": true }
+ *   ],
+ *   "custom": false
+ * }
+ */
+router.get("/me/workflow", ...WorkflowController.getUserWorkflow);
+
+/**
+ * Update User Workflow Route
+ * @route PUT /users/me/workflow
+ * @description Replaces the workflow of the user's personal tasks and of their projects without a
+ * workflow of their own. Keep a status key to rename or recolor it without touching tasks.
+ * @middleware requireAuth - JWT authentication required
+ * @body {Object[]} statuses - Ordered statuses ({ key, name, color, done }); at least one open and one done
+ * @body {Object} [remap] - New key for each removed status still used by tasks, e.g. { "blocked": "Por hacer" }
+ * @returns {Object} 200: Workflow updated
+ * @returns {Object} 400: Validation error
+ * @returns {Object} 409: Removed statuses still in use without remap (listed in `statuses`)
+ * @returns {Object} 401: Authentication required
+ * 
+ * @example
+ * // PUT /api/users/me/workflow
+ * {
+ *   "statuses": [
+ *     { "key": "Por hacer", "name": "Por hacer" },
+ *     { "key": "Haciendo", "name": "Haciendo" },
+ *     { "key": "in_review", "name": "En revisión", "color": "#aa55dd" },
+ *     { "key": "Hecho", "name": "Hecho", "done": true }
+ *   ]
+ * }
+ */
+router.put("/me/workflow", ...WorkflowController.updateUserWorkflow);
+
+/**
+ * Get Digest Settings Route
+ * @route GET /users/me/digest
+ * @description Retrieves the authenticated user's digest email preferences
+ * @middleware requireAuth - JWT authentication required
+ * @returns {Object} 200: Digest preferences and the timezone their time is read in
+ * @returns {Object} 401: Authentication required
+ *
+ * @example
+ * // GET /api/users/me/digest
+ * // Response:
+ * {
+ *   "message": "Digest settings retrieved successfully",
+ *   "digest": { "daily": true, "weekly": false, "time": "07:00" },
+ *   "timezone": "America/Bogota"
+ * }
+ */
+router.get("/me/digest", ...DigestController.getSettings);
+
+/**
+ * Update Digest Settings Route
+ * @route PUT /users/me/digest
+ * @description Turns the digest emails on or off and sets when they are sent. The daily agenda lists
+ * the tasks due today and the overdue ones; the weekly summary, sent on Mondays, counts completed and
+ * pending tasks of the previous week per status. Digests with nothing to report are not sent.
+ * @middleware requireAuth - JWT authentication required
+ * @body {boolean} [daily] - Receive the daily agenda
+ * @body {boolean} [weekly] - Receive the weekly summary
+ * @body {string} [time] - Send time in HH:MM, in the profile timezone (default 07:00)
+ * @returns {Object} 200: Digest preferences updated
+ * @returns {Object} 400: Validation error
+ * @returns {Object} 401: Authentication required
+ *
+ * @example
+ * // PUT /api/users/me/digest
+ * { "daily": true, "weekly": true, "time": "06:30" }
+ */
+router.put("/me/digest", ...DigestController.updateSettings);
+
+/**
+ * Digest Unsubscribe Confirmation Route
+ * @route GET /users/digest/unsubscribe
+ * @description The link at the bottom of every digest, so it needs no login: the signed token
+ * identifies the user and the digest. It only shows a page with a button that posts the unsubscribe,
+ * since link scanners of mail clients open links without the user.
+ * @query {string} token - Signed token from the email link
+ * @returns {string} 200: HTML page asking for confirmation
+ * @returns {string} 400: HTML page for an invalid link
+ */
+router.get("/digest/unsubscribe", ...DigestController.confirmUnsubscribe);
+
+/**
+ * Digest Unsubscribe Route
+ * @route POST /users/digest/unsubscribe
+ * @description Turns off the digest an email was sent for. Posted by the confirmation page and by
+ * the one-click unsubscribe of mail clients (List-Unsubscribe-Post, RFC 8058).
+ * @query {string} token - Signed token from the email link
+ * @returns {string} 200: HTML page confirming the unsubscribe
+ * @returns {string} 400: HTML page for an invalid link
+ */
+router.post("/digest/unsubscribe", ...DigestController.unsubscribe);
+
 /**
  * User Routes Export
  * @exports {Router} router - Express router with user profile management endpoints
- * @description All routes are prefixed with '/users' and require authentication
+ * @description All routes are prefixed with '/users' and require authentication, except the
+ * digest unsubscribe link
  * 
  * @example
  * // In app.js:
@@ -164,5 +286,11 @@ router.delete("/me", ...UserController.deleteAccount);
  * // PUT /api/users/me/password  - Change user password
  * // POST /api/users/me/avatar   - Upload user avatar
  * // DELETE /api/users/me        - Delete user account
+ * // GET /api/users/me/workflow  - Get user workflow
+ * // PUT /api/users/me/workflow  - Update user workflow
+ * // GET /api/users/me/digest    - Get digest email preferences
+ * // PUT /api/users/me/digest    - Update digest email preferences
+ * // GET /api/users/digest/unsubscribe  - Unsubscribe confirmation page (no login)
+ * // POST /api/users/digest/unsubscribe - Unsubscribe from a digest (no login)
  */
 export default router;
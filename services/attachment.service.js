@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Attachment Service
+ * @description Stores task attachments on disk, enforces the per-user storage quota and removes
+ * the files of deleted tasks and accounts
+ * @version 1.0.0
+ * @author TidyTask Backend Team
+ * @since 2024-01-01
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { fileURLToPath } from "url";
+import Attachment from "../models/attachment.model.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Storage quota per user, in megabytes, when ATTACHMENT_QUOTA_MB is not set
+ * @type {number}
+ */
+const DEFAULT_QUOTA_MB = 100;
+
+/**
+ * Largest single attachment, in bytes
+ * @type {number}
+ */
+const MAX_FILE_BYTES = 10 * 1024 * 1024;
+
+/**
+ * MIME types accepted as attachments: PDFs, images, office documents and plain text
+ * @type {string[]}
+ */
+const ALLOWED_MIME_TYPES = [
+  "application/pdf",
+  "image/jpeg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+  "text/plain",
+  "text/csv",
+  "application/msword",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "application/vnd.ms-excel",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  "application/vnd.ms-powerpoint",
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  "application/vnd.oasis.opendocument.text",
+  "application/vnd.oasis.opendocument.spreadsheet",
+  "application/vnd.oasis.opendocument.presentation"
+];
+
+/**
+ * Attachment Service Class
+ * @class AttachmentService
+ * @description Files are kept in ATTACHMENTS_DIR (default `storage/attachments`), outside the
+ * public /uploads mount, so they can only be downloaded through the authenticated endpoint
+ * @example
+ * import attachmentService from './services/attachment.service.js';
+ * const used = await attachmentService.getUsage(userId);
+ */
+class AttachmentService {
+  /**
+   * Create AttachmentService instance
+   * @constructor
+   * @description Reads the directory from ATTACHMENTS_DIR and the quota from ATTACHMENT_QUOTA_MB
+   */
+  constructor() {
+    this.directory = path.resolve(process.env.ATTACHMENTS_DIR || path.join(__dirname, "..", "storage", "attachments"));
+    const quotaMb = Number.parseInt(process.env.ATTACHMENT_QUOTA_MB, 10);
+    this.quotaBytes = (Number.isInteger(quotaMb) && quotaMb >= 1 ? quotaMb : DEFAULT_QUOTA_MB) * 1024 * 1024;
+    this.maxFileBytes = MAX_FILE_BYTES;
+    this.allowedMimeTypes = ALLOWED_MIME_TYPES;
+  }
+
+  /**
+   * Make sure the attachments directory exists
+   * @method ensureDirectory
+   * @returns {string} Attachments directory
+   */
+  ensureDirectory() {
+    fs.mkdirSync(this.directory, { recursive: true });
+    return this.directory;
+  }
+
+  /**
+   * Random name a new file is stored under
+   * @method createStoredName
+   * @param {string} originalName - Uploaded file name, only its extension is kept
+   * @returns {string} Stored file name
+   */
+  createStoredName(originalName) {
+    const extension = path.extname(originalName).toLowerCase().replace(/[^.a-z0-9]/g, "").slice(0, 10);
+    return `${crypto.randomBytes(16).toString("hex")}${extension}`;
+  }
+
+  /**
+   * Path of a stored file
+   * @method getFilePath
+   * @param {string} storedName - Stored file name
+   * @returns {string} Absolute path
+   */
+  getFilePath(storedName) {
+    return path.join(this.directory, path.basename(storedName));
+  }
+
+  /**
+   * Bytes a user's attachments take up
+   * @async
+   * @method getUsage
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Total size in bytes
+   */
+  async getUsage(userId) {
+    const [usage] = await Attachment.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(String(userId)) } },
+      { $group: { _id: null, total: { $sum: "$size" } } }
+    ]);
+    return usage?.total || 0;
+  }
+
+  /**
+   * Storage summary of a user
+   * @async
+   * @method getStorage
+   * @param {string} userId - User ID
+   * @returns {Promise<{used: number, quota: number}>} Used and allowed bytes
+   */
+  async getStorage(userId) {
+    return { used: await this.getUsage(userId), quota: this.quotaBytes };
+  }
+
+  /**
+   * Delete files from disk, ignoring the ones already gone
+   * @async
+   * @method removeFiles
+   * @param {string[]} storedNames - Stored file names
+   * @returns {Promise<void>}
+   */
+  async removeFiles(storedNames) {
+    await Promise.all(storedNames.map((storedName) =>
+      fs.promises.unlink(this.getFilePath(storedName)).catch((error) => {
+        if (error.code !== "ENOENT") console.error("❌ Attachment file removal error:", error);
+      })));
+  }
+
+  /**
+   * Delete the attachments matching a filter, documents and files
+   * @async
+   * @method deleteWhere
+   * @param {Object} filter - MongoDB filter on attachments
+   * @returns {Promise<number>} Number of deleted attachments
+   */
+  async deleteWhere(filter) {
+    const attachments = await Attachment.find(filter).select("storedName");
+    if (!attachments.length) return 0;
+
+    await Attachment.deleteMany({ _id: { $in: attachments.map((attachment) => attachment._id) } });
+    await this.removeFiles(attachments.map((attachment) => attachment.storedName));
+    return attachments.length;
+  }
+
+  /**
+   * Delete the attachments of permanently deleted tasks
+   * @async
+   * @method deleteForTasks
+   * @param {Array<string|ObjectId>} taskIds - Task IDs
+   * @returns {Promise<number>} Number of deleted attachments
+   */
+  async deleteForTasks(taskIds) {
+    return taskIds.length ? this.deleteWhere({ task: { $in: taskIds } }) : 0;
+  }
+
+  /**
+   * Delete the attachments a deleted account uploaded
+   * @async
+   * @method deleteForUser
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Number of deleted attachments
+   */
+  async deleteForUser(userId) {
+    return this.deleteWhere({ user: userId });
+  }
+}
+
+/**
+ * Attachment Service Instance
+ * @exports {AttachmentService} Default export of AttachmentService singleton instance
+ */
+export default new AttachmentService();
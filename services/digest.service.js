@@ -0,0 +1,283 @@
+/**
+ * @fileoverview Digest Service
+ * @description Sends the opt-in daily agenda and weekly summary emails
+ * @version 1.0.0
+ * @author TidyTask Backend Team
+ * @since 2024-01-01
+ */
+
+import crypto from "crypto";
+import User from "../models/user.model.js";
+import EmailService from "./email.service.js";
+import { SMART_LISTS, runFilterQuery } from "../utils/filterQuery.js";
+import { findTasksInWindow } from "../utils/occurrences.js";
+import { taskAccessFilter } from "../utils/permissions.js";
+import { loadWorkflowResolver, findStatus, isDoneStatus } from "../utils/workflow.js";
+import {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  toDateKey,
+  addDaysToKey,
+  startOfWeekKey,
+  getZonedParts
+} from "../utils/timezone.js";
+
+/**
+ * Digest kinds a user can subscribe to
+ * @type {string[]}
+ */
+export const DIGEST_TYPES = ["daily", "weekly"];
+
+/**
+ * Time between two checks for digests to send
+ * @type {number}
+ */
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Most tasks listed per section of the daily agenda
+ * @type {number}
+ */
+const MAX_AGENDA_TASKS = 50;
+
+/**
+ * Prefix of the message signed in unsubscribe tokens, so their signature cannot be reused elsewhere
+ * @type {string}
+ */
+const UNSUBSCRIBE_PURPOSE = "digest-unsubscribe";
+
+/**
+ * Signs the user and digest kind of an unsubscribe link
+ * @param {string} userId - User ID
+ * @param {string} type - Digest kind: daily or weekly
+ * @returns {string} HMAC-SHA256 signature (base64url)
+ */
+const signUnsubscribe = (userId, type) => crypto
+  .createHmac("sha256", process.env.JWT_SECRET)
+  .update(`${UNSUBSCRIBE_PURPOSE}:${userId}:${type}`)
+  .digest("base64url");
+
+/**
+ * Digest Service Class
+ * @class DigestService
+ * @description Runs the digest scheduler inside the server process and signs the unsubscribe links
+ * @example
+ * import digestService from './services/digest.service.js';
+ * digestService.start();
+ */
+class DigestService {
+  /**
+   * Create DigestService instance
+   * @constructor
+   */
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Create the token of a one-click unsubscribe link
+   * @method createUnsubscribeToken
+   * @param {string} userId - User ID
+   * @param {string} type - Digest kind: daily or weekly
+   * @returns {string} Signed token (`userId.type.signature`); it does not expire, so old emails keep
+   * working. It is an HMAC rather than a JWT, so it can never pass as a session token.
+   */
+  createUnsubscribeToken(userId, type) {
+    return `${userId}.${type}.${signUnsubscribe(userId.toString(), type)}`;
+  }
+
+  /**
+   * Read an unsubscribe token
+   * @method verifyUnsubscribeToken
+   * @param {string} token - Token from an unsubscribe link
+   * @returns {{userId: string, type: string}|null} Its user and digest kind, or null if it is not valid
+   */
+  verifyUnsubscribeToken(token) {
+    const [userId, type, signature, ...rest] = token.split(".");
+    if (rest.length || !/^[0-9a-f]{24}$/.test(userId || "") || !DIGEST_TYPES.includes(type) || !signature) {
+      return null;
+    }
+
+    const expected = Buffer.from(signUnsubscribe(userId, type));
+    const received = Buffer.from(signature);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received)
+      ? { userId, type }
+      : null;
+  }
+
+  /**
+   * Public URL that unsubscribes a user from a digest without logging in
+   * @method getUnsubscribeUrl
+   * @param {string} userId - User ID
+   * @param {string} type - Digest kind: daily or weekly
+   * @returns {string} Unsubscribe URL on this API
+   */
+  getUnsubscribeUrl(userId, type) {
+    const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 3001}`;
+    return `${apiUrl}/api/users/digest/unsubscribe?token=${encodeURIComponent(this.createUnsubscribeToken(userId, type))}`;
+  }
+
+  /**
+   * Send the digests whose time has come
+   * @async
+   * @method sendDueDigests
+   * @returns {Promise<number>} Number of digest emails sent
+   * @description The daily agenda goes out once a day, from the chosen time on. The weekly summary
+   * goes out once a week, from the chosen time on Monday (or later that week if the server was down).
+   */
+  async sendDueDigests() {
+    const users = await User.find({ $or: [{ "digest.daily": true }, { "digest.weekly": true }] })
+      .select("firstName email timezone digest");
+
+    let sent = 0;
+    for (const user of users) {
+      const timeZone = isValidTimeZone(user.timezone) ? user.timezone : DEFAULT_TIMEZONE;
+      const now = new Date();
+      const todayKey = toDateKey(now, timeZone);
+      const weekKey = startOfWeekKey(todayKey);
+      const { hour, minute } = getZonedParts(now, timeZone);
+      const currentTime = `${String(hour).padStart(2, "0")}:${String(minute).padStart(2, "0")}`;
+      const timeReached = currentTime >= user.digest.time;
+
+      if (user.digest.daily && timeReached && user.digest.lastDailyOn !== todayKey
+        && await this.claim(user._id, "lastDailyOn", todayKey)) {
+        sent += Number(await this.sendDaily(user, timeZone, todayKey));
+      }
+
+      if (user.digest.weekly && (timeReached || todayKey > weekKey) && user.digest.lastWeeklyOn !== weekKey
+        && await this.claim(user._id, "lastWeeklyOn", weekKey)) {
+        sent += Number(await this.sendWeekly(user, weekKey));
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Mark a digest as sent for a day or week, unless another round already did
+   * @async
+   * @method claim
+   * @param {string} userId - User ID
+   * @param {string} field - lastDailyOn or lastWeeklyOn
+   * @param {string} key - Day or week (its Monday) being sent
+   * @returns {Promise<boolean>} True if this round must send it
+   */
+  async claim(userId, field, key) {
+    const { modifiedCount } = await User.updateOne(
+      { _id: userId, [`digest.${field}`]: { $ne: key } },
+      { $set: { [`digest.${field}`]: key } },
+      { timestamps: false }
+    );
+    return modifiedCount === 1;
+  }
+
+  /**
+   * Send the daily agenda: tasks due today and overdue tasks
+   * @async
+   * @method sendDaily
+   * @param {Object} user - User document
+   * @param {string} timeZone - User timezone
+   * @param {string} todayKey - Current day in that timezone (YYYY-MM-DD)
+   * @returns {Promise<boolean>} True if an email was sent (nothing is sent when both lists are empty)
+   */
+  async sendDaily(user, timeZone, todayKey) {
+    const options = { timeZone, page: 1, limit: MAX_AGENDA_TASKS };
+    const [today, overdue] = await Promise.all([
+      runFilterQuery(SMART_LISTS.today.query, user._id, options),
+      runFilterQuery(SMART_LISTS.overdue.query, user._id, options)
+    ]);
+    if (!today.totalTasks && !overdue.totalTasks) return false;
+
+    return EmailService.sendDailyDigestEmail(user, {
+      day: todayKey,
+      today: today.tasks,
+      totalToday: today.totalTasks,
+      overdue: overdue.tasks,
+      totalOverdue: overdue.totalTasks
+    }, this.getUnsubscribeUrl(user._id, "daily"));
+  }
+
+  /**
+   * Send the weekly summary of the previous week: completed vs pending tasks per status
+   * @async
+   * @method sendWeekly
+   * @param {Object} user - User document
+   * @param {string} weekKey - Monday of the current week in the user's timezone (YYYY-MM-DD)
+   * @returns {Promise<boolean>} True if the email was sent (nothing is sent for an empty week)
+   * @description Counts the tasks and occurrences due from Monday to Sunday of the previous week
+   */
+  async sendWeekly(user, weekKey) {
+    const fromKey = addDaysToKey(weekKey, -7);
+    const toKey = addDaysToKey(weekKey, -1);
+    const workflowOf = await loadWorkflowResolver(user._id);
+    const items = await findTasksInWindow(
+      { $and: [await taskAccessFilter(user._id, "viewer")] },
+      fromKey,
+      toKey,
+      workflowOf
+    );
+    if (!items.length) return false;
+
+    const statuses = new Map();
+    let completed = 0;
+    for (const item of items) {
+      const workflow = workflowOf(item);
+      const done = isDoneStatus(workflow, item.status);
+      const name = findStatus(workflow, item.status)?.name || item.status;
+      const entry = statuses.get(name) || { name, done, count: 0 };
+      entry.count += 1;
+      statuses.set(name, entry);
+      if (done) completed += 1;
+    }
+
+    return EmailService.sendWeeklyDigestEmail(user, {
+      from: fromKey,
+      to: toKey,
+      completed,
+      pending: items.length - completed,
+      statuses: [...statuses.values()]
+    }, this.getUnsubscribeUrl(user._id, "weekly"));
+  }
+
+  /**
+   * Start checking for digests every minute (runs once right away)
+   * @method start
+   * @returns {void}
+   */
+  start() {
+    if (this.timer) return;
+
+    const run = async () => {
+      if (this.running) return;
+      this.running = true;
+      try {
+        await this.sendDueDigests();
+      } catch (error) {
+        console.error("❌ Digest scheduler error:", error);
+      } finally {
+        this.running = false;
+      }
+    };
+    run();
+    this.timer = setInterval(run, CHECK_INTERVAL_MS);
+    // The scheduler must not keep the process alive on shutdown
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the scheduler
+   * @method stop
+   * @returns {void}
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+/**
+ * Digest Service Instance
+ * @exports {DigestService} Default export of DigestService singleton instance
+ */
+export default new DigestService();
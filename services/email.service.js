@@ -1,6 +1,6 @@
 /**
  * @fileoverview Email Service
- * @description Handles email sending functionality for TidyTask application, including password recovery emails
+ * @description Handles email sending functionality for TidyTask application, including password recovery and task notification emails
  * @version 1.0.0
  * @author TidyTask Backend Team
  * @since 2024-01-01
@@ -8,6 +8,19 @@
 
 import nodemailer from "nodemailer";
 
+/**
+ * Escape user-provided text before inserting it into email HTML
+ * @param {string} value - Raw text
+ * @returns {string} HTML-safe text
+ */
+const escapeHtml = (value = "") =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
 /**
  * Email Service Class
  * @class EmailService
@@ -106,6 +119,209 @@ class EmailService {
       return false;
     }
   }
+
+  /**
+   * Deliver an email through SMTP or the mock service
+   * @async
+   * @method deliver
+   * @param {Object} mailOptions - Nodemailer message options (to, subject, html)
+   * @returns {Promise<boolean>} True if email sent successfully, false otherwise
+   * @description Shared sending logic for notification emails; never throws
+   */
+  async deliver(mailOptions) {
+    try {
+      console.log("Sending email to:", mailOptions.to);
+
+      if (this.useMockService) {
+        // Simulamos el envío en modo desarrollo sin credenciales
+        console.log("SIMULACIÓN: Correo enviado con éxito (modo desarrollo)");
+        console.log("Asunto del correo:", mailOptions.subject);
+        return true;
+      }
+
+      await this.transporter.sendMail({ from: process.env.EMAIL_USER, ...mailOptions });
+      console.log("Email sent successfully");
+      return true;
+    } catch (error) {
+      console.error("Error sending email:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Notify a user that a task was assigned to them
+   * @async
+   * @method sendTaskAssignedEmail
+   * @param {string} email - Assignee email address
+   * @param {Object} task - Assigned task ({ title, detail, date, time })
+   * @param {string} assignedByName - Full name of the user who made the assignment
+   * @returns {Promise<boolean>} True if email sent successfully, false otherwise
+   *
+   * @example
+   * await emailService.sendTaskAssignedEmail('ana@example.com', task, 'Juan Rodas');
+   */
+  async sendTaskAssignedEmail(email, task, assignedByName) {
+    const tasksUrl = `${process.env.FRONTEND_URL}/tasks`;
+    const dueDate = new Date(task.date).toISOString().slice(0, 10);
+
+    return this.deliver({
+      to: email,
+      subject: `Nueva tarea asignada: ${task.title} - TidyTasks`,
+      html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h1 style="color: #4a6ee0;">Te asignaron una tarea</h1>
+                <p><strong>${escapeHtml(assignedByName)}</strong> te asignó la siguiente tarea en TidyTasks:</p>
+                <h2 style="margin-bottom: 4px;">${escapeHtml(task.title)}</h2>
+                ${task.detail ? `<p>${escapeHtml(task.detail)}</p>` : ""}
+                <p>Fecha: ${dueDate}${task.time ? ` a las ${task.time}` : ""}</p>
+                <a href="${tasksUrl}" style="display: inline-block; padding: 12px 24px; background-color: #4a6ee0; color: white; text-decoration: none; border-radius: 6px; font-weight: bold;">Ver mis tareas</a>
+            </div>
+        `
+    });
+  }
+
+  /**
+   * Remind a user that a task is coming due
+   * @async
+   * @method sendTaskReminderEmail
+   * @param {string} email - Recipient email address
+   * @param {Object} task - Task to remind about ({ title, detail, time })
+   * @param {string} dueDate - Day the task (or its occurrence) is due, as YYYY-MM-DD
+   * @param {string} [firstName] - Recipient first name for the greeting
+   * @returns {Promise<boolean>} True if email sent successfully, false otherwise
+   *
+   * @example
+   * await emailService.sendTaskReminderEmail('ana@example.com', task, '2024-05-06', 'Ana');
+   */
+  async sendTaskReminderEmail(email, task, dueDate, firstName) {
+    const tasksUrl = `${process.env.FRONTEND_URL}/tasks`;
+
+    return this.deliver({
+      to: email,
+      subject: `Recordatorio: ${task.title} - TidyTasks`,
+      html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h1 style="color: #4a6ee0;">Recordatorio de tarea</h1>
+                <p>${firstName ? `Hola ${escapeHtml(firstName)}, te` : "Te"} recordamos esta tarea de TidyTasks:</p>
+                <h2 style="margin-bottom: 4px;">${escapeHtml(task.title)}</h2>
+                ${task.detail ? `<p>${escapeHtml(task.detail)}</p>` : ""}
+                <p>Vence el ${dueDate}${task.time ? ` a las ${task.time}` : ""}</p>
+                <a href="${tasksUrl}" style="display: inline-block; padding: 12px 24px; background-color: #4a6ee0; color: white; text-decoration: none; border-radius: 6px; font-weight: bold;">Ver mis tareas</a>
+            </div>
+        `
+    });
+  }
+
+  /**
+   * Tell a user they were mentioned in a task comment
+   * @async
+   * @method sendCommentMentionEmail
+   * @param {string} email - Mentioned user's email address
+   * @param {Object} task - Commented task ({ title })
+   * @param {string} body - Comment text
+   * @param {string} authorName - Full name of the comment author
+   * @returns {Promise<boolean>} True if email sent successfully, false otherwise
+   *
+   * @example
+   * await emailService.sendCommentMentionEmail('ana@example.com', task, '@ana@example.com ¿lo revisas?', 'Juan Rodas');
+   */
+  async sendCommentMentionEmail(email, task, body, authorName) {
+    const tasksUrl = `${process.env.FRONTEND_URL}/tasks`;
+
+    return this.deliver({
+      to: email,
+      subject: `${authorName} te mencionó en: ${task.title} - TidyTasks`,
+      html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h1 style="color: #4a6ee0;">Te mencionaron en un comentario</h1>
+                <p><strong>${escapeHtml(authorName)}</strong> te mencionó en la tarea <strong>${escapeHtml(task.title)}</strong>:</p>
+                <blockquote style="margin: 16px 0; padding: 8px 16px; border-left: 4px solid #4a6ee0; color: #333; white-space: pre-wrap;">${escapeHtml(body)}</blockquote>
+                <a href="${tasksUrl}" style="display: inline-block; padding: 12px 24px; background-color: #4a6ee0; color: white; text-decoration: none; border-radius: 6px; font-weight: bold;">Ver mis tareas</a>
+            </div>
+        `
+    });
+  }
+
+  /**
+   * Message options shared by the digest emails
+   * @method digestMailOptions
+   * @param {Object} user - Recipient ({ email })
+   * @param {string} subject - Email subject
+   * @param {string} body - HTML content of the digest
+   * @param {string} unsubscribeUrl - One-click unsubscribe link
+   * @returns {Object} Nodemailer message options with List-Unsubscribe headers, so mail clients
+   * can offer their own unsubscribe button
+   */
+  digestMailOptions(user, subject, body, unsubscribeUrl) {
+    return {
+      to: user.email,
+      subject,
+      headers: {
+        "List-Unsubscribe": `<${unsubscribeUrl}>`,
+        "List-Unsubscribe-Post": "List-Unsubscribe=One-Click"
+      },
+      html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                ${body}
+                <p style="margin-top: 32px; font-size: 12px; color: #888;">
+                    Recibes este correo porque lo activaste en TidyTasks.
+                    <a href="${unsubscribeUrl}" style="color: #888;">Cancelar suscripción</a>
+                </p>
+            </div>
+        `
+    };
+  }
+
+  /**
+   * Send the morning agenda: tasks due today and overdue tasks
+   * @async
+   * @method sendDailyDigestEmail
+   * @param {Object} user - Recipient ({ email, firstName })
+   * @param {Object} agenda - { day, today, totalToday, overdue, totalOverdue }; task lists carry `dueAt`
+   * @param {string} unsubscribeUrl - One-click unsubscribe link
+   * @returns {Promise<boolean>} True if email sent successfully, false otherwise
+   */
+  async sendDailyDigestEmail(user, agenda, unsubscribeUrl) {
+    const tasksUrl = `${process.env.FRONTEND_URL}/tasks`;
+    const renderList = (tasks, total) => `
+                <ul>
+                    ${tasks.map((task) => `<li>${escapeHtml(task.title)}${task.time ? ` <span style="color: #666;">(${task.time})</span>` : ""}</li>`).join("")}
+                </ul>
+                ${total > tasks.length ? `<p style="color: #666;">Y ${total - tasks.length} más.</p>` : ""}`;
+
+    return this.deliver(this.digestMailOptions(user, `Tu agenda del ${agenda.day} - TidyTasks`, `
+                <h1 style="color: #4a6ee0;">Buenos días, ${escapeHtml(user.firstName)}</h1>
+                ${agenda.totalToday
+                  ? `<h2>Para hoy (${agenda.totalToday})</h2>${renderList(agenda.today, agenda.totalToday)}`
+                  : "<p>No tienes tareas para hoy.</p>"}
+                ${agenda.totalOverdue
+                  ? `<h2 style="color: #d9534f;">Vencidas (${agenda.totalOverdue})</h2>${renderList(agenda.overdue, agenda.totalOverdue)}`
+                  : ""}
+                <a href="${tasksUrl}" style="display: inline-block; padding: 12px 24px; background-color: #4a6ee0; color: white; text-decoration: none; border-radius: 6px; font-weight: bold;">Ver mis tareas</a>
+        `, unsubscribeUrl));
+  }
+
+  /**
+   * Send the weekly summary: completed vs pending tasks of the previous week, per status
+   * @async
+   * @method sendWeeklyDigestEmail
+   * @param {Object} user - Recipient ({ email, firstName })
+   * @param {Object} summary - { from, to, completed, pending, statuses: [{ name, done, count }] }
+   * @param {string} unsubscribeUrl - One-click unsubscribe link
+   * @returns {Promise<boolean>} True if email sent successfully, false otherwise
+   */
+  async sendWeeklyDigestEmail(user, summary, unsubscribeUrl) {
+    const rows = summary.statuses
+      .map((status) => `<tr><td style="padding: 4px 12px 4px 0;">${escapeHtml(status.name)}</td><td style="text-align: right;">${status.count}</td></tr>`)
+      .join("");
+
+    return this.deliver(this.digestMailOptions(user, `Tu resumen semanal - TidyTasks`, `
+                <h1 style="color: #4a6ee0;">Tu semana en TidyTasks</h1>
+                <p>Del ${summary.from} al ${summary.to}, ${escapeHtml(user.firstName)}:</p>
+                <p><strong>${summary.completed}</strong> completadas · <strong>${summary.pending}</strong> pendientes</p>
+                <table style="border-collapse: collapse;">${rows}</table>
+        `, unsubscribeUrl));
+  }
 }
 
 /**
@@ -0,0 +1,159 @@
+/**
+ * @fileoverview Reminder Service
+ * @description Sends the task reminders that are due by email
+ * @version 1.0.0
+ * @author TidyTask Backend Team
+ * @since 2024-01-01
+ */
+
+import Task from "../models/task.model.js";
+import EmailService from "./email.service.js";
+import { getUserTimeZone } from "../utils/dueDates.js";
+import { getNextRemindAt } from "../utils/reminders.js";
+import { taskDayKey } from "../utils/timezone.js";
+import { getTaskWorkflow, isDoneStatus, getInitialStatus } from "../utils/workflow.js";
+
+/**
+ * Time between two checks for due reminders
+ * @type {number}
+ */
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Reminders later than this (e.g. after the server was down) are skipped instead of sent
+ * @type {number}
+ */
+const MAX_DELAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reminder Service Class
+ * @class ReminderService
+ * @description Runs the reminder scheduler inside the server process. Each reminder is claimed
+ * in the database before its email goes out, so it is sent at most once even across restarts.
+ * @example
+ * import reminderService from './services/reminder.service.js';
+ * reminderService.start();
+ */
+class ReminderService {
+  /**
+   * Create ReminderService instance
+   * @constructor
+   */
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Send every reminder whose time has come
+   * @async
+   * @method sendDueReminders
+   * @returns {Promise<number>} Number of reminder emails sent
+   */
+  async sendDueReminders() {
+    const now = new Date();
+    const tasks = await Task.find({ "reminders.remindAt": { $ne: null, $lte: now } })
+      .populate([
+        { path: "user", select: "firstName email" },
+        { path: "assignee", select: "firstName email" }
+      ]);
+
+    let sent = 0;
+    for (const task of tasks) {
+      const timeZone = await getUserTimeZone(task.user?._id ?? task.user);
+      const workflow = await getTaskWorkflow(task);
+
+      for (const reminder of task.reminders) {
+        if (!reminder.remindAt || reminder.remindAt > now) continue;
+
+        // Move the reminder on to its next occurrence (or retire it) before sending
+        const next = task.recurrence && !reminder.at
+          ? getNextRemindAt(task, reminder, timeZone, reminder.remindAt)
+          : { remindAt: null, occurrenceDate: null };
+        const { modifiedCount } = await Task.updateOne(
+          { _id: task._id, reminders: { $elemMatch: { _id: reminder._id, remindAt: reminder.remindAt } } },
+          {
+            $set: {
+              "reminders.$.remindAt": next.remindAt,
+              "reminders.$.occurrenceDate": next.occurrenceDate,
+              "reminders.$.sentAt": now
+            }
+          },
+          // Scheduler bookkeeping is not an edit of the task
+          { timestamps: false }
+        );
+        if (!modifiedCount) continue;
+
+        if (now - reminder.remindAt > MAX_DELAY_MS || this.isDone(task, reminder, workflow)) continue;
+
+        const recipient = task.assignee || task.user;
+        if (!recipient?.email) continue;
+        const dueKey = reminder.occurrenceDate || taskDayKey(task.date);
+        if (await EmailService.sendTaskReminderEmail(recipient.email, task, dueKey, recipient.firstName)) {
+          sent += 1;
+        }
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Whether the task (or the occurrence a reminder belongs to) no longer needs a reminder
+   * @method isDone
+   * @param {Object} task - Task document
+   * @param {Object} reminder - Reminder being sent
+   * @param {Object[]} workflow - Workflow statuses of the task
+   * @returns {boolean} True when the task or occurrence is done or cancelled
+   */
+  isDone(task, reminder, workflow) {
+    if (!task.recurrence || !reminder.occurrenceDate) {
+      return Boolean(task.completedAt);
+    }
+
+    const override = task.occurrenceOverrides.find((item) => item.date === reminder.occurrenceDate);
+    return Boolean(override?.cancelled) || isDoneStatus(workflow, override?.status || getInitialStatus(workflow));
+  }
+
+  /**
+   * Start checking for due reminders every minute (runs once right away)
+   * @method start
+   * @returns {void}
+   */
+  start() {
+    if (this.timer) return;
+
+    const run = async () => {
+      // A slow round (many emails) must not overlap the next one
+      if (this.running) return;
+      this.running = true;
+      try {
+        await this.sendDueReminders();
+      } catch (error) {
+        console.error("❌ Reminder scheduler error:", error);
+      } finally {
+        this.running = false;
+      }
+    };
+    run();
+    this.timer = setInterval(run, CHECK_INTERVAL_MS);
+    // The scheduler must not keep the process alive on shutdown
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the scheduler
+   * @method stop
+   * @returns {void}
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+/**
+ * Reminder Service Instance
+ * @exports {ReminderService} Default export of ReminderService singleton instance
+ */
+export default new ReminderService();
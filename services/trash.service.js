@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Trash Service
+ * @description Permanently removes tasks that stayed in the trash longer than the retention period
+ * @version 1.0.0
+ * @author TidyTask Backend Team
+ * @since 2024-01-01
+ */
+
+import Task from "../models/task.model.js";
+import TaskHistory from "../models/taskHistory.model.js";
+import Comment from "../models/comment.model.js";
+import TimeEntry from "../models/timeEntry.model.js";
+import AttachmentService from "./attachment.service.js";
+
+/**
+ * Days a trashed task is kept when TRASH_RETENTION_DAYS is not set
+ * @type {number}
+ */
+const DEFAULT_RETENTION_DAYS = 30;
+
+/**
+ * Time between two purges
+ * @type {number}
+ */
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Trash Service Class
+ * @class TrashService
+ * @description Runs the periodic purge of expired trashed tasks inside the server process
+ * @example
+ * import trashService from './services/trash.service.js';
+ * trashService.start();
+ */
+class TrashService {
+  /**
+   * Create TrashService instance
+   * @constructor
+   * @description Reads the retention period from TRASH_RETENTION_DAYS (whole days, at least 1)
+   */
+  constructor() {
+    const days = Number.parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+    this.retentionDays = Number.isInteger(days) && days >= 1 ? days : DEFAULT_RETENTION_DAYS;
+    this.timer = null;
+  }
+
+  /**
+   * Moment a task trashed at a given time will be purged
+   * @method getPurgeDate
+   * @param {Date} deletedAt - When the task was trashed
+   * @returns {Date} Purge date
+   */
+  getPurgeDate(deletedAt) {
+    return new Date(new Date(deletedAt).getTime() + this.retentionDays * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Delete every task trashed before the retention period, with its history, comments, time
+   * entries and attachments, and unlink it from the tasks it was blocking
+   * @async
+   * @method purgeExpired
+   * @returns {Promise<number>} Number of purged tasks
+   */
+  async purgeExpired() {
+    const cutoff = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000);
+    const expiredIds = await Task.find({ deletedAt: { $ne: null, $lte: cutoff } }).withDeleted().distinct('_id');
+    if (!expiredIds.length) return 0;
+
+    const { deletedCount } = await Task.deleteMany({ _id: { $in: expiredIds } });
+    await TaskHistory.deleteMany({ task: { $in: expiredIds } });
+    await Comment.deleteMany({ task: { $in: expiredIds } });
+    await TimeEntry.deleteMany({ task: { $in: expiredIds } });
+    await Task.updateMany(
+      { blockedBy: { $in: expiredIds } },
+      { $pull: { blockedBy: { $in: expiredIds } } },
+      { timestamps: false }
+    );
+    await AttachmentService.deleteForTasks(expiredIds);
+
+    if (deletedCount) {
+      console.log(`🗑️  Purged ${deletedCount} tasks from the trash`);
+    }
+    return deletedCount;
+  }
+
+  /**
+   * Start purging periodically (runs once right away)
+   * @method start
+   * @returns {void}
+   */
+  start() {
+    if (this.timer) return;
+
+    const run = () => this.purgeExpired().catch((error) => console.error("❌ Trash purge error:", error));
+    run();
+    this.timer = setInterval(run, PURGE_INTERVAL_MS);
+    // The purge must not keep the process alive on shutdown
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the periodic purge
+   * @method stop
+   * @returns {void}
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+/**
+ * Trash Service Instance
+ * @exports {TrashService} Default export of TrashService singleton instance
+ */
+export default new TrashService();
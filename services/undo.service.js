@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Undo Service
+ * @description Issues and redeems the short-lived tokens that let users revert their last task mutations
+ * @version 1.0.0
+ * @author TidyTask Backend Team
+ * @since 2024-01-01
+ */
+
+import crypto from "crypto";
+import TaskUndo from "../models/taskUndo.model.js";
+
+/**
+ * Seconds a mutation can be undone when UNDO_WINDOW_SECONDS is not set
+ * @type {number}
+ */
+const DEFAULT_WINDOW_SECONDS = 60;
+
+/**
+ * Hashes an undo token for storage and lookup
+ * @param {string} token - Undo token as given to the client
+ * @returns {string} Hex SHA-256 digest
+ */
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Undo Service Class
+ * @class UndoService
+ * @description Tokens are single-use, bound to the user who made the change and stored hashed,
+ * like password reset tokens
+ * @example
+ * import undoService from './services/undo.service.js';
+ * const undo = await undoService.issue({ user: userId, task: task._id, action: 'delete', version: task.updatedAt });
+ */
+class UndoService {
+  /**
+   * Create UndoService instance
+   * @constructor
+   * @description Reads the undo window from UNDO_WINDOW_SECONDS (whole seconds, at least 1)
+   */
+  constructor() {
+    const seconds = Number.parseInt(process.env.UNDO_WINDOW_SECONDS, 10);
+    this.windowSeconds = Number.isInteger(seconds) && seconds >= 1 ? seconds : DEFAULT_WINDOW_SECONDS;
+  }
+
+  /**
+   * Issue an undo token for a task mutation
+   * @async
+   * @method issue
+   * @param {Object} entry - Mutation data
+   * @param {string} entry.user - ID of the user who made the change
+   * @param {string} entry.task - Task ID
+   * @param {string} entry.action - create, update or delete
+   * @param {Object} [entry.previous={}] - Raw values of the changed fields before the mutation
+   * @param {Date} entry.version - `updatedAt` of the task after the mutation
+   * @returns {Promise<{token: string, expiresAt: Date}>} Token to send back to POST /api/tasks/undo
+   */
+  async issue({ user, task, action, previous = {}, version }) {
+    const token = crypto.randomBytes(24).toString("hex");
+    const expiresAt = new Date(Date.now() + this.windowSeconds * 1000);
+
+    await TaskUndo.create({ tokenHash: hashToken(token), user, task, action, previous, version, expiresAt });
+    return { token, expiresAt };
+  }
+
+  /**
+   * Look up an undo token without using it up
+   * @async
+   * @method find
+   * @param {string} token - Undo token
+   * @param {string} userId - Authenticated user ID
+   * @returns {Promise<Object|null>} The undo entry, or null if the token is unknown, expired or not the user's
+   */
+  async find(token, userId) {
+    // The TTL monitor runs about once a minute, so expiry is checked here too
+    return TaskUndo.findOne({
+      tokenHash: hashToken(token),
+      user: userId,
+      expiresAt: { $gt: new Date() }
+    });
+  }
+
+  /**
+   * Use up an undo token once its change has been reverted, so it cannot be redeemed again
+   * @async
+   * @method consume
+   * @param {Object} undo - Undo entry returned by find
+   * @returns {Promise<void>}
+   */
+  async consume(undo) {
+    await TaskUndo.deleteOne({ _id: undo._id });
+  }
+}
+
+/**
+ * Undo Service Instance
+ * @exports {UndoService} Default export of UndoService singleton instance
+ */
+export default new UndoService();
@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Comment Helpers
+ * @description Finds the @mentions of a comment and adds comment counts to task lists
+ * @version 1.0.0
+ * @author TidyTask Backend Team
+ * @since 2024-01-01
+ */
+
+import mongoose from 'mongoose';
+import Comment from '../models/comment.model.js';
+
+/**
+ * A mention: "@" plus an email address, at the start of the text or after a space or bracket
+ * @type {RegExp}
+ */
+const MENTION_PATTERN = /(?:^|[\s(\[])@([^\s@()[\]<>,;:]+@[^\s@()[\]<>,;:]+\.[a-z]{2,})/gi;
+
+/**
+ * Lists the email addresses mentioned in a comment
+ * @param {string} body - Comment text
+ * @returns {string[]} Unique mentioned emails, lowercased
+ *
+ * @example
+ * extractMentionEmails('¿Lo revisas, @ana@example.com?');
+ * // => ['ana@example.com']
+ */
+export const extractMentionEmails = (body) =>
+  [...new Set([...body.matchAll(MENTION_PATTERN)].map((match) => match[1].replace(/\.+$/, '').toLowerCase()))];
+
+/**
+ * Adds the number of comments of each task to a task list
+ * @async
+ * @param {Object[]} tasks - Plain tasks or occurrences (occurrences share their series' thread)
+ * @returns {Promise<Object[]>} The same tasks with `commentCount`
+ */
+export const withCommentCounts = async (tasks) => {
+  const taskIds = [...new Set(tasks.map((task) => task._id.toString()))];
+  if (!taskIds.length) return tasks;
+
+  const counts = await Comment.aggregate([
+    { $match: { task: { $in: taskIds.map((id) => new mongoose.Types.ObjectId(id)) } } },
+    { $group: { _id: '$task', count: { $sum: 1 } } }
+  ]);
+  const countByTask = new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+
+  return tasks.map((task) => ({ ...task, commentCount: countByTask.get(task._id.toString()) || 0 }));
+};
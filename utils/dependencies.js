@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Task Dependency Helpers
+ * @description Validates the "blocked by" links between tasks and enforces that a blocked task
+ * stays in its workflow's initial status until its blockers are completed
+ * @version 1.0.0
+ * @author TidyTask Backend Team
+ * @since 2024-01-01
+ */
+
+import Task from '../models/task.model.js';
+import { getInitialStatus } from './workflow.js';
+
+/**
+ * Most tasks a single task can be blocked by
+ * @type {number}
+ */
+export const MAX_BLOCKERS = 20;
+
+/**
+ * Checks whether two tasks may be linked: both personal tasks of the same owner, or both in the
+ * same project. This keeps a task's blockers visible to everyone who can see the task.
+ * @param {Object} task - Dependent task
+ * @param {Object} blocker - Candidate blocker
+ * @returns {boolean} True when the tasks share their scope
+ */
+export const shareScope = (task, blocker) => {
+  const projectOf = (item) => (item.project?._id ?? item.project ?? null)?.toString() ?? null;
+  const userOf = (item) => (item.user?._id ?? item.user).toString();
+
+  if (projectOf(task) !== projectOf(blocker)) return false;
+  return projectOf(task) !== null || userOf(task) === userOf(blocker);
+};
+
+/**
+ * Checks whether making `blockerId` a blocker of `taskId` would close a cycle
+ * @async
+ * @param {string} taskId - Dependent task
+ * @param {string} blockerId - Candidate blocker
+ * @returns {Promise<boolean>} True when the task already blocks the candidate, directly or through other tasks
+ * @description Walks the blockers of the candidate, trashed tasks included since they can be restored
+ */
+export const createsCycle = async (taskId, blockerId) => {
+  const target = taskId.toString();
+  const visited = new Set([blockerId.toString()]);
+  let frontier = [blockerId];
+
+  while (frontier.length) {
+    const tasks = await Task.find({ _id: { $in: frontier } }).withDeleted().select('blockedBy');
+    frontier = [];
+
+    for (const id of tasks.flatMap((task) => task.blockedBy.map(String))) {
+      if (id === target) return true;
+      if (!visited.has(id)) {
+        visited.add(id);
+        frontier.push(id);
+      }
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Checks that a task may take a new status given its blockers
+ * @async
+ * @param {Object} task - Task document before the change
+ * @param {Object[]} workflow - Workflow of the task
+ * @param {string} status - Status the task is about to take
+ * @param {mongoose.ClientSession} [session=null] - Transaction session, for bulk operations
+ * @returns {Promise<{status: number, message: string}|null>} The HTTP error to answer with (409)
+ * when the task would leave the initial status while some blocker is open, or null
+ */
+export const checkBlockers = async (task, workflow, status, session = null) => {
+  if (!task.blockedBy?.length || status === getInitialStatus(workflow)) return null;
+
+  const openBlockers = await Task.find({
+    _id: { $in: task.blockedBy.map((blocker) => blocker._id ?? blocker) },
+    completedAt: null
+  }).session(session).select('title');
+  if (!openBlockers.length) return null;
+
+  return {
+    status: 409,
+    message: `Task is blocked until these tasks are completed: ${openBlockers.map((blocker) => blocker.title).join(', ')}`
+  };
+};
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Due Date Helpers
+ * @description Resolves the timezone of a request and adds the computed due instant and overdue
+ * state to task responses
+ * @version 1.0.0
+ * @author TidyTask Backend Team
+ * @since 2024-01-01
+ */
+
+import Task from '../models/task.model.js';
+import User from '../models/user.model.js';
+import { DEFAULT_TIMEZONE, isValidTimeZone, getDueAt } from './timezone.js';
+import { isDoneStatus } from './workflow.js';
+
+/**
+ * Loads the timezone preference of a user
+ * @async
+ * @param {string} userId - User ID
+ * @returns {Promise<string>} IANA timezone, DEFAULT_TIMEZONE when the user has none
+ */
+export const getUserTimeZone = async (userId) => {
+  const user = await User.findById(userId).select('timezone');
+  return isValidTimeZone(user?.timezone) ? user.timezone : DEFAULT_TIMEZONE;
+};
+
+/**
+ * Picks the timezone a request works in: the `tz` it sent, or else the user's preference
+ * @async
+ * @param {string} [requested] - Validated `tz` query parameter
+ * @param {string} userId - Authenticated user ID
+ * @returns {Promise<string>} IANA timezone
+ */
+export const resolveTimeZone = async (requested, userId) => requested || getUserTimeZone(userId);
+
+/**
+ * Adds the due fields to a task or occurrence
+ * @param {Object} task - Task document, or plain task/occurrence object
+ * @param {string} timeZone - IANA timezone the task day and time are read in
+ * @param {Object} [options] - Options
+ * @param {Date} [options.now=new Date()] - Reference instant, shared by all tasks of a response
+ * @param {Function} [options.workflowOf] - Workflow resolver; needed for occurrences, whose status is
+ * their own (without it, tasks with `completedAt` count as done)
+ * @returns {Object} Plain task with `dueAt` (instant), `isOverdue` (open and past due) and `dueIn`
+ * (whole minutes until due, negative once past)
+ *
+ * @example
+ * withDueInfo(task, 'America/Bogota');
+ * // { ...task, dueAt: 2024-05-06T19:30:00.000Z, isOverdue: false, dueIn: 95 }
+ */
+export const withDueInfo = (task, timeZone, { now = new Date(), workflowOf } = {}) => {
+  const item = typeof task.toObject === 'function' ? task.toObject() : task;
+  if (!item.date) {
+    return { ...item, dueAt: null, isOverdue: false, dueIn: null };
+  }
+
+  const dueAt = getDueAt(item.date, item.time, timeZone);
+  const isDone = workflowOf ? isDoneStatus(workflowOf(item), item.status) : Boolean(item.completedAt);
+
+  return {
+    ...item,
+    dueAt,
+    isOverdue: !isDone && dueAt < now,
+    dueIn: Math.round((dueAt - now) / 60000)
+  };
+};
+
+/**
+ * Zero-pads the hour of task times saved before times were normalized
+ * @async
+ * @returns {Promise<void>}
+ * @description Runs at startup. Times such as "9:30" become "09:30" so the overdue and time range
+ * queries, which compare times as strings, see them; new times are padded by the task schema.
+ */
+export const backfillTaskTimes = async () => {
+  const { modifiedCount } = await Task.updateMany(
+    { time: /^\d:/ },
+    [{ $set: { time: { $concat: ['0', '$time'] } } }],
+    { timestamps: false }
+  );
+
+  if (modifiedCount) {
+    console.log(`🔁 Zero-padded the time of ${modifiedCount} tasks`);
+  }
+};
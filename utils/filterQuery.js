@@ -0,0 +1,188 @@
+/**
+ * @fileoverview Saved Filter Query Helpers
+ * @description Runs the small query language of saved filters and smart lists against the tasks a
+ * user can see
+ * @version 1.0.0
+ * @author TidyTask Backend Team
+ * @since 2024-01-01
+ *
+ * A filter query is an object with any of these fields (all of them must match):
+ * - status: status keys, e.g. ["Haciendo"]
+ * - done: true for tasks in a done status, false for open ones
+ * - overdue: true for open tasks whose due time has passed
+ * - priority: priorities, e.g. ["high", "urgent"]
+ * - date: { from, to } due days, each "YYYY-MM-DD" or relative to today ("today", "tomorrow",
+ *   "yesterday", "startOfWeek", "endOfWeek", "+7d", "-3d")
+ * - time: { from, to } "HH:MM" bounds of the task time (task times are stored zero-padded, so
+ *   they compare as strings)
+ * - hasTime: whether the task has a time
+ * - text: words searched in title and detail (accent insensitive)
+ */
+
+import Task, { TASK_POPULATE } from '../models/task.model.js';
+import { taskAccessFilter } from './permissions.js';
+import { isDoneStatus, loadWorkflowResolver, normalizeStatus } from './workflow.js';
+import { findTasksInWindow } from './occurrences.js';
+import { withDueInfo } from './dueDates.js';
+import { withCommentCounts } from './comments.js';
+import {
+  toDateKey,
+  addDaysToKey,
+  startOfWeekKey,
+  taskDayStart,
+  daysBetweenKeys,
+  getZonedParts,
+  getDueAt,
+  normalizeTime
+} from './timezone.js';
+
+/**
+ * Valid date references of a filter query
+ * @type {RegExp}
+ */
+export const DATE_REF_PATTERN = /^(today|tomorrow|yesterday|startOfWeek|endOfWeek|[+-]\d{1,3}d|\d{4}-\d{2}-\d{2})$/;
+
+/**
+ * Longest date range, in days, expanded into recurring occurrences
+ * @type {number}
+ */
+const MAX_WINDOW_DAYS = 366;
+
+/**
+ * Built-in smart lists, available to every user without saving them
+ * @type {Object<string, {name: string, query: Object}>}
+ */
+export const SMART_LISTS = Object.freeze({
+  today: Object.freeze({ name: 'Hoy', query: { date: { from: 'today', to: 'today' }, done: false } }),
+  upcoming: Object.freeze({ name: 'Próximas', query: { date: { from: 'tomorrow', to: '+7d' }, done: false } }),
+  overdue: Object.freeze({ name: 'Vencidas', query: { overdue: true } }),
+  completed: Object.freeze({ name: 'Completadas', query: { done: true } })
+});
+
+/**
+ * Turns a date reference into a calendar day
+ * @param {string} ref - "YYYY-MM-DD", "today", "tomorrow", "yesterday", "startOfWeek", "endOfWeek" or "±Nd"
+ * @param {string} todayKey - Current day in the user's timezone (YYYY-MM-DD)
+ * @returns {string} Calendar day (YYYY-MM-DD); weeks start on Monday
+ */
+export const resolveDateRef = (ref, todayKey) => {
+  if (ref === 'today') return todayKey;
+  if (ref === 'tomorrow') return addDaysToKey(todayKey, 1);
+  if (ref === 'yesterday') return addDaysToKey(todayKey, -1);
+  if (ref === 'startOfWeek') return startOfWeekKey(todayKey);
+  if (ref === 'endOfWeek') return addDaysToKey(startOfWeekKey(todayKey), 6);
+
+  const offset = /^([+-]\d+)d$/.exec(ref);
+  return offset ? addDaysToKey(todayKey, Number(offset[1])) : ref;
+};
+
+/**
+ * Orders filter results: completed lists by completion (newest first), the rest by due day and time
+ * @param {boolean} byCompletion - Whether the query asks for done tasks
+ * @returns {Function} Comparator for Array.prototype.sort
+ */
+const compareResults = (byCompletion) => (a, b) => {
+  if (byCompletion) {
+    return (new Date(b.completedAt || 0) - new Date(a.completedAt || 0)) || String(b._id).localeCompare(String(a._id));
+  }
+
+  return (new Date(a.date) - new Date(b.date))
+    || (normalizeTime(a.time) || '99:99').localeCompare(normalizeTime(b.time) || '99:99')
+    || String(a._id).localeCompare(String(b._id));
+};
+
+/**
+ * Runs a filter query for a user
+ * @async
+ * @param {Object} query - Validated filter query
+ * @param {string} userId - Authenticated user ID
+ * @param {Object} options - Execution options
+ * @param {string} options.timeZone - IANA timezone of "today" and of the due days
+ * @param {number} options.page - Page number (from 1)
+ * @param {number} options.limit - Tasks per page
+ * @returns {Promise<{tasks: Object[], totalTasks: number}>} Page of matching tasks, with their due
+ * fields (see withDueInfo) and comment counts, and the total count
+ * @description When the date range is closed (at most 366 days), recurring series are expanded and
+ * each occurrence is matched on its own day and status. Otherwise the query runs in MongoDB over
+ * whole tasks; recurring series then count by their first day and never as overdue.
+ */
+export const runFilterQuery = async (query, userId, { timeZone, page, limit }) => {
+  const { done, overdue, priority, date, time, hasTime, text } = query;
+  // Saved queries may hold the aliases of the built-in statuses
+  const status = query.status?.map(normalizeStatus);
+  const now = new Date();
+  const todayKey = toDateKey(now, timeZone);
+  const fromKey = date?.from ? resolveDateRef(date.from, todayKey) : null;
+  const toKey = date?.to ? resolveDateRef(date.to, todayKey) : null;
+  const wantsDone = done === true;
+
+  // Conditions on series fields, valid for one-off tasks and occurrences alike
+  const conditions = [await taskAccessFilter(userId, 'viewer')];
+  if (priority?.length) conditions.push({ priority: { $in: priority } });
+  if (hasTime !== undefined) conditions.push({ time: hasTime ? { $ne: null } : null });
+  if (time?.from || time?.to) {
+    const [from, to] = [normalizeTime(time.from), normalizeTime(time.to)];
+    conditions.push({ time: { ...(from ? { $gte: from } : {}), ...(to ? { $lte: to } : {}) } });
+  }
+
+  const filter = { $and: conditions };
+  if (text) filter.$text = { $search: text };
+
+  const span = fromKey && toKey ? daysBetweenKeys(fromKey, toKey) : -1;
+  if (span >= 0 && span <= MAX_WINDOW_DAYS) {
+    const workflowOf = await loadWorkflowResolver(userId);
+    const items = (await findTasksInWindow(filter, fromKey, toKey, workflowOf)).filter((item) => {
+      const isDone = isDoneStatus(workflowOf(item), item.status);
+      return (!status?.length || status.includes(item.status))
+        && (done === undefined || isDone === done)
+        && (!overdue || (!isDone && getDueAt(item.date, item.time, timeZone) < now));
+    });
+
+    items.sort(compareResults(wantsDone));
+    const pageItems = items.slice((page - 1) * limit, page * limit);
+    return {
+      tasks: await withCommentCounts(pageItems.map((item) => withDueInfo(item, timeZone, { now, workflowOf }))),
+      totalTasks: items.length
+    };
+  }
+
+  if (status?.length) conditions.push({ status: { $in: status } });
+  if (done !== undefined) conditions.push({ completedAt: done ? { $ne: null } : null });
+  if (fromKey || toKey) {
+    conditions.push({
+      date: {
+        ...(fromKey ? { $gte: taskDayStart(fromKey) } : {}),
+        ...(toKey ? { $lt: taskDayStart(addDaysToKey(toKey, 1)) } : {})
+      }
+    });
+  }
+
+  if (overdue) {
+    // Tasks without time are due at the end of their day; timed ones at their time
+    const startOfToday = taskDayStart(todayKey);
+    const startOfTomorrow = taskDayStart(addDaysToKey(todayKey, 1));
+    const { hour, minute } = getZonedParts(now, timeZone);
+    const currentTime = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+
+    conditions.push({
+      completedAt: null,
+      recurrence: null,
+      $or: [
+        { date: { $lt: startOfToday } },
+        { date: { $gte: startOfToday, $lt: startOfTomorrow }, time: { $ne: null, $lt: currentTime } }
+      ]
+    });
+  }
+
+  const sort = wantsDone ? { completedAt: -1, _id: -1 } : { date: 1, time: 1, _id: 1 };
+  const [tasks, totalTasks] = await Promise.all([
+    Task.find(filter)
+      .sort(sort)
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate(TASK_POPULATE),
+    Task.countDocuments(filter)
+  ]);
+
+  return { tasks: await withCommentCounts(tasks.map((task) => withDueInfo(task, timeZone, { now }))), totalTasks };
+};
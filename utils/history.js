@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Task History Helpers
+ * @description Compares task states and records the differences in the task activity log
+ * @version 1.0.0
+ * @author TidyTask Backend Team
+ * @since 2024-01-01
+ */
+
+import TaskHistory from '../models/taskHistory.model.js';
+
+/**
+ * Task fields whose changes are recorded
+ * @type {string[]}
+ * @description Board position and bookkeeping fields (updatedBy, completedAt...) are left out
+ */
+export const TRACKED_FIELDS = ['title', 'detail', 'date', 'time', 'status', 'priority', 'estimatedMinutes', 'labels', 'project', 'assignee', 'recurrence'];
+
+/**
+ * Returns the ID of a reference whether it is populated or not
+ * @param {Object|string|null} value - ObjectId, populated document or null
+ * @returns {string|null} ID as a string
+ */
+const toId = (value) => (value ? (value._id ?? value).toString() : null);
+
+/**
+ * Takes a comparable copy of the tracked fields of a task
+ * @param {Object} task - Task document or plain object (references may be populated)
+ * @returns {Object} Tracked field values with IDs as strings and dates as ISO strings
+ */
+export const snapshotTask = (task) => {
+  const recurrence = task.recurrence?.toObject ? task.recurrence.toObject() : task.recurrence;
+  return {
+    title: task.title ?? null,
+    detail: task.detail || null,
+    date: task.date ? new Date(task.date).toISOString() : null,
+    time: task.time || null,
+    status: task.status ?? null,
+    priority: task.priority ?? null,
+    estimatedMinutes: task.estimatedMinutes ?? null,
+    labels: (task.labels || []).map(toId).sort(),
+    project: toId(task.project),
+    assignee: toId(task.assignee),
+    recurrence: recurrence || null
+  };
+};
+
+/**
+ * Lists the tracked fields that differ between two snapshots
+ * @param {Object|null} before - Snapshot before the change (null for a new task)
+ * @param {Object} after - Snapshot after the change
+ * @returns {Object[]} Changes ({ field, from, to })
+ */
+export const diffSnapshots = (before, after) => TRACKED_FIELDS
+  .filter((field) => JSON.stringify(before?.[field] ?? null) !== JSON.stringify(after[field] ?? null))
+  .filter((field) => before || (after[field] !== null && !(Array.isArray(after[field]) && !after[field].length)))
+  .map((field) => ({ field, from: before?.[field] ?? null, to: after[field] ?? null }));
+
+/**
+ * Records an entry in the history of a task
+ * @async
+ * @param {Object} entry - Entry data
+ * @param {string} entry.task - Task ID
+ * @param {string} entry.user - ID of the user who made the change
+ * @param {string} entry.action - One of HISTORY_ACTIONS
+ * @param {Object} [entry.before] - Snapshot before the change
+ * @param {Object} [entry.after] - Snapshot after the change
+ * @param {Object[]} [entry.changes] - Explicit changes, instead of before/after
+ * @param {mongoose.ClientSession} [session=null] - Transaction session, for bulk operations
+ * @returns {Promise<Object|null>} The entry, or null when an update or move changed no tracked field
+ *
+ * @example
+ * const before = snapshotTask(task);
+ * // ...change and save the task...
+ * await recordTaskHistory({ task: task._id, user: userId, action: 'updated', before, after: snapshotTask(task) });
+ */
+export const recordTaskHistory = async ({ task, user, action, before = null, after = null, changes = null }, session = null) => {
+  const entryChanges = changes ?? (after ? diffSnapshots(before, after) : []);
+
+  if ((action === 'updated' || action === 'moved') && !entryChanges.length) {
+    return null;
+  }
+
+  const [entry] = await TaskHistory.create([{ task, user, action, changes: entryChanges }], { session });
+  return entry;
+};
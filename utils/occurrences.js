@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Task Occurrence Helpers
+ * @description Loads the tasks of a window of calendar days, turning recurring series into their
+ * individual occurrences
+ * @version 1.0.0
+ * @author TidyTask Backend Team
+ * @since 2024-01-01
+ */
+
+import Task, { TASK_POPULATE } from '../models/task.model.js';
+import { addDaysToKey, taskDayKey, taskDayStart } from './timezone.js';
+import { expandOccurrences } from './recurrence.js';
+import { getInitialStatus } from './workflow.js';
+
+/**
+ * Expands a recurring task into one plain object per occurrence inside a window
+ * @param {Object} task - Recurring task document
+ * @param {string} fromKey - First day of the window (YYYY-MM-DD)
+ * @param {string} toKey - Last day of the window (YYYY-MM-DD)
+ * @param {string} initialStatus - Status of occurrences without override (first open status of the workflow)
+ * @returns {Object[]} Occurrences carrying the series data plus `occurrenceDate`, their own `date` and `status`
+ * @description Cancelled occurrences are left out. Each occurrence keeps the series `_id`,
+ * and takes its status from its override (default `initialStatus`).
+ */
+export const expandTaskOccurrences = (task, fromKey, toKey, initialStatus) => {
+  const anchorKey = taskDayKey(task.date);
+  const untilKey = task.recurrence.until ? taskDayKey(task.recurrence.until) : null;
+  const overrides = new Map(task.occurrenceOverrides.map((override) => [override.date, override]));
+  const series = task.toObject();
+
+  return expandOccurrences(task.recurrence, anchorKey, fromKey, toKey, untilKey)
+    .filter((key) => !overrides.get(key)?.cancelled)
+    .map((key) => ({
+      ...series,
+      date: taskDayStart(key),
+      status: overrides.get(key)?.status || initialStatus,
+      occurrenceDate: key,
+      isOccurrence: true
+    }));
+};
+
+/**
+ * Loads tasks whose date falls inside a window of calendar days, expanding recurring series
+ * @param {Object} baseFilter - MongoDB filter (must include the user scope)
+ * @param {string} fromKey - First day of the window (YYYY-MM-DD)
+ * @param {string} toKey - Last day of the window (YYYY-MM-DD)
+ * @param {Function} workflowOf - Workflow resolver from loadWorkflowResolver
+ * @returns {Promise<Object[]>} One-off tasks and occurrences as plain objects
+ * @description Task days are calendar days (see taskDayKey), the same in every timezone
+ */
+export const findTasksInWindow = async (baseFilter, fromKey, toKey, workflowOf) => {
+  const rangeStart = taskDayStart(fromKey);
+  const rangeEnd = taskDayStart(addDaysToKey(toKey, 1));
+
+  // The window joins the filter's own $and, so a top-level $text stays at the top level
+  const tasks = await Task.find({
+    ...baseFilter,
+    $and: [
+      ...(baseFilter.$and || []),
+      {
+        $or: [
+          { recurrence: null, date: { $gte: rangeStart, $lt: rangeEnd } },
+          { recurrence: { $ne: null }, date: { $lt: rangeEnd } }
+        ]
+      }
+    ]
+  }).populate(TASK_POPULATE);
+
+  return tasks.flatMap((task) => task.recurrence
+    ? expandTaskOccurrences(task, fromKey, toKey, getInitialStatus(workflowOf(task)))
+    : [task.toObject()]);
+};
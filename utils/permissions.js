@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Project and Task Permission Helpers
+ * @description Resolves the role (owner, editor, viewer) a user has on projects and tasks
+ * and builds the MongoDB filters used to scope queries to what the user may see or change
+ * @version 1.0.0
+ * @author TidyTask Backend Team
+ * @since 2024-01-01
+ */
+
+import Project from '../models/project.model.js';
+import Task from '../models/task.model.js';
+
+/**
+ * Roles a collaborator can be given on a shared project (the owner is the project's `user`)
+ * @type {string[]}
+ */
+export const MEMBER_ROLES = ['editor', 'viewer'];
+
+/**
+ * Power of each role; a role grants everything lower roles can do
+ * @type {Object<string, number>}
+ */
+const ROLE_LEVELS = { viewer: 1, editor: 2, owner: 3 };
+
+/**
+ * Checks whether a role is at least the required one
+ * @param {string|null} role - Role the user has
+ * @param {string} minRole - Minimum role required (viewer, editor, owner)
+ * @returns {boolean} True if the role is sufficient
+ */
+export const hasRole = (role, minRole) => Boolean(role) && ROLE_LEVELS[role] >= ROLE_LEVELS[minRole];
+
+/**
+ * Returns the role of a user on a project
+ * @param {Object} project - Project document (members may be populated or not)
+ * @param {string} userId - User ID
+ * @returns {string|null} owner, editor, viewer, or null when the user has no access
+ */
+export const getProjectRole = (project, userId) => {
+  const ownerId = project.user?._id ?? project.user;
+  if (ownerId.toString() === userId.toString()) return 'owner';
+  const member = (project.members || []).find((item) => (item.user?._id ?? item.user).toString() === userId.toString());
+  return member ? member.role : null;
+};
+
+/**
+ * Builds a filter matching the projects on which a user has at least a role
+ * @param {string} userId - User ID
+ * @param {string} [minRole='viewer'] - Minimum role required
+ * @returns {Object} MongoDB filter for the Project collection
+ */
+export const projectAccessFilter = (userId, minRole = 'viewer') => {
+  const roles = MEMBER_ROLES.filter((role) => hasRole(role, minRole));
+  if (!roles.length) return { user: userId };
+  return {
+    $or: [
+      { user: userId },
+      { members: { $elemMatch: { user: userId, role: { $in: roles } } } }
+    ]
+  };
+};
+
+/**
+ * Builds a filter matching the tasks on which a user has at least a role
+ * @async
+ * @param {string} userId - User ID
+ * @param {string} [minRole='viewer'] - Minimum role required
+ * @returns {Promise<Object>} MongoDB filter for the Task collection
+ * @description Tasks outside a project belong to their `user`; tasks inside a project are
+ * governed by the project role, so removing a collaborator revokes access to them. The assignee
+ * of a task can always view it (see getTaskRole).
+ */
+export const taskAccessFilter = async (userId, minRole = 'viewer') => {
+  const projects = await Project.find(projectAccessFilter(userId, minRole)).select('_id');
+  return {
+    $or: [
+      { user: userId, project: null },
+      { project: { $in: projects.map((project) => project._id) } },
+      ...(hasRole('viewer', minRole) ? [{ assignee: userId }] : [])
+    ]
+  };
+};
+
+/**
+ * Returns the role of a user on a task
+ * @async
+ * @param {Object} task - Task document
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>} owner, editor, viewer, or null when the user has no access
+ * @description The assignee is at least a viewer, even without a role on the task's project
+ */
+export const getTaskRole = async (task, userId) => {
+  let role = null;
+  if (!task.project) {
+    role = (task.user?._id ?? task.user).toString() === userId.toString() ? 'owner' : null;
+  } else {
+    const project = await Project.findById(task.project._id ?? task.project).select('user members');
+    role = project ? getProjectRole(project, userId) : null;
+  }
+
+  const assigneeId = task.assignee?._id ?? task.assignee;
+  if (!role && assigneeId && assigneeId.toString() === userId.toString()) {
+    return 'viewer';
+  }
+  return role;
+};
+
+/**
+ * Loads a task and checks the user has at least a role on it
+ * @async
+ * @param {string} taskId - Task ID
+ * @param {string} userId - User ID
+ * @param {string} [minRole='viewer'] - Minimum role required
+ * @param {mongoose.ClientSession} [session=null] - Session to read the task in, inside transactions
+ * @returns {Promise<{task?: Object, role?: string, error?: {status: number, message: string}}>}
+ * The task and role, or the HTTP error to answer with (404 when the user cannot see the task,
+ * 403 when they can see it but not change it)
+ *
+ * @example
+ * const { task, error } = await authorizeTask(req.params.id, req.user.userId, 'editor');
+ * if (error) return res.status(error.status).json({ message: error.message });
+ */
+export const authorizeTask = async (taskId, userId, minRole = 'viewer', session = null) => {
+  const task = await Task.findById(taskId).session(session);
+  const role = task ? await getTaskRole(task, userId) : null;
+
+  if (!role) {
+    return { error: { status: 404, message: 'Task not found' } };
+  }
+
+  if (!hasRole(role, minRole)) {
+    return { error: { status: 403, message: 'You do not have permission to modify this task' } };
+  }
+
+  return { task, role };
+};
@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Recurrence Rule Utilities
+ * @description Expands RRULE-style recurrence rules stored on tasks into calendar-day occurrences
+ * @version 1.0.0
+ * @author TidyTask Backend Team
+ * @since 2024-01-01
+ */
+
+import {
+  parseDateKey,
+  addDaysToKey,
+  isoWeekday,
+  startOfWeekKey,
+  daysBetweenKeys
+} from './timezone.js';
+
+/**
+ * Supported recurrence frequencies
+ * @type {string[]}
+ * @description "weekdays" is shorthand for weekly on Monday-Friday
+ */
+export const RECURRENCE_FREQUENCIES = ['daily', 'weekdays', 'weekly', 'monthly'];
+
+/**
+ * Allowed values for the "nth" part of a monthly rule (-1 = last)
+ * @type {number[]}
+ */
+export const NTH_WEEKDAY_POSITIONS = [1, 2, 3, 4, 5, -1];
+
+/**
+ * Upper bound of days walked while expanding a single series
+ * @type {number}
+ * @description Protects the API from series anchored decades in the past
+ */
+const MAX_EXPANSION_DAYS = 20 * 366;
+
+/**
+ * Returns the number of days in a month
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @returns {number} Days in that month
+ */
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+/**
+ * Checks whether a day is the nth given weekday of its month
+ * @param {string} key - Calendar day key (YYYY-MM-DD)
+ * @param {number} weekday - ISO weekday (1 = Monday ... 7 = Sunday)
+ * @param {number} nth - Position 1-5, or -1 for the last one
+ * @returns {boolean} True if the day matches
+ */
+const isNthWeekdayOfMonth = (key, weekday, nth) => {
+  if (isoWeekday(key) !== weekday) return false;
+  const { year, month, day } = parseDateKey(key);
+  if (nth === -1) {
+    return day + 7 > daysInMonth(year, month);
+  }
+  return Math.ceil(day / 7) === nth;
+};
+
+/**
+ * Checks whether a day (on or after the anchor) matches a recurrence rule
+ * @param {Object} rule - Recurrence rule stored on the task
+ * @param {string} anchorKey - Day key of the series start
+ * @param {string} key - Candidate day key
+ * @returns {boolean} True if the rule produces an occurrence that day
+ */
+const matchesRule = (rule, anchorKey, key) => {
+  const interval = rule.interval || 1;
+
+  switch (rule.frequency) {
+    case 'daily':
+      return daysBetweenKeys(anchorKey, key) % interval === 0;
+
+    case 'weekdays':
+    case 'weekly': {
+      const weekdays = rule.frequency === 'weekdays'
+        ? [1, 2, 3, 4, 5]
+        : (rule.byWeekday && rule.byWeekday.length ? rule.byWeekday : [isoWeekday(anchorKey)]);
+      if (!weekdays.includes(isoWeekday(key))) return false;
+      const weeks = daysBetweenKeys(startOfWeekKey(anchorKey), startOfWeekKey(key)) / 7;
+      return weeks % interval === 0;
+    }
+
+    case 'monthly': {
+      const anchor = parseDateKey(anchorKey);
+      const current = parseDateKey(key);
+      const months = (current.year - anchor.year) * 12 + (current.month - anchor.month);
+      if (months % interval !== 0) return false;
+      if (rule.nthWeekday && rule.nthWeekday.weekday) {
+        return isNthWeekdayOfMonth(key, rule.nthWeekday.weekday, rule.nthWeekday.nth);
+      }
+      // Same day of month as the anchor; months without that day are skipped
+      return current.day === anchor.day;
+    }
+
+    default:
+      return false;
+  }
+};
+
+/**
+ * Expands a recurrence rule into the occurrence days that fall inside a window
+ * @param {Object} rule - Recurrence rule ({ frequency, interval, byWeekday, nthWeekday, count })
+ * @param {string} anchorKey - Day key of the series start (the task date)
+ * @param {string} fromKey - First day of the window (inclusive)
+ * @param {string} toKey - Last day of the window (inclusive)
+ * @param {string|null} [untilKey=null] - Last day the series may produce (inclusive)
+ * @returns {string[]} Occurrence day keys within the window, in ascending order
+ * @description Only days matching the rule are occurrences, the anchor included. Days are walked
+ * from the anchor so that `count` is honored even when the window starts later.
+ *
+ * @example
+ * expandOccurrences({ frequency: 'weekly', byWeekday: [1, 3] }, '2024-05-06', '2024-05-06', '2024-05-12');
+ * // => ['2024-05-06', '2024-05-08']
+ */
+export const expandOccurrences = (rule, anchorKey, fromKey, toKey, untilKey = null) => {
+  const occurrences = [];
+  if (!rule || !rule.frequency) return occurrences;
+
+  const lastKey = untilKey && untilKey < toKey ? untilKey : toKey;
+  if (lastKey < anchorKey || lastKey < fromKey) return occurrences;
+
+  // Without a count nothing before the window matters, so the walk can start there
+  let key = !rule.count && fromKey > anchorKey ? fromKey : anchorKey;
+  let produced = 0;
+
+  for (let steps = 0; key <= lastKey && steps < MAX_EXPANSION_DAYS; steps++, key = addDaysToKey(key, 1)) {
+    if (!matchesRule(rule, anchorKey, key)) continue;
+    produced += 1;
+    if (rule.count && produced > rule.count) break;
+    if (key >= fromKey) occurrences.push(key);
+  }
+
+  return occurrences;
+};
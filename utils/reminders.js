@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Reminder Helpers
+ * @description Works out when the reminders of a task are due, one-off and recurring tasks alike
+ * @version 1.0.0
+ * @author TidyTask Backend Team
+ * @since 2024-01-01
+ */
+
+import { toDateKey, addDaysToKey, taskDayKey, taskDayStart, getDueAt } from './timezone.js';
+import { expandOccurrences } from './recurrence.js';
+
+/**
+ * Most reminders a task can hold
+ * @type {number}
+ */
+export const MAX_REMINDERS = 5;
+
+/**
+ * Longest advance of a relative reminder, in minutes (30 days)
+ * @type {number}
+ */
+export const MAX_REMINDER_MINUTES = 30 * 24 * 60;
+
+/**
+ * Days ahead searched for the next occurrence of a recurring task
+ * @type {number}
+ */
+const OCCURRENCE_LOOKAHEAD_DAYS = 400;
+
+/**
+ * Finds the next instant a reminder must be sent
+ * @param {Object} task - Task document or plain task ({ date, time, recurrence, occurrenceOverrides })
+ * @param {Object} reminder - Reminder ({ minutesBefore } or { at })
+ * @param {string} timeZone - IANA timezone of the task day and time (the owner's)
+ * @param {Date} [after=new Date()] - Only instants later than this one count
+ * @returns {{remindAt: Date|null, occurrenceDate: string|null}} Next instant, and for recurring tasks
+ * the occurrence it belongs to; `remindAt` is null when nothing is left to send
+ * @description Absolute reminders fire once. Relative ones fire before the due time of a one-off
+ * task, or before every occurrence of a recurring task that was not cancelled.
+ *
+ * @example
+ * getNextRemindAt({ date, time: '14:30', recurrence: null }, { minutesBefore: 15 }, 'America/Bogota');
+ * // { remindAt: 2024-05-06T19:15:00.000Z, occurrenceDate: null }
+ */
+export const getNextRemindAt = (task, reminder, timeZone, after = new Date()) => {
+  if (reminder.at) {
+    return { remindAt: reminder.at > after ? reminder.at : null, occurrenceDate: null };
+  }
+
+  const offsetMs = (reminder.minutesBefore || 0) * 60 * 1000;
+
+  if (!task.recurrence) {
+    const remindAt = new Date(getDueAt(task.date, task.time, timeZone).getTime() - offsetMs);
+    return { remindAt: remindAt > after ? remindAt : null, occurrenceDate: null };
+  }
+
+  // Occurrences before today are already due, so their reminders are behind us too
+  const fromKey = toDateKey(after, timeZone);
+  const toKey = addDaysToKey(fromKey, OCCURRENCE_LOOKAHEAD_DAYS);
+  const anchorKey = taskDayKey(task.date);
+  const untilKey = task.recurrence.until ? taskDayKey(task.recurrence.until) : null;
+  const cancelled = new Set((task.occurrenceOverrides || [])
+    .filter((override) => override.cancelled)
+    .map((override) => override.date));
+
+  for (const key of expandOccurrences(task.recurrence, anchorKey, fromKey, toKey, untilKey)) {
+    if (cancelled.has(key)) continue;
+    const remindAt = new Date(getDueAt(taskDayStart(key), task.time, timeZone).getTime() - offsetMs);
+    if (remindAt > after) return { remindAt, occurrenceDate: key };
+  }
+
+  return { remindAt: null, occurrenceDate: null };
+};
+
+/**
+ * Schedules every reminder of a task from now on
+ * @param {Object} task - Task with its final date, time, recurrence and overrides
+ * @param {Object[]} reminders - Reminders to schedule
+ * @param {string} timeZone - IANA timezone of the task day and time (the owner's)
+ * @returns {Object[]} Plain reminders with `remindAt` and `occurrenceDate` recomputed and their
+ * `_id` and `sentAt` kept
+ * @description Only instants still ahead are scheduled, so rescheduling never repeats a reminder
+ * that was already sent.
+ */
+export const scheduleReminders = (task, reminders, timeZone) => {
+  const now = new Date();
+
+  return reminders.map((reminder) => {
+    const { _id, minutesBefore = null, at = null, sentAt = null } = reminder;
+    const { remindAt, occurrenceDate } = getNextRemindAt(task, { minutesBefore, at }, timeZone, now);
+
+    return { ...(_id ? { _id } : {}), minutesBefore, at, remindAt, occurrenceDate, sentAt };
+  });
+};
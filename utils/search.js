@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Search Highlighting Helpers
+ * @description Finds the words of a search query in task text, ignoring case and accents, and
+ * builds highlighted snippets around them
+ * @version 1.0.0
+ * @author TidyTask Backend Team
+ * @since 2024-01-01
+ */
+
+/**
+ * Maximum length of a detail snippet, in characters
+ * @type {number}
+ */
+export const SNIPPET_LENGTH = 160;
+
+/**
+ * Characters of context kept before the first match of a snippet
+ * @type {number}
+ */
+const SNIPPET_LEAD = 60;
+
+/**
+ * Letters and digits (any script); everything else separates words
+ * @type {RegExp}
+ */
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+/**
+ * Escapes text for safe use inside HTML
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Lowercases a text and strips its accents ("Reunión" → "reunion")
+ * @param {string} text - Text to fold
+ * @returns {{folded: string, positions: number[]}} Folded text and, for each of its characters,
+ * the index of the original character it comes from
+ */
+export const foldText = (text) => {
+  let folded = '';
+  const positions = [];
+
+  for (let index = 0; index < text.length; index++) {
+    const piece = text[index].normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    folded += piece;
+    for (let i = 0; i < piece.length; i++) positions.push(index);
+  }
+
+  return { folded, positions };
+};
+
+/**
+ * Extracts the words of a search query to highlight
+ * @param {string} query - Search query as typed (may contain "phrases" and -excluded words)
+ * @returns {string[]} Folded words; plural endings are dropped so "reuniones" also marks "reunión"
+ */
+export const getSearchTerms = (query) => {
+  const words = query
+    .split(/\s+/)
+    .filter((word) => word && !word.startsWith('-'))
+    .flatMap((word) => foldText(word).folded.split(/[^\p{L}\p{N}]+/u))
+    .filter((word) => word.length >= 2)
+    .map((word) => word.replace(/(?<=\p{L}{3})e?s$/u, ''));
+
+  return [...new Set(words)];
+};
+
+/**
+ * Finds the words of a text that start with one of the search terms
+ * @param {string} text - Original text
+ * @param {string[]} terms - Terms from getSearchTerms
+ * @returns {Array<[number, number]>} Sorted [start, end) ranges of whole words in the original text
+ */
+export const findMatches = (text, terms) => {
+  const { folded, positions } = foldText(text);
+  const ranges = [];
+
+  let index = 0;
+  while (index < folded.length) {
+    if (!WORD_CHAR.test(folded[index])) {
+      index++;
+      continue;
+    }
+
+    let end = index;
+    while (end < folded.length && WORD_CHAR.test(folded[end])) end++;
+
+    const word = folded.slice(index, end);
+    if (terms.some((term) => word.startsWith(term))) {
+      ranges.push([positions[index], positions[end - 1] + 1]);
+    }
+    index = end;
+  }
+
+  return ranges;
+};
+
+/**
+ * Escapes a piece of text and wraps the matched words in <mark> tags
+ * @param {string} text - Original text
+ * @param {Array<[number, number]>} ranges - Matches from findMatches
+ * @param {number} [start=0] - First character to include
+ * @param {number} [end=text.length] - Character after the last one to include
+ * @returns {string} HTML-safe highlighted text
+ */
+const markRanges = (text, ranges, start = 0, end = text.length) => {
+  let html = '';
+  let cursor = start;
+
+  for (const [from, to] of ranges) {
+    if (to <= start || from >= end) continue;
+    html += escapeHtml(text.slice(cursor, Math.max(from, cursor)));
+    html += `<mark>${escapeHtml(text.slice(Math.max(from, cursor), Math.min(to, end)))}</mark>`;
+    cursor = Math.min(to, end);
+  }
+
+  return html + escapeHtml(text.slice(cursor, end));
+};
+
+/**
+ * Builds the highlighted snippet of a text for a search
+ * @param {string} text - Original text (task title or detail)
+ * @param {string[]} terms - Terms from getSearchTerms
+ * @param {number} [maxLength=SNIPPET_LENGTH] - Maximum characters kept from the text; 0 keeps it whole
+ * @returns {string|null} HTML-safe snippet with <mark> tags and "…" where the text was cut,
+ * or null when the text is empty
+ *
+ * @example
+ * buildSnippet('Preparar la reunión del lunes', getSearchTerms('reunion'));
+ * // 'Preparar la <mark>reunión</mark> del lunes'
+ */
+export const buildSnippet = (text, terms, maxLength = SNIPPET_LENGTH) => {
+  if (!text) return null;
+
+  const ranges = findMatches(text, terms);
+  if (!maxLength || text.length <= maxLength) {
+    return markRanges(text, ranges);
+  }
+
+  // Open the window a little before the first match, on a word boundary
+  let start = ranges.length ? Math.max(0, ranges[0][0] - SNIPPET_LEAD) : 0;
+  start = Math.min(start, text.length - maxLength);
+  while (start > 0 && WORD_CHAR.test(text[start - 1])) start--;
+
+  let end = Math.min(text.length, start + maxLength);
+  while (end < text.length && end > start && WORD_CHAR.test(text[end])) end--;
+  if (end === start) end = Math.min(text.length, start + maxLength);
+
+  return `${start > 0 ? '…' : ''}${markRanges(text, ranges, start, end).trim()}${end < text.length ? '…' : ''}`;
+};
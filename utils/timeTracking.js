@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Time Tracking Helpers
+ * @description Ends and removes time entries while keeping the tracked total of their tasks in
+ * sync, and splits tracked time into calendar days
+ * @version 1.0.0
+ * @author TidyTask Backend Team
+ * @since 2024-01-01
+ */
+
+import Task from '../models/task.model.js';
+import TimeEntry from '../models/timeEntry.model.js';
+import { addDaysToKey, startOfDayInZone, toDateKey } from './timezone.js';
+
+/**
+ * Longest time entry, in seconds; also the longest a timer can run before it is cut at stop time
+ * @type {number}
+ */
+export const MAX_ENTRY_SECONDS = 24 * 60 * 60;
+
+/**
+ * Adds seconds to the tracked total of a task
+ * @async
+ * @param {string|ObjectId} taskId - Task ID
+ * @param {number} seconds - Seconds to add (negative to subtract)
+ * @returns {Promise<void>}
+ * @description Trashed tasks are included; updatedAt is left alone since undo uses it as the task version
+ */
+const addTrackedSeconds = async (taskId, seconds) => {
+  if (!seconds) return;
+  await Task.updateOne({ _id: taskId }, { $inc: { trackedSeconds: seconds } }, { timestamps: false });
+};
+
+/**
+ * Stops a running timer and adds its time to the task
+ * @async
+ * @param {Object} entry - Running time entry document
+ * @param {Date} [endedAt=new Date()] - Stop time
+ * @returns {Promise<Object>} The finished entry
+ * @description Timers left running for more than MAX_ENTRY_SECONDS are cut to that length
+ */
+export const stopTimerEntry = async (entry, endedAt = new Date()) => {
+  const seconds = Math.min(
+    Math.max(Math.floor((endedAt - entry.startedAt) / 1000), 0),
+    MAX_ENTRY_SECONDS
+  );
+
+  // Only the request that actually stops the timer counts its time
+  const stopped = await TimeEntry.findOneAndUpdate(
+    { _id: entry._id, running: true },
+    { $set: { running: false, endedAt: new Date(entry.startedAt.getTime() + seconds * 1000), seconds } },
+    { new: true }
+  );
+  if (stopped) {
+    await addTrackedSeconds(stopped.task, seconds);
+  }
+  return stopped;
+};
+
+/**
+ * Records a finished entry and adds its time to the task
+ * @async
+ * @param {Object} data - Entry data ({ task, user, startedAt, endedAt, note })
+ * @returns {Promise<Object>} The created entry
+ */
+export const createManualEntry = async ({ task, user, startedAt, endedAt, note }) => {
+  const seconds = Math.floor((endedAt - startedAt) / 1000);
+  const entry = await TimeEntry.create({ task, user, startedAt, endedAt, seconds, note, source: 'manual' });
+  await addTrackedSeconds(task, seconds);
+  return entry;
+};
+
+/**
+ * Deletes the time entries matching a filter and subtracts their time from their tasks
+ * @async
+ * @param {Object} filter - MongoDB filter on time entries, with IDs as ObjectIds (aggregation
+ * pipelines are not cast by Mongoose)
+ * @returns {Promise<number>} Number of deleted entries
+ */
+export const deleteTimeEntries = async (filter) => {
+  const totals = await TimeEntry.aggregate([
+    { $match: filter },
+    { $group: { _id: '$task', seconds: { $sum: '$seconds' } } }
+  ]);
+
+  const { deletedCount } = await TimeEntry.deleteMany(filter);
+  await Promise.all(totals.map(({ _id, seconds }) => addTrackedSeconds(_id, -seconds)));
+  return deletedCount;
+};
+
+/**
+ * Splits a time span into the calendar days it covers
+ * @param {Date} start - Span start
+ * @param {Date} end - Span end
+ * @param {string} timeZone - IANA timezone of the days
+ * @returns {Array<{day: string, seconds: number}>} Seconds spent on each day (YYYY-MM-DD), in order
+ *
+ * @example
+ * splitByDay(new Date('2024-05-06T23:30:00Z'), new Date('2024-05-07T00:15:00Z'), 'UTC');
+ * // => [{ day: '2024-05-06', seconds: 1800 }, { day: '2024-05-07', seconds: 900 }]
+ */
+export const splitByDay = (start, end, timeZone) => {
+  const parts = [];
+  let cursor = start;
+
+  while (cursor < end) {
+    const day = toDateKey(cursor, timeZone);
+    const dayEnd = startOfDayInZone(addDaysToKey(day, 1), timeZone);
+    const partEnd = dayEnd < end ? dayEnd : end;
+    parts.push({ day, seconds: Math.floor((partEnd - cursor) / 1000) });
+    cursor = partEnd;
+  }
+
+  return parts;
+};
+
+/**
+ * Loads the time a user tracked inside a range of calendar days, split by day
+ * @async
+ * @param {string} userId - User ID
+ * @param {string} fromKey - First day (YYYY-MM-DD)
+ * @param {string} toKey - Last day (YYYY-MM-DD)
+ * @param {string} timeZone - IANA timezone of the days
+ * @param {Date} [now=new Date()] - Current time, where running timers are counted up to
+ * @returns {Promise<Array<{day: string, task: string, seconds: number}>>} One slice per entry and day
+ * @description Entries crossing midnight are split between their days and clipped to the range
+ */
+export const loadTrackedSlices = async (userId, fromKey, toKey, timeZone, now = new Date()) => {
+  const rangeStart = startOfDayInZone(fromKey, timeZone);
+  const rangeEnd = startOfDayInZone(addDaysToKey(toKey, 1), timeZone);
+
+  // Entries last at most a day, so earlier starts cannot reach the range
+  const entries = await TimeEntry.find({
+    user: userId,
+    startedAt: { $gte: new Date(rangeStart.getTime() - MAX_ENTRY_SECONDS * 1000), $lt: rangeEnd }
+  }).select('task startedAt endedAt running');
+
+  return entries.flatMap((entry) => {
+    const end = entry.running
+      ? new Date(Math.min(now, entry.startedAt.getTime() + MAX_ENTRY_SECONDS * 1000))
+      : entry.endedAt;
+    const start = entry.startedAt < rangeStart ? rangeStart : entry.startedAt;
+
+    return splitByDay(start, end > rangeEnd ? rangeEnd : end, timeZone)
+      .filter((slice) => slice.seconds > 0)
+      .map((slice) => ({ ...slice, task: entry.task.toString() }));
+  });
+};
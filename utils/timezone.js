@@ -0,0 +1,239 @@
+/**
+ * @fileoverview Timezone Utilities
+ * @description Calendar-day and timezone helpers built on Intl, used to bucket and schedule tasks in the user's timezone
+ * @version 1.0.0
+ * @author TidyTask Backend Team
+ * @since 2024-01-01
+ */
+
+/**
+ * Default timezone used when the user has none configured
+ * @type {string}
+ */
+export const DEFAULT_TIMEZONE = 'UTC';
+
+/**
+ * Milliseconds in one day
+ * @type {number}
+ */
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Cache of Intl formatters per timezone (creating them is expensive)
+ * @type {Map<string, Intl.DateTimeFormat>}
+ */
+const formatters = new Map();
+
+/**
+ * Returns a cached formatter producing numeric date parts in the given timezone
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Intl.DateTimeFormat} Formatter instance
+ */
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Checks whether a string is a timezone name supported by the runtime
+ * @param {string} timeZone - Candidate IANA timezone name (e.g. "America/Bogota")
+ * @returns {boolean} True if the timezone can be used
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Splits an instant into wall-clock parts as seen in a timezone
+ * @param {Date} date - Instant to split
+ * @param {string} timeZone - IANA timezone name
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}} Wall-clock parts (month is 1-12)
+ */
+export const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+};
+
+/**
+ * Converts a wall-clock time in a timezone to the matching instant
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @param {number} [hour=0] - Hour (0-23)
+ * @param {number} [minute=0] - Minute (0-59)
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date} Instant for that wall-clock time
+ * @description Applies the zone offset twice so times next to a DST change resolve correctly
+ */
+export const zonedTimeToUtc = (year, month, day, hour = 0, minute = 0, timeZone = DEFAULT_TIMEZONE) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = (instant) => {
+    const p = getZonedParts(new Date(instant), timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - instant;
+  };
+  const firstGuess = wallClock - offsetAt(wallClock);
+  return new Date(wallClock - offsetAt(firstGuess));
+};
+
+/**
+ * Formats the calendar day of an instant in a timezone as YYYY-MM-DD
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone name
+ * @returns {string} Calendar day key
+ */
+export const toDateKey = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return formatDateKey(year, month, day);
+};
+
+/**
+ * Returns the calendar day of a task date
+ * @param {Date} date - Stored task date (or recurrence end)
+ * @returns {string} Calendar day key (YYYY-MM-DD)
+ * @description Task dates are calendar days saved as UTC midnight ("2024-05-07" is stored as
+ * 2024-05-07T00:00:00Z), so their day is the UTC one whatever the user's timezone
+ */
+export const taskDayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Returns the stored value of a task date for a calendar day
+ * @param {string} key - Calendar day key (YYYY-MM-DD)
+ * @returns {Date} UTC midnight of that day, as task dates are saved
+ */
+export const taskDayStart = (key) => {
+  const { year, month, day } = parseDateKey(key);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+/**
+ * Zero-pads the hour of a task time
+ * @param {string|null} time - Time in H:MM or HH:MM format
+ * @returns {string|null} Time in HH:MM format, so times compare and sort correctly as strings;
+ * other values are returned as they are
+ * @example
+ * normalizeTime('9:30'); // => '09:30'
+ */
+export const normalizeTime = (time) =>
+  typeof time === 'string' ? time.trim().replace(/^(\d):/, '0$1:') : time;
+
+/**
+ * Formats calendar date parts as YYYY-MM-DD
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {string} Calendar day key
+ */
+export const formatDateKey = (year, month, day) =>
+  `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+/**
+ * Parses a YYYY-MM-DD calendar day key
+ * @param {string} key - Calendar day key
+ * @returns {{year: number, month: number, day: number}|null} Date parts, or null if the key is not a real date
+ */
+export const parseDateKey = (key) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(key || '');
+  if (!match) return null;
+  const [year, month, day] = match.slice(1).map(Number);
+  const check = new Date(Date.UTC(year, month - 1, day));
+  if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+    return null;
+  }
+  return { year, month, day };
+};
+
+/**
+ * Adds whole calendar days to a day key
+ * @param {string} key - Calendar day key (YYYY-MM-DD)
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Resulting calendar day key
+ */
+export const addDaysToKey = (key, days) => {
+  const { year, month, day } = parseDateKey(key);
+  const next = new Date(Date.UTC(year, month - 1, day) + days * DAY_MS);
+  return formatDateKey(next.getUTCFullYear(), next.getUTCMonth() + 1, next.getUTCDate());
+};
+
+/**
+ * Returns the weekday of a day key
+ * @param {string} key - Calendar day key (YYYY-MM-DD)
+ * @returns {number} ISO weekday (1 = Monday ... 7 = Sunday)
+ */
+export const isoWeekday = (key) => {
+  const { year, month, day } = parseDateKey(key);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay() || 7;
+};
+
+/**
+ * Returns the Monday that starts the ISO week containing a day key
+ * @param {string} key - Calendar day key (YYYY-MM-DD)
+ * @returns {string} Day key of that week's Monday
+ */
+export const startOfWeekKey = (key) => addDaysToKey(key, 1 - isoWeekday(key));
+
+/**
+ * Returns the instant at which a calendar day starts in a timezone
+ * @param {string} key - Calendar day key (YYYY-MM-DD)
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date} Local midnight of that day
+ */
+export const startOfDayInZone = (key, timeZone) => {
+  const { year, month, day } = parseDateKey(key);
+  return zonedTimeToUtc(year, month, day, 0, 0, timeZone);
+};
+
+/**
+ * Counts calendar days between two day keys
+ * @param {string} fromKey - Start day key
+ * @param {string} toKey - End day key
+ * @returns {number} Number of days from fromKey to toKey (negative if toKey is earlier)
+ */
+export const daysBetweenKeys = (fromKey, toKey) => {
+  const a = parseDateKey(fromKey);
+  const b = parseDateKey(toKey);
+  return Math.round((Date.UTC(b.year, b.month - 1, b.day) - Date.UTC(a.year, a.month - 1, a.day)) / DAY_MS);
+};
+
+/**
+ * Combines a task day and an optional HH:MM time into the instant the task is due
+ * @param {Date} date - Task date; only its calendar day is used (see taskDayKey)
+ * @param {string|null} time - Time in HH:MM format, or null for all-day tasks
+ * @param {string} timeZone - IANA timezone the day and time are read in
+ * @returns {Date} Due instant; all-day tasks are due when their day ends (next local midnight)
+ */
+export const getDueAt = (date, time, timeZone) => {
+  const key = taskDayKey(date);
+  if (!time) {
+    return startOfDayInZone(addDaysToKey(key, 1), timeZone);
+  }
+  const [hours, minutes] = time.split(':').map(Number);
+  const { year, month, day } = parseDateKey(key);
+  return zonedTimeToUtc(year, month, day, hours, minutes, timeZone);
+};
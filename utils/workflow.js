@@ -0,0 +1,248 @@
+/**
+ * @fileoverview Workflow Status Helpers
+ * @description Resolves the workflow (ordered list of statuses) that applies to a task, maps the
+ * ASCII aliases of the built-in statuses and keeps task data consistent when a workflow changes
+ * @version 1.0.0
+ * @author TidyTask Backend Team
+ * @since 2024-01-01
+ */
+
+import Project from '../models/project.model.js';
+import Task from '../models/task.model.js';
+import User from '../models/user.model.js';
+import { STATUS_KEY_PATTERN } from '../models/workflowStatus.schema.js';
+import { projectAccessFilter } from './permissions.js';
+
+export { STATUS_KEY_PATTERN };
+
+/**
+ * Workflow used when neither the project nor its owner configured one
+ * @type {ReadonlyArray<{key: string, name: string, color: string, done: boolean}>}
+ * @description The statuses the application had before workflows were configurable. Their keys are
+ * the values tasks already store, so existing tasks and clients keep working unchanged.
+ */
+export const DEFAULT_WORKFLOW = Object.freeze([
+  Object.freeze({ key: 'Por hacer', name: 'Por hacer', color: '#9aa5b1', done: false }),
+  Object.freeze({ key: 'Haciendo', name: 'Haciendo', color: '#4a6ee0', done: false }),
+  Object.freeze({ key: 'Hecho', name: 'Hecho', color: '#22aa55', done: true })
+]);
+
+/**
+ * ASCII aliases accepted for the keys of the built-in statuses
+ * @type {Object<string, string>}
+ */
+export const STATUS_ALIASES = Object.freeze({
+  todo: 'Por hacer',
+  in_progress: 'Haciendo',
+  done: 'Hecho'
+});
+
+/**
+ * Maximum number of statuses in a workflow
+ * @type {number}
+ */
+export const MAX_WORKFLOW_STATUSES = 20;
+
+/**
+ * Maps an alias of a built-in status to its key; other values are returned unchanged
+ * @param {string} value - Status key or alias ("todo", "in_progress", "done")
+ * @returns {string} Status key
+ */
+export const normalizeStatus = (value) => (typeof value === 'string' && STATUS_ALIASES[value]) || value;
+
+/**
+ * Returns a stored status list as a workflow, falling back to the default one
+ * @param {Object[]} [statuses] - Statuses saved on a user or project
+ * @returns {Object[]} Workflow statuses in board order ({ key, name, color, done })
+ */
+export const toWorkflow = (statuses) => (statuses?.length ? statuses : DEFAULT_WORKFLOW)
+  .map(({ key, name, color, done }) => ({ key, name, color: color || '#4a6ee0', done: Boolean(done) }));
+
+/**
+ * Finds a status of a workflow by key
+ * @param {Object[]} workflow - Workflow statuses
+ * @param {string} key - Status key
+ * @returns {Object|undefined} The status, if the workflow has it
+ */
+export const findStatus = (workflow, key) => workflow.find((status) => status.key === key);
+
+/**
+ * Checks whether a status counts as completed in a workflow
+ * @param {Object[]} workflow - Workflow statuses
+ * @param {string} key - Status key
+ * @returns {boolean} True for done statuses
+ */
+export const isDoneStatus = (workflow, key) => Boolean(findStatus(workflow, key)?.done);
+
+/**
+ * Status new tasks and untouched occurrences start in: the first status that is not done
+ * @param {Object[]} workflow - Workflow statuses
+ * @returns {string} Status key
+ */
+export const getInitialStatus = (workflow) => (workflow.find((status) => !status.done) || workflow[0]).key;
+
+/**
+ * Value `completedAt` must take when a task gets a status
+ * @param {Object[]} workflow - Workflow of the task
+ * @param {string} key - New status key
+ * @param {Date|null} [previousCompletedAt=null] - Current completion time, kept while the task stays done
+ * @returns {Date|null} Completion time, or null for open statuses
+ */
+export const getCompletedAt = (workflow, key, previousCompletedAt = null) => {
+  if (!isDoneStatus(workflow, key)) return null;
+  return previousCompletedAt || new Date();
+};
+
+/**
+ * Loads the workflow a user configured for their own tasks
+ * @async
+ * @param {string} userId - User ID
+ * @returns {Promise<Object[]>} Workflow statuses
+ */
+export const getUserWorkflow = async (userId) => {
+  const user = await User.findById(userId).select('workflow');
+  return toWorkflow(user?.workflow);
+};
+
+/**
+ * Loads the workflow of a project: its own, or else the one of its owner
+ * @async
+ * @param {Object} project - Project document with `user` and `workflow`
+ * @returns {Promise<Object[]>} Workflow statuses
+ */
+export const getProjectWorkflow = async (project) => {
+  if (project.workflow?.length) return toWorkflow(project.workflow);
+  return getUserWorkflow(project.user?._id ?? project.user);
+};
+
+/**
+ * Loads the workflow that applies to a task
+ * @async
+ * @param {Object} task - Task document or data with `user` and `project` (IDs or populated)
+ * @returns {Promise<Object[]>} Workflow statuses
+ * @description Project tasks follow the project workflow; personal tasks follow their owner's
+ */
+export const getTaskWorkflow = async (task) => {
+  const projectId = task.project?._id ?? task.project;
+  if (projectId) {
+    const project = await Project.findById(projectId).select('user workflow');
+    if (project) return getProjectWorkflow(project);
+  }
+  return getUserWorkflow(task.user?._id ?? task.user);
+};
+
+/**
+ * Loads every workflow that can apply to the tasks a user sees, for list endpoints
+ * @async
+ * @param {string} userId - User ID
+ * @returns {Promise<Function>} Function `(task) => workflow` that runs without further queries
+ *
+ * @example
+ * const workflowOf = await loadWorkflowResolver(req.user.userId);
+ * const open = tasks.filter((task) => !isDoneStatus(workflowOf(task), task.status));
+ */
+export const loadWorkflowResolver = async (userId) => {
+  // Assignees see their tasks even in projects they are not members of
+  const assignedProjectIds = await Task.distinct('project', { assignee: userId, project: { $ne: null } });
+  const projects = await Project.find({
+    $or: [projectAccessFilter(userId, 'viewer'), { _id: { $in: assignedProjectIds } }]
+  }).select('user workflow');
+  const ownerIds = [...new Set([userId.toString(), ...projects.map((project) => project.user.toString())])];
+  const owners = await User.find({ _id: { $in: ownerIds } }).select('workflow');
+
+  const userWorkflows = new Map(owners.map((owner) => [owner._id.toString(), toWorkflow(owner.workflow)]));
+  const defaultWorkflow = toWorkflow();
+  const projectWorkflows = new Map(projects.map((project) => [
+    project._id.toString(),
+    project.workflow?.length
+      ? toWorkflow(project.workflow)
+      : userWorkflows.get(project.user.toString()) || defaultWorkflow
+  ]));
+
+  return (task) => {
+    const projectId = task.project?._id ?? task.project;
+    if (projectId) return projectWorkflows.get(projectId.toString()) || defaultWorkflow;
+    return userWorkflows.get((task.user?._id ?? task.user).toString()) || defaultWorkflow;
+  };
+};
+
+/**
+ * Builds the filter of tasks governed by a user's own workflow
+ * @async
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Personal tasks of the user plus tasks of their projects without a workflow
+ */
+export const userWorkflowScope = async (userId) => {
+  const projects = await Project.find({ user: userId, 'workflow.0': { $exists: false } }).select('_id');
+  return {
+    $or: [
+      { user: userId, project: null },
+      { project: { $in: projects.map((project) => project._id) } }
+    ]
+  };
+};
+
+/**
+ * Moves the tasks of a scope onto a new workflow
+ * @async
+ * @param {Object} scopeFilter - Tasks governed by the changed workflow
+ * @param {Object[]} workflow - New workflow statuses
+ * @param {Object<string, string>} [remap={}] - New key for each removed status still in use
+ * @param {string} [fallbackStatus] - Key used for removed statuses missing from `remap`
+ * @returns {Promise<{unmapped?: string[]}>} The removed keys still in use that have no valid
+ * replacement (nothing is changed then), or an empty object once tasks are updated
+ * @description Rewrites task and occurrence statuses following `remap` and recomputes
+ * `completedAt` for statuses whose done flag changed.
+ */
+export const applyWorkflowChange = async (scopeFilter, workflow, remap = {}, fallbackStatus) => {
+  const keys = new Set(workflow.map((status) => status.key));
+  const usedKeys = new Set([
+    ...await Task.distinct('status', scopeFilter),
+    ...await Task.distinct('occurrenceOverrides.status', scopeFilter)
+  ]);
+
+  const removedKeys = [...usedKeys].filter((key) => key && !keys.has(key));
+  const targets = new Map(Object.entries(remap).map(([from, to]) => [normalizeStatus(from), normalizeStatus(to)]));
+  const targetOf = (key) => targets.get(key) || fallbackStatus;
+  const unmapped = removedKeys.filter((key) => !keys.has(targetOf(key)));
+  if (unmapped.length) {
+    return { unmapped };
+  }
+
+  for (const key of removedKeys) {
+    const target = targetOf(key);
+    await Task.updateMany({ ...scopeFilter, status: key }, { $set: { status: target } });
+    await Task.updateMany(
+      { ...scopeFilter, 'occurrenceOverrides.status': key },
+      { $set: { 'occurrenceOverrides.$[override].status': target } },
+      { arrayFilters: [{ 'override.status': key }] }
+    );
+  }
+
+  const doneKeys = workflow.filter((status) => status.done).map((status) => status.key);
+  const openKeys = workflow.filter((status) => !status.done).map((status) => status.key);
+  await Task.updateMany({ ...scopeFilter, status: { $in: doneKeys }, completedAt: null }, { $set: { completedAt: new Date() } });
+  await Task.updateMany({ ...scopeFilter, status: { $in: openKeys }, completedAt: { $ne: null } }, { $set: { completedAt: null } });
+
+  return {};
+};
+
+/**
+ * Sets the completion time of tasks that were done before completion times were recorded
+ * @async
+ * @returns {Promise<void>}
+ * @description Runs at startup. Only fills `completedAt` on tasks that never had the field (with
+ * their last update), so it is idempotent, leaves statuses untouched and older versions of the
+ * application keep reading the data.
+ */
+export const backfillCompletedAt = async () => {
+  const { modifiedCount } = await Task.updateMany(
+    { status: 'Hecho', completedAt: { $exists: false } },
+    [{ $set: { completedAt: '$updatedAt' } }],
+    { timestamps: false }
+  );
+
+  if (modifiedCount) {
+    console.log(`🔁 Set the completion time of ${modifiedCount} tasks done before it was recorded`);
+  }
+};